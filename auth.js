@@ -0,0 +1,479 @@
+/**
+ * ZENO DRAFT - ACCOUNTS
+ * Sign-up, login and sessions, shared by every page.
+ *
+ * Passwords are salted and hashed with PBKDF2 (WebCrypto); only the hash is
+ * stored. A signed-in tab keeps a session token in sessionStorage; "remember
+ * me" also keeps it in localStorage so new tabs and restarts stay signed in.
+ *
+ * Accounts may set an encryption passphrase. An AES-GCM key derived from it
+ * (PBKDF2 again, with its own salt) encrypts the account's documents in
+ * the store (all but their published copies), so other accounts on the same
+ * browser can't read them. The key lives only in this tab's sessionStorage; a remembered session
+ * in a new tab has to be unlocked with the passphrase first.
+ *
+ * Small per-user values (preferences, writing statistics) are kept in the
+ * account record's `data` (see getUserData()).
+ */
+
+const Auth = (function() {
+    const ACCOUNTS_KEY = 'zenoAccounts';
+    const SESSION_KEY = 'zeno-session';
+    const REMEMBER_KEY = 'zeno-remember';
+    const ENCRYPTION_KEY = 'zeno-key';
+
+    // OWASP's recommendation for PBKDF2-HMAC-SHA256
+    const PBKDF2_ITERATIONS = 600000;
+    const MIN_PASSWORD_LENGTH = 8;
+    // Session lifetimes: 1 day, or 30 days when remembered
+    const SESSION_LIFETIME = 24 * 60 * 60 * 1000;
+    const REMEMBER_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+    // Encrypted to check a passphrase before it is used on documents
+    const PASSPHRASE_CHECK = 'zeno-draft';
+
+    // ===========================
+    // ERRORS
+    // ===========================
+
+    /**
+     * An error with a user-facing message and a code for callers to branch on
+     */
+    function authError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // ===========================
+    // ACCOUNT RECORDS
+    // ===========================
+
+    /**
+     * All accounts, keyed by lower-case username
+     */
+    function readAccounts() {
+        return JSON.parse(localStorage.getItem(ACCOUNTS_KEY) || '{}');
+    }
+
+    /**
+     * Write all accounts back
+     */
+    function writeAccounts(accounts) {
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+
+    /**
+     * Find an account by username (case-insensitively)
+     */
+    function getAccount(username) {
+        return readAccounts()[String(username).trim().toLowerCase()] || null;
+    }
+
+    /**
+     * Update one account record in place
+     */
+    function updateAccount(username, update) {
+        const accounts = readAccounts();
+        const key = username.toLowerCase();
+        if (!accounts[key]) return;
+        update(accounts[key]);
+        writeAccounts(accounts);
+    }
+
+    // ===========================
+    // CRYPTO HELPERS
+    // ===========================
+
+    /**
+     * WebCrypto, or an error explaining why sign-in can't work here
+     */
+    function getSubtle() {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw authError('unsupported', 'Signing in needs a browser with WebCrypto, on https or localhost.');
+        }
+        return window.crypto.subtle;
+    }
+
+    /**
+     * Random bytes as base64
+     */
+    function randomBase64(length) {
+        return toBase64(window.crypto.getRandomValues(new Uint8Array(length)));
+    }
+
+    /**
+     * Encode bytes as base64
+     */
+    function toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into bytes
+     */
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /**
+     * Import a password or passphrase as PBKDF2 key material
+     */
+    function importSecret(secret) {
+        return getSubtle().importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits', 'deriveKey']);
+    }
+
+    /**
+     * Salted PBKDF2 hash of a password, as base64
+     */
+    async function hashPassword(password, salt, iterations) {
+        const material = await importSecret(password);
+        const bits = await getSubtle().deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations: iterations },
+            material,
+            256
+        );
+        return toBase64(bits);
+    }
+
+    /**
+     * Compare two strings without stopping at the first difference
+     */
+    function safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     */
+    async function deriveEncryptionKey(passphrase, salt, iterations) {
+        const material = await importSecret(passphrase);
+        return getSubtle().deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations: iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a JSON-serializable value with a key
+     */
+    async function encryptWith(key, value) {
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const data = await getSubtle().encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+        return { iv: toBase64(iv), data: toBase64(data) };
+    }
+
+    /**
+     * Decrypt a value from encryptWith(); rejects if the key is wrong
+     */
+    async function decryptWith(key, sealed) {
+        const data = await getSubtle().decrypt(
+            { name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+            key,
+            fromBase64(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(data));
+    }
+
+    // ===========================
+    // SESSIONS
+    // ===========================
+
+    /**
+     * Start a session for an account in this tab (and remember it if asked)
+     */
+    function startSession(account, remember) {
+        const token = randomBase64(24);
+        const now = Date.now();
+        const session = {
+            user: account.username,
+            token: token,
+            expiresAt: now + (remember ? REMEMBER_LIFETIME : SESSION_LIFETIME)
+        };
+
+        updateAccount(account.username, record => {
+            // Drop expired sessions while we're here
+            const sessions = record.sessions || {};
+            Object.keys(sessions).forEach(t => {
+                if (sessions[t] < now) delete sessions[t];
+            });
+            sessions[token] = session.expiresAt;
+            record.sessions = sessions;
+        });
+
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        if (remember) localStorage.setItem(REMEMBER_KEY, JSON.stringify(session));
+        else localStorage.removeItem(REMEMBER_KEY);
+    }
+
+    /**
+     * Whether a stored session is still valid for its account
+     */
+    function isValidSession(session) {
+        if (!session || !session.user || !session.token) return false;
+        const account = getAccount(session.user);
+        const expiresAt = account && account.sessions && account.sessions[session.token];
+        return !!expiresAt && expiresAt > Date.now();
+    }
+
+    /**
+     * This tab's session, picking up a remembered one if needed
+     */
+    function getSession() {
+        let session = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+        if (!isValidSession(session)) {
+            session = JSON.parse(localStorage.getItem(REMEMBER_KEY) || 'null');
+            if (!isValidSession(session)) return null;
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+        }
+        return session;
+    }
+
+    /**
+     * Store this tab's encryption key
+     */
+    async function keepEncryptionKey(key) {
+        const raw = await getSubtle().exportKey('raw', key);
+        sessionStorage.setItem(ENCRYPTION_KEY, toBase64(raw));
+    }
+
+    // ===========================
+    // ACCOUNT ACTIONS
+    // ===========================
+
+    /**
+     * Create an account and sign in. Pass a passphrase to encrypt the
+     * account's documents.
+     */
+    async function signUp(username, password, options = {}) {
+        username = String(username).trim();
+        if (!username) throw authError('invalid-username', 'Choose a username.');
+        if (getAccount(username)) throw authError('username-taken', 'That username is already taken.');
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            throw authError('weak-password', `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`);
+        }
+
+        const salt = randomBase64(16);
+        const account = {
+            username: username,
+            createdAt: new Date().toISOString(),
+            password: {
+                salt: salt,
+                iterations: PBKDF2_ITERATIONS,
+                hash: await hashPassword(password, salt, PBKDF2_ITERATIONS)
+            },
+            encryption: null,
+            sessions: {}
+        };
+
+        let key = null;
+        if (options.passphrase) {
+            const keySalt = randomBase64(16);
+            key = await deriveEncryptionKey(options.passphrase, keySalt, PBKDF2_ITERATIONS);
+            account.encryption = {
+                salt: keySalt,
+                iterations: PBKDF2_ITERATIONS,
+                check: await encryptWith(key, PASSPHRASE_CHECK)
+            };
+        }
+
+        // Hashing takes a moment; someone may have taken the name meanwhile
+        const accounts = readAccounts();
+        if (accounts[username.toLowerCase()]) throw authError('username-taken', 'That username is already taken.');
+        accounts[username.toLowerCase()] = account;
+        writeAccounts(accounts);
+
+        sessionStorage.removeItem(ENCRYPTION_KEY);
+        if (key) await keepEncryptionKey(key);
+        startSession(account, !!options.remember);
+        return account.username;
+    }
+
+    /**
+     * Check a username and password and sign in.
+     * Accounts with encryption also need their passphrase.
+     */
+    async function logIn(username, password, options = {}) {
+        const account = getAccount(username);
+        // The same message for unknown users and wrong passwords
+        const invalid = authError('invalid-credentials', 'Wrong username or password.');
+        if (!account) throw invalid;
+
+        const hash = await hashPassword(password, account.password.salt, account.password.iterations);
+        if (!safeEqual(hash, account.password.hash)) throw invalid;
+
+        sessionStorage.removeItem(ENCRYPTION_KEY);
+        if (account.encryption) {
+            if (!options.passphrase) {
+                throw authError('passphrase-required', 'Enter your encryption passphrase to open your documents.');
+            }
+            await unlockAccount(account, options.passphrase);
+        }
+
+        startSession(account, !!options.remember);
+        return account.username;
+    }
+
+    /**
+     * Derive and check an account's encryption key, keeping it for this tab
+     */
+    async function unlockAccount(account, passphrase) {
+        const key = await deriveEncryptionKey(passphrase, account.encryption.salt, account.encryption.iterations);
+        try {
+            await decryptWith(key, account.encryption.check);
+        } catch (err) {
+            throw authError('wrong-passphrase', 'That passphrase is not right.');
+        }
+        await keepEncryptionKey(key);
+    }
+
+    /**
+     * Unlock a remembered session's encrypted documents in this tab
+     */
+    async function unlock(passphrase) {
+        const session = getSession();
+        if (!session) throw authError('signed-out', 'Your session has ended. Please log in again.');
+        await unlockAccount(getAccount(session.user), passphrase);
+    }
+
+    /**
+     * Sign out, ending this session everywhere it was remembered
+     */
+    function logOut() {
+        const session = getSession();
+        if (session) {
+            updateAccount(session.user, record => {
+                delete record.sessions[session.token];
+            });
+        }
+        sessionStorage.removeItem(SESSION_KEY);
+        sessionStorage.removeItem(ENCRYPTION_KEY);
+        localStorage.removeItem(REMEMBER_KEY);
+    }
+
+    /**
+     * The signed-in user, or null. A session whose documents are still
+     * locked behind a passphrase doesn't count until it is unlocked.
+     */
+    function getCurrentUser() {
+        const user = getLockedUser() ? null : getSession();
+        return user ? user.user : null;
+    }
+
+    /**
+     * The user of a valid session that still needs its passphrase, or null
+     */
+    function getLockedUser() {
+        const session = getSession();
+        if (!session) return null;
+        const account = getAccount(session.user);
+        return account.encryption && !sessionStorage.getItem(ENCRYPTION_KEY) ? account.username : null;
+    }
+
+    /**
+     * Send the visitor to the login page, coming back here afterwards
+     */
+    function redirectToLogin() {
+        const here = window.location.pathname.split('/').pop() + window.location.search;
+        window.location.href = `login.html?next=${encodeURIComponent(here)}`;
+    }
+
+    // ===========================
+    // DOCUMENT ENCRYPTION
+    // ===========================
+
+    /**
+     * This tab's encryption key for the signed-in user, or null
+     */
+    function getEncryptionKey() {
+        const raw = sessionStorage.getItem(ENCRYPTION_KEY);
+        if (!raw || !getCurrentUser()) return Promise.resolve(null);
+        return getSubtle().importKey('raw', fromBase64(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Encrypt a value for the signed-in user; null if they don't use encryption
+     */
+    async function seal(value) {
+        const key = await getEncryptionKey();
+        return key ? encryptWith(key, value) : null;
+    }
+
+    /**
+     * Decrypt a value sealed by the signed-in user; rejects without the right key
+     */
+    async function unseal(sealed) {
+        const key = await getEncryptionKey();
+        if (!key) throw authError('locked', 'This document is encrypted.');
+        return decryptWith(key, sealed);
+    }
+
+    // ===========================
+    // USER DATA
+    // ===========================
+
+    /**
+     * A value kept with the signed-in user's account (preferences, writing
+     * statistics), or the fallback if it was never set
+     */
+    function getUserData(key, fallback = null) {
+        const user = getCurrentUser();
+        const account = user && getAccount(user);
+        const data = (account && account.data) || {};
+        return data.hasOwnProperty(key) ? data[key] : fallback;
+    }
+
+    /**
+     * Keep a value with the signed-in user's account
+     */
+    function setUserData(key, value) {
+        const user = getCurrentUser();
+        if (!user) throw authError('signed-out', 'Your session has ended. Please log in again.');
+        updateAccount(user, record => {
+            record.data = { ...(record.data || {}), [key]: value };
+        });
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+    return {
+        /** Create an account: signUp(username, password, { passphrase, remember }) */
+        signUp: signUp,
+        /** Sign in: logIn(username, password, { passphrase, remember }) */
+        logIn: logIn,
+        /** Unlock a remembered session with its passphrase */
+        unlock: unlock,
+        /** Sign out */
+        logOut: logOut,
+        /** The signed-in (and unlocked) username, or null */
+        getCurrentUser: getCurrentUser,
+        /** The username of a session waiting for its passphrase, or null */
+        getLockedUser: getLockedUser,
+        /** Go to the login page, returning here afterwards */
+        redirectToLogin: redirectToLogin,
+        /** Encrypt a value for the signed-in user, or resolve null without encryption */
+        seal: seal,
+        /** Decrypt a value sealed for the signed-in user */
+        unseal: unseal,
+        /** Read a value stored with the signed-in user's account */
+        getUserData: getUserData,
+        /** Store a value with the signed-in user's account */
+        setUserData: setUserData
+    };
+})();
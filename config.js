@@ -0,0 +1,12 @@
+/**
+ * ZENO DRAFT - CONFIGURATION
+ * Settings shared by every page
+ */
+
+const ZenoConfig = {
+    // Address of a sync server (see sync-server.js), e.g. 'http://localhost:8787'.
+    // When set, documents are stored on the server and can be co-edited live,
+    // and everyone needs an access token from the server's admin;
+    // when empty, everything stays in this browser.
+    syncServer: ''
+};
@@ -0,0 +1,377 @@
+/**
+ * ZENO DRAFT - WORKSPACE BACKUP
+ * Exports all of the current user's drafts as one JSON archive, and
+ * restores an archive by merging it into the drafts or replacing them.
+ * An optional reminder on the dashboard asks for a backup every few days.
+ *
+ * The archive holds every stored field of each draft (history, comments,
+ * tags, publishing settings, ...), decrypted, so keep it somewhere safe.
+ * It also holds the user's folders, so restored drafts land where they were.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const backupDialog = document.getElementById('backup-dialog');
+const backupReminder = document.getElementById('backup-reminder');
+
+// Archive format; raise the version when the layout changes
+const WORKSPACE_FORMAT = 'zeno-draft-workspace';
+const WORKSPACE_VERSION = 1;
+// Kept with the user's account: { reminderDays, lastBackupAt, snoozedUntil }
+const BACKUP_SETTINGS_KEY = 'backup';
+const DAY = 24 * 60 * 60 * 1000;
+
+// The archive chosen for import, checked and waiting for merge or replace
+let pendingArchive = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the backup dialog and reminder
+ */
+function initializeBackup() {
+    const fileInput = document.getElementById('import-workspace-file');
+    const reminderSelect = document.getElementById('backup-reminder-days');
+
+    document.getElementById('backup-btn').addEventListener('click', openBackupDialog);
+    document.getElementById('backup-close').addEventListener('click', closeBackupDialog);
+    document.getElementById('export-workspace-btn').addEventListener('click', exportWorkspace);
+    document.getElementById('import-workspace-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', function() {
+        if (this.files[0]) readWorkspaceFile(this.files[0]);
+        this.value = '';
+    });
+    document.getElementById('import-cancel').addEventListener('click', () => showImportChoice(null));
+    document.getElementById('import-confirm').addEventListener('click', restoreWorkspace);
+
+    reminderSelect.addEventListener('change', function() {
+        updateBackupSettings({ reminderDays: Number(this.value), snoozedUntil: null });
+        checkBackupReminder();
+    });
+
+    backupDialog.addEventListener('mousedown', function(e) {
+        if (e.target === backupDialog) closeBackupDialog();
+    });
+    backupDialog.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') closeBackupDialog();
+    });
+
+    document.getElementById('backup-reminder-export').addEventListener('click', exportWorkspace);
+    document.getElementById('backup-reminder-dismiss').addEventListener('click', function() {
+        updateBackupSettings({ snoozedUntil: new Date(Date.now() + DAY).toISOString() });
+        backupReminder.hidden = true;
+    });
+
+    checkBackupReminder();
+}
+
+// ===========================
+// SETTINGS & REMINDER
+// ===========================
+
+/**
+ * The user's backup settings
+ */
+function getBackupSettings() {
+    return { reminderDays: 0, lastBackupAt: null, snoozedUntil: null, ...Auth.getUserData(BACKUP_SETTINGS_KEY, {}) };
+}
+
+/**
+ * Change some of the user's backup settings
+ */
+function updateBackupSettings(changes) {
+    Auth.setUserData(BACKUP_SETTINGS_KEY, { ...getBackupSettings(), ...changes });
+}
+
+/**
+ * Show the reminder when a backup is due and it wasn't put off
+ */
+function checkBackupReminder() {
+    const settings = getBackupSettings();
+    const now = Date.now();
+    const due = settings.reminderDays > 0 &&
+        (!settings.lastBackupAt || now - Date.parse(settings.lastBackupAt) >= settings.reminderDays * DAY) &&
+        !(settings.snoozedUntil && Date.parse(settings.snoozedUntil) > now);
+
+    backupReminder.hidden = !due;
+    if (due) {
+        document.getElementById('backup-reminder-text').textContent = settings.lastBackupAt
+            ? `Your last backup was ${formatDate(settings.lastBackupAt)}. Back up your drafts so you don't lose them.`
+            : 'You haven\'t backed up your drafts yet. A backup keeps them safe if this browser\'s data is cleared.';
+    }
+}
+
+// ===========================
+// BACKUP DIALOG
+// ===========================
+
+/**
+ * Open the backup dialog
+ */
+function openBackupDialog() {
+    const settings = getBackupSettings();
+    document.getElementById('backup-last').textContent = settings.lastBackupAt
+        ? `Last backup: ${formatDate(settings.lastBackupAt)}`
+        : 'You haven\'t made a backup yet.';
+    document.getElementById('backup-reminder-days').value = String(settings.reminderDays);
+
+    showImportChoice(null);
+    backupDialog.hidden = false;
+    document.getElementById('export-workspace-btn').focus();
+}
+
+/**
+ * Close the backup dialog, dropping any archive waiting to be restored
+ */
+function closeBackupDialog() {
+    showImportChoice(null);
+    backupDialog.hidden = true;
+}
+
+/**
+ * Show what an archive holds and ask how to restore it, or hide the question
+ */
+function showImportChoice(archive) {
+    pendingArchive = archive;
+    document.getElementById('backup-import').hidden = !archive;
+    if (!archive) return;
+
+    const count = archive.documents.length;
+    document.getElementById('backup-import-summary').textContent =
+        `Backup of ${archive.author || 'a workspace'} from ${formatDate(archive.exportedAt)}: ` +
+        `${count} draft${count === 1 ? '' : 's'}.`;
+    document.querySelector('input[name="import-mode"][value="merge"]').checked = true;
+}
+
+// ===========================
+// EXPORT
+// ===========================
+
+/**
+ * Download all of the current user's drafts as an archive
+ */
+async function exportWorkspace() {
+    let docs;
+    try {
+        docs = await DocStore.listUserDocs(currentUser);
+    } catch (err) {
+        console.error('Backup failed:', err);
+        alert(`Your drafts could not be backed up: ${err.message}`);
+        return;
+    }
+
+    // Encrypted drafts that can't be read here would be restored empty
+    const locked = docs.filter(doc => doc.locked).length;
+    const archive = {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_VERSION,
+        exportedAt: new Date().toISOString(),
+        author: currentUser,
+        folders: Folders.list().filter(folder => folder.id !== DocStore.ROOT_FOLDER),
+        documents: docs.filter(doc => !doc.locked)
+    };
+
+    const date = archive.exportedAt.slice(0, 10);
+    downloadFile(`zeno-workspace-${currentUser}-${date}.json`, JSON.stringify(archive, null, 2), 'application/json');
+    updateBackupSettings({ lastBackupAt: archive.exportedAt, snoozedUntil: null });
+    checkBackupReminder();
+    if (!backupDialog.hidden) openBackupDialog();
+
+    if (locked > 0) {
+        alert(`${locked} encrypted draft${locked === 1 ? '' : 's'} could not be unlocked and ` +
+            `${locked === 1 ? 'was' : 'were'} left out of the backup.`);
+    }
+}
+
+/**
+ * Save text as a file download
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ===========================
+// IMPORT
+// ===========================
+
+/**
+ * Read and check an archive file, then ask how to restore it
+ */
+async function readWorkspaceFile(file) {
+    try {
+        showImportChoice(parseWorkspaceArchive(await file.text()));
+    } catch (err) {
+        showImportChoice(null);
+        alert(`${file.name} could not be imported: ${err.message}`);
+    }
+}
+
+/**
+ * Check an archive's text and return it with its drafts made the current
+ * user's. Throws an error saying what is wrong with it.
+ */
+function parseWorkspaceArchive(text) {
+    let archive;
+    try {
+        archive = JSON.parse(text);
+    } catch (err) {
+        throw new Error('it isn\'t a Zeno Draft backup.');
+    }
+    if (!archive || archive.format !== WORKSPACE_FORMAT) {
+        throw new Error('it isn\'t a Zeno Draft backup.');
+    }
+    if (!Number.isInteger(archive.version) || archive.version > WORKSPACE_VERSION) {
+        throw new Error('it was made by a newer version of Zeno Draft.');
+    }
+    if (!Array.isArray(archive.documents)) {
+        throw new Error('the backup is damaged (it has no list of drafts).');
+    }
+    // Backups made before there were folders have none
+    if (archive.folders !== undefined && !Array.isArray(archive.folders)) {
+        throw new Error('the backup is damaged (its list of folders is invalid).');
+    }
+
+    const ids = new Set();
+    const documents = archive.documents.map((doc, index) => {
+        const problem = checkArchivedDoc(doc);
+        if (problem) throw new Error(`the backup is damaged (draft ${index + 1} ${problem}).`);
+
+        const id = String(doc.id);
+        if (ids.has(id)) throw new Error(`the backup is damaged (two drafts have the id ${id}).`);
+        ids.add(id);
+
+        const { locked, sealed, ...fields } = doc;
+        return { ...fields, id: id, author: currentUser };
+    });
+
+    return { ...archive, documents: documents };
+}
+
+/**
+ * What is wrong with an archived draft, or '' if nothing
+ */
+function checkArchivedDoc(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return 'is not a document';
+    if (!(typeof doc.id === 'string' && doc.id) && !Number.isFinite(doc.id)) return 'has no id';
+    if (typeof doc.content !== 'string') return 'has no content';
+    if (doc.title !== undefined && typeof doc.title !== 'string') return 'has an invalid title';
+    for (const field of ['createdAt', 'modifiedAt']) {
+        if (doc[field] !== undefined && isNaN(Date.parse(doc[field]))) return `has an invalid ${field}`;
+    }
+    for (const field of ['tags', 'history', 'comments']) {
+        if (doc[field] !== undefined && !Array.isArray(doc[field])) return `has invalid ${field}`;
+    }
+    if (doc.historyImages !== undefined && (!doc.historyImages || typeof doc.historyImages !== 'object')) {
+        return 'has invalid historyImages';
+    }
+    return '';
+}
+
+/**
+ * Restore the pending archive the chosen way
+ */
+async function restoreWorkspace() {
+    const archive = pendingArchive;
+    if (!archive) return;
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+
+    if (mode === 'replace') {
+        const message = `Replace your ${userDocs.length} draft${userDocs.length === 1 ? '' : 's'} with the ` +
+            `${archive.documents.length} in this backup? Drafts that aren't in the backup will be deleted.`;
+        if (!confirm(message)) return;
+    }
+
+    closeBackupDialog();
+    let summary = '';
+    await runStoreAction(async () => {
+        // Folders first, so the drafts in them show up there
+        Folders.addMissing(archive.folders);
+        const current = await DocStore.listUserDocs(currentUser);
+        summary = mode === 'replace'
+            ? await replaceWorkspace(archive.documents, current)
+            : await mergeWorkspace(archive.documents, current);
+    });
+    if (summary) showToast(summary);
+}
+
+/**
+ * Add an archive's drafts to the current ones. A draft that is in both is
+ * left alone if unchanged; otherwise the archived copy is added next to it
+ * with a new id (once: a copy restored earlier counts as unchanged).
+ * Resolves to a summary for the user.
+ */
+async function mergeWorkspace(docs, current) {
+    const byId = new Map(current.map(doc => [doc.id, doc]));
+    const takenIds = new Set(byId.keys());
+    const takenSlugs = new Set(current.filter(doc => doc.published && doc.publication)
+        .map(doc => doc.publication.slug).filter(slug => slug));
+    let added = 0;
+    let copies = 0;
+
+    for (const archived of docs) {
+        const existing = byId.get(archived.id);
+        const restored = existing && current.some(doc =>
+            doc.modifiedAt === archived.modifiedAt && (doc.id === archived.id || doc.content === archived.content));
+        if (restored) continue;
+
+        const doc = existing
+            ? { ...archived, id: createDocumentId(takenIds), title: `${archived.title || 'Untitled Document'} (restored)` }
+            : archived;
+        takenIds.add(doc.id);
+        // Two documents can't be published at one address
+        const slug = doc.published && doc.publication && doc.publication.slug;
+        if (slug && takenSlugs.has(slug)) DocStore.unpublish(doc);
+        else if (slug) takenSlugs.add(slug);
+
+        await DocStore.putDoc(doc);
+        if (existing) copies++;
+        else added++;
+    }
+
+    const skipped = docs.length - added - copies;
+    return 'Backup restored: ' + [
+        added > 0 || docs.length === 0 ? `${added} added` : '',
+        copies > 0 ? `${copies} kept alongside your own version${copies === 1 ? '' : 's'}` : '',
+        skipped > 0 ? `${skipped} already up to date` : ''
+    ].filter(part => part).join(', ') + '.';
+}
+
+/**
+ * Make the current drafts exactly the archive's. The archive is written
+ * before anything is deleted, so a failure part-way loses nothing.
+ * Resolves to a summary for the user.
+ */
+async function replaceWorkspace(docs, current) {
+    const keep = new Set(docs.map(doc => doc.id));
+    for (const doc of docs) {
+        await DocStore.putDoc(doc);
+    }
+    const removed = current.filter(doc => !keep.has(doc.id));
+    for (const doc of removed) {
+        await DocStore.deleteDoc(currentUser, doc.id);
+    }
+    return `Restored ${docs.length} draft${docs.length === 1 ? '' : 's'} from the backup.`;
+}
+
+/**
+ * A new document id (see DocStore.createId()) not among the taken ones
+ */
+function createDocumentId(takenIds) {
+    let id = DocStore.createId();
+    while (takenIds.has(id)) id = DocStore.createId();
+    return id;
+}
@@ -0,0 +1,589 @@
+/**
+ * ZENO DRAFT - DOCUMENT DASHBOARD
+ * Lists the current user's drafts by folder, with open, star, rename,
+ * duplicate, move, unpublish and delete actions, plus the starred drafts and
+ * the trash (workspace backups are in dashboard-backup.js).
+ *
+ * Deleting moves a draft to the trash; drafts there for 30 days are deleted
+ * for good when the dashboard loads (see DocStore.purgeTrash()).
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const docList = document.getElementById('doc-list');
+const emptyMsg = document.getElementById('empty-msg');
+const docFilter = document.getElementById('doc-filter');
+const statusFilter = document.getElementById('status-filter');
+const docSort = document.getElementById('doc-sort');
+const toast = document.getElementById('toast');
+const toastText = document.getElementById('toast-text');
+const toastUndo = document.getElementById('toast-undo');
+const folderBreadcrumb = document.getElementById('folder-breadcrumb');
+
+// How long a draft moved to the trash can be put back from the toast (8 seconds)
+const UNDO_WINDOW = 8000;
+let undoTimer = null;
+let lastDeleted = null;
+
+let currentUser = null;
+// The current user's documents, trashed ones included, as last loaded from the store
+let userDocs = [];
+// What the list shows: 'folders' (one folder), 'starred' or 'trash'
+let currentView = 'folders';
+let currentFolderId = DocStore.ROOT_FOLDER;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+document.addEventListener('DOMContentLoaded', function() {
+    currentUser = Auth.getCurrentUser();
+    if (!currentUser) {
+        Auth.redirectToLogin();
+        return;
+    }
+
+    const urlParams = new URLSearchParams(window.location.search);
+    if (['starred', 'trash'].includes(urlParams.get('view'))) currentView = urlParams.get('view');
+    currentFolderId = Folders.resolve(urlParams.get('folder'));
+
+    docFilter.addEventListener('input', renderDocuments);
+    statusFilter.addEventListener('change', renderDocuments);
+    docSort.addEventListener('change', renderDocuments);
+    toastUndo.addEventListener('click', undoDelete);
+    initializeBackup();
+    initializeFolderPicker();
+    initializeTemplateChooser({ getFolderId: () => currentFolderId });
+    document.getElementById('template-btn').addEventListener('click', openTemplateChooser);
+
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.addEventListener('click', () => showView(tab.getAttribute('data-view')));
+    });
+    folderBreadcrumb.addEventListener('click', function(e) {
+        const link = e.target.closest('[data-folder]');
+        if (!link) return;
+        e.preventDefault();
+        showFolder(link.getAttribute('data-folder'));
+    });
+    document.getElementById('new-folder-btn').addEventListener('click', createFolder);
+    document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+
+    // Keep the list current when drafts change in another tab, or changes
+    // made offline are sent to the sync server
+    DocStore.subscribe(change => {
+        const sent = change.docs ? change.docs.filter(doc => doc.author === currentUser) : [];
+        if (change.author !== currentUser && sent.length === 0) return;
+        if (change.type === 'conflict' || change.type === 'rejected') reportOfflineChanges(change.type, sent);
+        loadDocuments();
+    });
+
+    DocStore.purgeTrash(currentUser)
+        .catch(err => console.warn('Could not empty old drafts from the trash:', err))
+        .then(loadDocuments);
+});
+
+// ===========================
+// STORAGE HELPERS
+// ===========================
+
+/**
+ * Reload the current user's documents and re-render
+ */
+async function loadDocuments() {
+    userDocs = await DocStore.listUserDocs(currentUser);
+    renderDocuments();
+}
+
+/**
+ * Tell the user about changes made offline that the sync server didn't take
+ * as they were (see DocStore.subscribe())
+ */
+function reportOfflineChanges(type, docs) {
+    const doc = userDocs.find(d => d.id === docs[0].id);
+    const title = `'${(doc && doc.title) || 'Untitled Document'}'`;
+    const others = docs.length > 1 ? ` and ${docs.length - 1} more` : '';
+    showToast(type === 'conflict'
+        ? `${title}${others} changed on the sync server while you were offline. Open it to merge your changes.`
+        : `The sync server refused your offline changes to ${title}${others}: ${docs[0].message}`);
+}
+
+/**
+ * Run a store write, report failures, then reload the list
+ */
+async function runStoreAction(action) {
+    try {
+        await action();
+    } catch (err) {
+        console.error('Store update failed:', err);
+        alert(`Your drafts could not be updated: ${err.message}`);
+    }
+    await loadDocuments();
+}
+
+/**
+ * Apply a change to one document and save it
+ */
+function updateDocument(id, mutate) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc) return Promise.resolve();
+
+    mutate(doc);
+    return runStoreAction(() => DocStore.putDoc(doc));
+}
+
+// ===========================
+// RENDERING
+// ===========================
+
+const SORTERS = {
+    'modified-desc': (a, b) => (b.modifiedAt || '').localeCompare(a.modifiedAt || ''),
+    'created-desc': (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+    'created-asc': (a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''),
+    'title-asc': (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' })
+};
+
+// Badges for published drafts, by where they stand with readers
+const PUBLISH_BADGES = { live: 'Published', scheduled: 'Scheduled', expired: 'Expired' };
+
+/**
+ * Render the filtered and sorted list of drafts in the current view.
+ * A folder also lists its subfolders; a search looks through every folder.
+ */
+function renderDocuments() {
+    const query = docFilter.value.trim().toLowerCase();
+    const status = statusFilter.value;
+    const inView = doc => {
+        if (currentView === 'trash') return !!doc.trashedAt;
+        if (doc.trashedAt) return false;
+        if (currentView === 'starred') return !!doc.starred;
+        return !!query || Folders.resolve(doc.folderId) === currentFolderId;
+    };
+
+    const visibleDocs = userDocs
+        .filter(inView)
+        .filter(doc => !query || (doc.title || '').toLowerCase().includes(query))
+        .filter(doc => status === 'all' || (status === 'published') === !!doc.published)
+        .sort(SORTERS[docSort.value]);
+    const folders = currentView === 'folders' && !query ? Folders.getChildren(currentFolderId) : [];
+
+    docList.innerHTML = '';
+    folders.forEach(folder => docList.appendChild(createFolderItem(folder)));
+    visibleDocs.forEach(doc => docList.appendChild(createDocItem(doc)));
+
+    emptyMsg.hidden = visibleDocs.length + folders.length > 0;
+    emptyMsg.textContent = getEmptyMessage(query || status !== 'all');
+    renderViewControls();
+}
+
+/**
+ * What an empty list says, depending on the view
+ */
+function getEmptyMessage(filtered) {
+    if (filtered) return 'No drafts match your filters.';
+    if (currentView === 'trash') return 'The trash is empty.';
+    if (currentView === 'starred') return 'No starred drafts yet. Star a draft to keep it here.';
+    if (userDocs.some(doc => !doc.trashedAt)) return 'This folder is empty.';
+    return 'No drafts yet. Start a new one!';
+}
+
+/**
+ * Update the view tabs, the folder path and the trash controls
+ */
+function renderViewControls() {
+    document.querySelectorAll('[data-view]').forEach(tab => {
+        tab.setAttribute('aria-selected', String(tab.getAttribute('data-view') === currentView));
+    });
+    const trashed = userDocs.filter(doc => doc.trashedAt).length;
+    document.getElementById('trash-count').textContent = trashed > 0 ? `(${trashed})` : '';
+
+    document.getElementById('folder-bar').hidden = currentView !== 'folders';
+    document.getElementById('trash-bar').hidden = currentView !== 'trash';
+    document.getElementById('empty-trash-btn').disabled = trashed === 0;
+
+    folderBreadcrumb.innerHTML = '';
+    const path = Folders.getPath(currentFolderId);
+    path.forEach((folder, index) => {
+        if (index > 0) folderBreadcrumb.append(' › ');
+        const link = document.createElement(index === path.length - 1 ? 'span' : 'a');
+        link.textContent = folder.name;
+        if (link.tagName === 'A') {
+            link.href = `dashboard.html?folder=${encodeURIComponent(folder.id)}`;
+            link.setAttribute('data-folder', folder.id);
+        }
+        folderBreadcrumb.appendChild(link);
+    });
+
+    // New drafts start in the folder being looked at
+    const newDraft = document.getElementById('new-draft-link');
+    newDraft.href = currentView === 'folders' && currentFolderId !== DocStore.ROOT_FOLDER
+        ? `docs.html?folder=${encodeURIComponent(currentFolderId)}`
+        : 'docs.html';
+}
+
+/**
+ * Build the list item for a subfolder
+ */
+function createFolderItem(folder) {
+    const item = document.createElement('li');
+    item.className = 'doc-item folder-item';
+
+    const count = userDocs.filter(doc => !doc.trashedAt && Folders.resolve(doc.folderId) === folder.id).length;
+    const info = document.createElement('a');
+    info.className = 'doc-item-info';
+    info.href = `dashboard.html?folder=${encodeURIComponent(folder.id)}`;
+    info.addEventListener('click', function(e) {
+        e.preventDefault();
+        showFolder(folder.id);
+    });
+    info.innerHTML = `
+        <span class="doc-item-title folder-name">${escapeHTML(folder.name)}</span>
+        <span class="doc-item-dates">${count} draft${count === 1 ? '' : 's'}</span>
+    `;
+
+    const actions = document.createElement('div');
+    actions.className = 'doc-item-actions';
+    actions.appendChild(createActionButton('Rename', () => renameFolder(folder.id)));
+    actions.appendChild(createActionButton('Delete', () => deleteFolder(folder.id), 'danger'));
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Build the list item for one draft
+ */
+function createDocItem(doc) {
+    const item = document.createElement('li');
+    item.className = 'doc-item';
+
+    const info = document.createElement('a');
+    info.className = 'doc-item-info';
+    info.href = `docs.html?id=${encodeURIComponent(doc.id)}`;
+
+    const title = document.createElement('span');
+    title.className = 'doc-item-title';
+    title.textContent = doc.title || 'Untitled Document';
+    info.appendChild(title);
+
+    const state = DocStore.getPublishState(doc);
+    if (state !== 'draft') {
+        const badge = document.createElement('span');
+        badge.className = `badge badge-${state === 'live' ? 'published' : state}`;
+        badge.textContent = PUBLISH_BADGES[state];
+        info.appendChild(badge);
+    }
+
+    const dates = document.createElement('span');
+    dates.className = 'doc-item-dates';
+    dates.textContent = `Created ${formatDate(doc.createdAt)} · Modified ${formatDate(doc.modifiedAt)}`;
+    // Outside a folder's own list, say where the draft is
+    const folderId = Folders.resolve(doc.folderId);
+    if (currentView !== 'folders' || folderId !== currentFolderId) {
+        dates.textContent = `In ${Folders.getPath(folderId).map(f => f.name).join(' › ')} · ${dates.textContent}`;
+    }
+    info.appendChild(dates);
+
+    const actions = document.createElement('div');
+    actions.className = 'doc-item-actions';
+    if (doc.trashedAt) {
+        dates.textContent = `Moved to the trash ${formatDate(doc.trashedAt)} · ${dates.textContent}`;
+        actions.appendChild(createActionButton('Restore', () => restoreDocument(doc.id)));
+        actions.appendChild(createActionButton('Delete forever', () => deleteForever(doc.id), 'danger'));
+    } else {
+        actions.appendChild(createActionButton('Rename', () => renameDocument(doc.id)));
+        actions.appendChild(createActionButton('Duplicate', () => duplicateDocument(doc.id)));
+        actions.appendChild(createActionButton('Move', () => moveDocument(doc.id)));
+        if (doc.published) {
+            actions.appendChild(createActionButton('Unpublish', () => unpublishDocument(doc.id)));
+        }
+        actions.appendChild(createActionButton('Delete', () => deleteDocument(doc.id), 'danger'));
+        item.insertBefore(createStarButton(doc), item.firstChild);
+    }
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Create the button that stars or unstars a draft
+ */
+function createStarButton(doc) {
+    const button = document.createElement('button');
+    button.className = 'star-btn';
+    button.setAttribute('aria-pressed', String(!!doc.starred));
+    button.setAttribute('aria-label', doc.starred ? 'Unstar' : 'Star');
+    button.title = doc.starred ? 'Unstar' : 'Star';
+    button.innerHTML = doc.starred ? '&#9733;' : '&#9734;';
+    button.addEventListener('click', () => toggleStar(doc.id));
+    return button;
+}
+
+/**
+ * Create a small action button
+ */
+function createActionButton(label, onClick, variant) {
+    const button = document.createElement('button');
+    button.className = 'action-btn' + (variant ? ` action-btn-${variant}` : '');
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Format an ISO timestamp for display
+ */
+function formatDate(isoString) {
+    if (!isoString) return 'unknown';
+    return new Date(isoString).toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ===========================
+// VIEWS & FOLDERS
+// ===========================
+
+/**
+ * Show the drafts in one folder
+ */
+function showFolder(id) {
+    currentFolderId = Folders.resolve(id);
+    showView('folders');
+}
+
+/**
+ * Switch between the folders, the starred drafts and the trash
+ */
+function showView(view) {
+    currentView = view;
+    const query = view === 'folders'
+        ? (currentFolderId === DocStore.ROOT_FOLDER ? '' : `?folder=${encodeURIComponent(currentFolderId)}`)
+        : `?view=${view}`;
+    window.history.replaceState(null, '', `dashboard.html${query}`);
+    renderDocuments();
+}
+
+/**
+ * Create a folder inside the current one
+ */
+function createFolder() {
+    const name = prompt('New folder name:');
+    if (name === null) return;
+
+    try {
+        Folders.create(name, currentFolderId);
+    } catch (err) {
+        alert(err.message);
+    }
+    renderDocuments();
+}
+
+/**
+ * Rename a folder
+ */
+function renameFolder(id) {
+    const folder = Folders.get(id);
+    const name = folder && prompt('Rename folder:', folder.name);
+    if (!name) return;
+
+    try {
+        Folders.rename(id, name);
+    } catch (err) {
+        alert(err.message);
+    }
+    renderDocuments();
+}
+
+/**
+ * Delete a folder and its subfolders. Their drafts go to the trash.
+ */
+async function deleteFolder(id) {
+    const folder = Folders.get(id);
+    if (!folder) return;
+
+    const ids = Folders.getDescendantIds(id);
+    const docs = userDocs.filter(doc => !doc.trashedAt && ids.includes(Folders.resolve(doc.folderId)));
+    const message = docs.length > 0
+        ? `Delete the folder '${folder.name}'? The ${docs.length} draft${docs.length === 1 ? '' : 's'} in it will be moved to the trash.`
+        : `Delete the folder '${folder.name}'?`;
+    if (!confirm(message)) return;
+
+    const removed = Folders.remove(id);
+    if (removed.includes(currentFolderId)) {
+        currentFolderId = Folders.resolve(folder.parentId);
+        showView('folders');
+    }
+    await runStoreAction(async () => {
+        for (const doc of docs) {
+            DocStore.trash(doc);
+            await DocStore.putDoc(doc);
+        }
+    });
+}
+
+// ===========================
+// DOCUMENT ACTIONS
+// ===========================
+
+/**
+ * Rename a draft
+ */
+function renameDocument(id) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc) return;
+
+    const newTitle = prompt('Rename draft:', doc.title || 'Untitled Document');
+    if (newTitle === null || !newTitle.trim()) return;
+
+    updateDocument(id, target => {
+        target.title = newTitle.trim();
+        target.modifiedAt = new Date().toISOString();
+    });
+}
+
+/**
+ * Duplicate a draft. The copy starts unpublished and unshared, with no
+ * version history.
+ */
+function duplicateDocument(id) {
+    const source = userDocs.find(d => d.id == id);
+    if (!source) return;
+
+    const now = new Date().toISOString();
+    runStoreAction(() => DocStore.putDoc({
+        ...source,
+        id: DocStore.createId(),
+        title: `Copy of ${source.title || 'Untitled Document'}`,
+        createdAt: now,
+        modifiedAt: now,
+        published: false,
+        publication: null,
+        starred: false,
+        collaborators: [],
+        history: [],
+        historyImages: {}
+    }));
+}
+
+/**
+ * Star a draft, or unstar it
+ */
+function toggleStar(id) {
+    updateDocument(id, doc => {
+        doc.starred = !doc.starred;
+    });
+}
+
+/**
+ * Move a draft to a folder chosen in the folder picker
+ */
+function moveDocument(id) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc) return;
+
+    openFolderPicker(doc.folderId, folderId => updateDocument(id, target => {
+        target.folderId = folderId;
+    }));
+}
+
+/**
+ * Take a draft off the site
+ */
+function unpublishDocument(id) {
+    updateDocument(id, DocStore.unpublish);
+}
+
+/**
+ * Move a draft to the trash. The toast can put it back until the undo window closes.
+ */
+async function deleteDocument(id) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc) return;
+
+    lastDeleted = doc;
+    await updateDocument(id, DocStore.trash);
+    showToast(`Moved '${doc.title || 'Untitled Document'}' to the trash`, true);
+}
+
+/**
+ * Put back the draft most recently moved to the trash
+ */
+function undoDelete() {
+    if (!lastDeleted) return;
+
+    const doc = lastDeleted;
+    lastDeleted = null;
+    hideToast();
+    updateDocument(doc.id, DocStore.restore);
+}
+
+/**
+ * Take a draft out of the trash, back into its folder (or the root
+ * folder, if its own is gone)
+ */
+async function restoreDocument(id) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc) return;
+
+    await updateDocument(id, DocStore.restore);
+    showToast(`Restored '${doc.title || 'Untitled Document'}' to ${Folders.get(Folders.resolve(doc.folderId)).name}`);
+}
+
+/**
+ * Delete a draft in the trash for good
+ */
+function deleteForever(id) {
+    const doc = userDocs.find(d => d.id == id);
+    if (!doc || !confirm(`Delete '${doc.title || 'Untitled Document'}' for good? This can't be undone.`)) return;
+
+    runStoreAction(() => DocStore.deleteDoc(currentUser, id));
+}
+
+/**
+ * Delete every draft in the trash for good
+ */
+function emptyTrash() {
+    const trashed = userDocs.filter(doc => doc.trashedAt);
+    if (trashed.length === 0) return;
+    if (!confirm(`Delete the ${trashed.length} draft${trashed.length === 1 ? '' : 's'} in the trash for good? This can't be undone.`)) return;
+
+    runStoreAction(async () => {
+        for (const doc of trashed) {
+            await DocStore.deleteDoc(currentUser, doc.id);
+        }
+    });
+}
+
+// ===========================
+// TOAST
+// ===========================
+
+/**
+ * Show a message in the toast. With an undo button, the deletion becomes
+ * final when it closes.
+ */
+function showToast(message, canUndo = false) {
+    toastText.textContent = message;
+    toastUndo.hidden = !canUndo;
+    toast.hidden = false;
+
+    clearTimeout(undoTimer);
+    undoTimer = setTimeout(() => {
+        lastDeleted = null;
+        hideToast();
+    }, UNDO_WINDOW);
+}
+
+/**
+ * Hide the toast
+ */
+function hideToast() {
+    clearTimeout(undoTimer);
+    toast.hidden = true;
+}
@@ -0,0 +1,918 @@
+/**
+ * ZENO DRAFT - DOCUMENT STORE
+ * Storage layer shared by every page. Documents are kept as one IndexedDB
+ * record each, keyed by [author, id]. The legacy localStorage['zenoDocs']
+ * blob is migrated once, and kept as the fallback backend for when IndexedDB
+ * is unavailable. When config.js names a sync server, documents are stored
+ * there instead (see sync-server.js).
+ *
+ * Every method returns a Promise, except subscribe().
+ *
+ * Writes are announced to other tabs over a BroadcastChannel (or, where that
+ * is missing, through a localStorage key whose `storage` event they receive).
+ *
+ * Only the signed-in user's documents can be written (see auth.js). For users
+ * with an encryption passphrase, the title, content, tags, history (and its
+ * images) and comments of documents are stored encrypted in a `sealed` field and decrypted on read;
+ * documents that can't be decrypted come back with `locked: true`.
+ *
+ * Documents belong to a folder (`folderId`, see folders.js), can be
+ * `starred`, and are moved to the trash (`trashedAt`) before they are
+ * deleted for good; purgeTrash() deletes those trashed over 30 days ago.
+ * Documents stored before folders existed are read as being in the root
+ * folder (see upgradeDoc()).
+ *
+ * Publishing freezes a public copy of a document in its `publication` field,
+ * which is never encrypted; later edits to the draft don't change it until
+ * it is published again (see getPublication()).
+ * On a sync server, authors can share a document with `collaborators`
+ * (usernames), who may then open and save it. Shared documents are not
+ * encrypted, since the server merges their co-editors' changes; the rest
+ * are encrypted as usual. The server wants each user's access token, which
+ * is asked for the first time it is needed. A tab keeps it in its
+ * sessionStorage; the account keeps it only encrypted, so accounts without
+ * a passphrase are asked again in each new tab.
+ *
+ * With a sync server, documents read are also cached in IndexedDB so they
+ * can be opened offline, and writes made while the server can't be reached
+ * are queued there and sent, in order, when it can (see
+ * createOfflineBackend()). A queued write only replaces the server's copy
+ * if that is still the one it was made to. Otherwise it waits as a conflict
+ * for the editor to merge (see getConflict() and docs-sync.js). Writes the
+ * server refuses for other reasons are dropped, and subscribers are told.
+ */
+
+const DocStore = (function() {
+    const DB_NAME = 'zeno-draft';
+    const DB_VERSION = 1;
+    const DOCS_STORE = 'docs';
+    const LEGACY_KEY = 'zenoDocs';
+    const MIGRATED_KEY = 'zenoDocs-migrated';
+    const CHANGE_CHANNEL = 'zeno-docs';
+    const CHANGE_KEY = 'zenoDocs-change';
+    const ROOT_FOLDER = 'root';
+    // How long documents stay in the trash (30 days)
+    const TRASH_LIFETIME = 30 * 24 * 60 * 60 * 1000;
+    const OFFLINE_DB_NAME = 'zeno-draft-offline';
+    const OUTBOX_STORE = 'outbox';
+    const CACHE_STORE = 'cache';
+    // How long to wait before trying the sync server again after a failed replay
+    const REPLAY_RETRY_MS = 30000;
+    // Where the signed-in user's encrypted sync server access token is kept
+    // (see Auth.getUserData()), and this tab's copy (in sessionStorage)
+    const SYNC_TOKEN_KEY = 'syncToken';
+    const SESSION_TOKEN_PREFIX = 'zeno-sync-token:';
+
+    let backendPromise = null;
+    let changeChannel = null;
+    // The open "enter your access token" question, shared by concurrent requests
+    let tokenPrompt = null;
+    // This tab's subscribers, told when its offline changes reach the server
+    const localListeners = [];
+
+    // ===========================
+    // ERRORS
+    // ===========================
+
+    /**
+     * Whether an error means the browser refused to store more data
+     */
+    function isQuotaError(err) {
+        return !!err && (
+            err.name === 'QuotaExceededError' ||
+            err.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            err.code === 22 ||
+            err.code === 1014
+        );
+    }
+
+    /**
+     * Turn low-level storage errors into errors with a user-facing message
+     */
+    function normalizeError(err) {
+        if (isQuotaError(err)) {
+            const error = new Error('Browser storage is full. Delete old drafts to free up space.');
+            error.quotaExceeded = true;
+            error.cause = err;
+            return error;
+        }
+        return err || new Error('Unknown storage error');
+    }
+
+    // ===========================
+    // INDEXEDDB BACKEND
+    // ===========================
+
+    /**
+     * Open (and create or upgrade) the database
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DOCS_STORE)) {
+                    const store = db.createObjectStore(DOCS_STORE, { keyPath: ['author', 'id'] });
+                    store.createIndex('author', 'author');
+                    store.createIndex('id', 'id');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against an object store (the docs by default) and
+     * resolve with its result once the transaction has committed
+     */
+    function transact(db, mode, fn, storeName = DOCS_STORE) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(normalizeError(tx.error));
+            tx.onabort = () => reject(normalizeError(tx.error || new Error('Storage transaction aborted')));
+        });
+    }
+
+    /**
+     * Copy the legacy localStorage blob into IndexedDB, once
+     */
+    function migrateLegacyStore(db) {
+        if (localStorage.getItem(MIGRATED_KEY)) return Promise.resolve();
+
+        const legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || '{}');
+        const docs = [];
+        for (const user in legacy) {
+            (legacy[user] || []).forEach(doc => {
+                docs.push({ ...doc, id: String(doc.id), author: user });
+            });
+        }
+
+        return transact(db, 'readwrite', store => {
+            docs.forEach(doc => store.put(doc));
+        }).then(() => {
+            // The legacy blob stays: it is what the fallback backend reads
+            // if IndexedDB can't be opened later (private mode, quota, ...)
+            localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+        });
+    }
+
+    /**
+     * Backend storing one record per document in IndexedDB
+     */
+    function createIndexedDBBackend(db) {
+        return {
+            getDoc: (author, id) => transact(db, 'readonly', store => store.get([author, String(id)]))
+                .then(doc => doc || null),
+            findDocs: id => transact(db, 'readonly', store => store.index('id').getAll(String(id))),
+            listUserDocs: author => transact(db, 'readonly', store => store.index('author').getAll(author)),
+            listAllDocs: () => transact(db, 'readonly', store => store.getAll()),
+            putDoc: doc => transact(db, 'readwrite', store => store.put(doc)),
+            deleteDoc: (author, id) => transact(db, 'readwrite', store => store.delete([author, String(id)]))
+        };
+    }
+
+    // ===========================
+    // LOCALSTORAGE BACKEND (FALLBACK)
+    // ===========================
+
+    /**
+     * Backend using the legacy single-blob format
+     */
+    function createLocalStorageBackend() {
+        const read = () => JSON.parse(localStorage.getItem(LEGACY_KEY) || '{}');
+        const write = allDocs => {
+            try {
+                localStorage.setItem(LEGACY_KEY, JSON.stringify(allDocs));
+            } catch (err) {
+                throw normalizeError(err);
+            }
+        };
+        const withAuthor = (user, docs) => (docs || []).map(doc => ({ ...doc, id: String(doc.id), author: user }));
+        const listAll = () => {
+            const allDocs = read();
+            return Object.keys(allDocs).reduce((docs, user) => docs.concat(withAuthor(user, allDocs[user])), []);
+        };
+
+        return {
+            getDoc: async (author, id) => withAuthor(author, read()[author]).find(doc => doc.id == id) || null,
+            findDocs: async id => listAll().filter(doc => doc.id == id),
+            listUserDocs: async author => withAuthor(author, read()[author]),
+            listAllDocs: async () => listAll(),
+            putDoc: async doc => {
+                const allDocs = read();
+                const userDocs = allDocs[doc.author] = allDocs[doc.author] || [];
+                const index = userDocs.findIndex(d => d.id == doc.id);
+                if (index > -1) userDocs[index] = doc;
+                else userDocs.push(doc);
+                write(allDocs);
+            },
+            deleteDoc: async (author, id) => {
+                const allDocs = read();
+                allDocs[author] = (allDocs[author] || []).filter(doc => doc.id != id);
+                write(allDocs);
+            }
+        };
+    }
+
+    // ===========================
+    // SYNC SERVER BACKEND
+    // ===========================
+
+    /**
+     * Backend storing documents on a sync server through its REST API
+     */
+    function createServerBackend(serverUrl) {
+        const base = `${serverUrl.replace(/\/+$/, '')}/api/docs`;
+        const docUrl = (author, id) => `${base}/${encodeURIComponent(author)}/${encodeURIComponent(id)}`;
+
+        const request = async (url, options = {}, retried = false) => {
+            await loadSyncToken();
+            const token = getSyncToken();
+            const headers = token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+            let response;
+            try {
+                response = await fetch(url, { ...options, headers: headers });
+            } catch (err) {
+                const error = new Error('The sync server could not be reached.');
+                error.offline = true;
+                error.cause = err;
+                throw error;
+            }
+            // No token yet, or a replaced one: ask for it and try once more
+            if (response.status === 401 && !retried && await askForSyncToken()) {
+                return request(url, options, true);
+            }
+            if (response.status === 404 && options.method !== 'PUT') return null;
+            const body = await response.json();
+            if (!response.ok) {
+                const error = new Error(body.error || `Sync server error (${response.status})`);
+                error.status = response.status;
+                // A 409's copy of the document as the server has it
+                error.current = body.current || null;
+                throw error;
+            }
+            return body;
+        };
+        // With a base (the modifiedAt of the copy changed, '' for none), the
+        // server refuses with a 409 if its copy has changed since
+        const send = (method, url, doc, base) => request(
+            base === undefined ? url : `${url}?base=${encodeURIComponent(base)}`,
+            {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: doc ? JSON.stringify(doc) : undefined
+            }
+        ).then(() => undefined);
+
+        return {
+            getDoc: (author, id) => request(docUrl(author, id)),
+            findDocs: id => request(`${base}?id=${encodeURIComponent(id)}`),
+            listUserDocs: author => request(`${base}?author=${encodeURIComponent(author)}`),
+            listAllDocs: () => request(base),
+            putDoc: (doc, base) => send('PUT', docUrl(doc.author, doc.id), doc, base),
+            deleteDoc: (author, id, base) => send('DELETE', docUrl(author, id), null, base)
+        };
+    }
+
+    // ===========================
+    // OFFLINE QUEUE (SYNC SERVER)
+    // ===========================
+
+    /**
+     * Open the database holding the outbox of writes waiting for the sync
+     * server and the cache of documents last read from it
+     */
+    function openOfflineDatabase() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(OUTBOX_STORE, { keyPath: ['author', 'id'] });
+                db.createObjectStore(CACHE_STORE, { keyPath: ['author', 'id'] });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wrap the server backend so it keeps working without a connection.
+     * Reads fall back to the cached copies; writes are queued in the outbox
+     * (one entry per document, the latest write) and sent by replay() when
+     * the server can be reached again.
+     *
+     * An outbox entry is { author, id, doc, base, queuedAt, nonce }, where doc
+     * is null for a delete and base is the server's copy the first queued
+     * change was made to (null for a new document). One the server turned
+     * down because its copy changed since also has `conflict: true` and that
+     * copy as `remote`; it is not sent again until it is replaced.
+     */
+    function createOfflineBackend(server, db) {
+        const key = (author, id) => [author, String(id)];
+        const readAll = storeName => transact(db, 'readonly', store => store.getAll(), storeName);
+        const readOne = (storeName, author, id) =>
+            transact(db, 'readonly', store => store.get(key(author, id)), storeName);
+        let replaying = null;
+        let retryTimer = null;
+
+        // Replace the cached copies matching a read with its results
+        const remember = (docs, matches) => transact(db, 'readwrite', store => {
+            const cursor = store.openCursor();
+            cursor.onsuccess = () => {
+                if (cursor.result) {
+                    if (matches(cursor.result.value)) cursor.result.delete();
+                    cursor.result.continue();
+                } else {
+                    docs.forEach(doc => store.put(doc));
+                }
+            };
+        }, CACHE_STORE).catch(err => console.warn('Could not keep an offline copy:', err));
+
+        // Show queued writes on top of what was read
+        const withQueued = async (docs, matches) => {
+            const byKey = new Map(docs.map(doc => [key(doc.author, doc.id).join('/'), doc]));
+            (await readAll(OUTBOX_STORE)).filter(matches).forEach(entry => {
+                const k = key(entry.author, entry.id).join('/');
+                if (entry.doc) byKey.set(k, entry.doc);
+                else byKey.delete(k);
+            });
+            return Array.from(byKey.values());
+        };
+
+        const readList = async (load, matches) => {
+            let docs;
+            try {
+                docs = await load();
+                remember(docs, matches);
+            } catch (err) {
+                if (!err.offline) throw err;
+                docs = (await readAll(CACHE_STORE)).filter(matches);
+            }
+            return withQueued(docs, matches);
+        };
+
+        // Queue a write (doc) or delete (null), replacing any earlier one for that document
+        const enqueue = async (author, id, doc) => {
+            // The change builds on the server's copy the queue started from,
+            // and stays in conflict with the server's if the earlier one was
+            const queued = await readOne(OUTBOX_STORE, author, id);
+            const base = queued ? queued.base : await readOne(CACHE_STORE, author, id);
+            await transact(db, 'readwrite', store => {
+                // The nonce tells a newer write from the one being replayed
+                store.put({
+                    ...(queued && queued.conflict ? { conflict: true, remote: queued.remote } : {}),
+                    author: author, id: String(id), doc: doc, base: base || null,
+                    queuedAt: new Date().toISOString(), nonce: Math.random()
+                });
+            }, OUTBOX_STORE);
+            const cached = doc ? store => store.put(doc) : store => store.delete(key(author, id));
+            await transact(db, 'readwrite', cached, CACHE_STORE);
+            return { queued: true };
+        };
+
+        // Forget a queued write once the server has it, unless it was replaced meanwhile
+        const dequeue = (entry, doc) => transact(db, 'readwrite', store => {
+            const request = store.get(key(entry.author, entry.id));
+            request.onsuccess = () => {
+                if (request.result && (!entry.nonce || request.result.nonce === entry.nonce)) {
+                    store.delete(key(entry.author, entry.id));
+                }
+            };
+        }, OUTBOX_STORE).then(() => transact(db, 'readwrite', store => {
+            if (doc) store.put(doc);
+            else store.delete(key(entry.author, entry.id));
+        }, CACHE_STORE));
+
+        // Mark a queued write the server turned down as a conflict with its copy,
+        // unless it was replaced meanwhile
+        const markConflict = (entry, remote) => transact(db, 'readwrite', store => {
+            const request = store.get(key(entry.author, entry.id));
+            request.onsuccess = () => {
+                if (request.result && request.result.nonce === entry.nonce) {
+                    store.put({ ...entry, conflict: true, remote: remote });
+                }
+            };
+        }, OUTBOX_STORE);
+
+        // Tell this tab and the others what became of queued writes
+        const announce = (type, docs) => {
+            if (docs.length === 0) return;
+            const change = { type: type, docs: docs };
+            notifyChange(change);
+            localListeners.forEach(listener => listener(change));
+        };
+
+        // Send queued writes in the order they were made
+        const sendQueued = async () => {
+            const entries = (await readAll(OUTBOX_STORE)).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+            const sent = [];
+            const conflicts = [];
+            const rejected = [];
+            for (const entry of entries) {
+                if (entry.conflict) continue;
+                const base = (entry.base && entry.base.modifiedAt) || '';
+                try {
+                    if (entry.doc) await server.putDoc(entry.doc, base);
+                    else await server.deleteDoc(entry.author, entry.id, base);
+                } catch (err) {
+                    if (err.offline) {
+                        clearTimeout(retryTimer);
+                        retryTimer = setTimeout(replay, REPLAY_RETRY_MS);
+                        break;
+                    }
+                    if (err.status === 409 && entry.doc) {
+                        // Changed on the server meanwhile: wait for the editor to merge them
+                        await markConflict(entry, err.current);
+                        conflicts.push({ author: entry.author, id: entry.id });
+                    } else {
+                        // Refused for good (or a delete of a changed document): drop it
+                        console.warn(`The sync server refused an offline change to ${entry.author}/${entry.id}:`, err);
+                        await dequeue(entry, err.status === 409 ? err.current : entry.base);
+                        rejected.push({ author: entry.author, id: entry.id, message: err.message });
+                    }
+                    continue;
+                }
+                await dequeue(entry, entry.doc);
+                sent.push({ author: entry.author, id: entry.id });
+            }
+            announce('synced', sent);
+            announce('conflict', conflicts);
+            announce('rejected', rejected);
+        };
+
+        const replay = () => {
+            if (!replaying) {
+                replaying = sendQueued()
+                    .catch(err => console.warn('Could not send offline changes:', err))
+                    .finally(() => { replaying = null; });
+            }
+            return replaying;
+        };
+
+        // Write through to the server, queueing the write if it can't be reached
+        const write = async (author, id, doc, send) => {
+            // A replay in progress mustn't send an older version after this one
+            if (replaying) await replaying;
+            // Nor may a write undo changes on the server a queued one conflicts with
+            const queued = await readOne(OUTBOX_STORE, author, id);
+            if (queued && queued.conflict) return enqueue(author, id, doc);
+            try {
+                await send();
+            } catch (err) {
+                if (!err.offline) throw err;
+                return enqueue(author, id, doc);
+            }
+            await dequeue({ author: author, id: id }, doc);
+            // The server is reachable, so anything still queued can go too
+            replay();
+        };
+
+        window.addEventListener('online', replay);
+        replay();
+
+        return {
+            getDoc: async (author, id) => {
+                const queued = await readOne(OUTBOX_STORE, author, id);
+                if (queued) return queued.doc;
+                try {
+                    const doc = await server.getDoc(author, id);
+                    remember(doc ? [doc] : [], d => d.author === author && d.id === String(id));
+                    return doc;
+                } catch (err) {
+                    // A document that was never read here can't be opened offline
+                    const cached = err.offline && await readOne(CACHE_STORE, author, id);
+                    if (cached) return cached;
+                    throw err;
+                }
+            },
+            findDocs: id => readList(() => server.findDocs(id), doc => doc.id === String(id)),
+            listUserDocs: author => readList(() => server.listUserDocs(author), doc => doc.author === author),
+            listAllDocs: () => readList(() => server.listAllDocs(), () => true),
+            putDoc: doc => write(doc.author, doc.id, doc, () => server.putDoc(doc)),
+            deleteDoc: (author, id) => write(author, id, null, () => server.deleteDoc(author, id)),
+            getConflict: async (author, id) => {
+                const queued = await readOne(OUTBOX_STORE, author, id);
+                return queued && queued.conflict ? { base: queued.base, local: queued.doc, remote: queued.remote } : null;
+            },
+            discardConflict: async (author, id) => {
+                const queued = await readOne(OUTBOX_STORE, author, id);
+                if (queued && queued.conflict) await dequeue(queued, queued.remote);
+            }
+        };
+    }
+
+    // ===========================
+    // BACKEND SELECTION
+    // ===========================
+
+    /**
+     * Resolve the active backend, opening and migrating on first use
+     */
+    function getBackend() {
+        if (!backendPromise && isServerBacked()) {
+            const server = createServerBackend(ZenoConfig.syncServer);
+            backendPromise = openOfflineDatabase()
+                .then(db => createOfflineBackend(server, db))
+                .catch(err => {
+                    console.warn('Offline copies unavailable, working online only:', err);
+                    return server;
+                });
+        }
+        if (!backendPromise) {
+            backendPromise = openDatabase()
+                .then(db => migrateLegacyStore(db).then(() => createIndexedDBBackend(db)))
+                .catch(err => {
+                    console.warn('IndexedDB unavailable, using localStorage instead:', err);
+                    return createLocalStorageBackend();
+                });
+        }
+        return backendPromise;
+    }
+
+    /**
+     * Whether documents live on a sync server
+     */
+    function isServerBacked() {
+        return typeof ZenoConfig !== 'undefined' && !!ZenoConfig.syncServer;
+    }
+
+    /**
+     * The signed-in user's sync server access token, or '' if this tab doesn't have it
+     */
+    function getSyncToken() {
+        return sessionStorage.getItem(SESSION_TOKEN_PREFIX + Auth.getCurrentUser()) || '';
+    }
+
+    /**
+     * Keep an access token for this tab, and encrypted with the account if
+     * it has a passphrase (never unencrypted)
+     */
+    async function keepSyncToken(token) {
+        sessionStorage.setItem(SESSION_TOKEN_PREFIX + Auth.getCurrentUser(), token);
+        Auth.setUserData(SYNC_TOKEN_KEY, await Auth.seal(token));
+    }
+
+    /**
+     * Give this tab the access token kept with the account, if there is one
+     */
+    async function loadSyncToken() {
+        if (!Auth.getCurrentUser() || getSyncToken()) return;
+        const kept = Auth.getUserData(SYNC_TOKEN_KEY, null);
+        if (typeof kept === 'string') {
+            // Kept unencrypted before: keep it the new way instead
+            await keepSyncToken(kept);
+        } else if (kept) {
+            const token = await Auth.unseal(kept).catch(() => '');
+            if (token) sessionStorage.setItem(SESSION_TOKEN_PREFIX + Auth.getCurrentUser(), token);
+        }
+    }
+
+    /**
+     * Ask the signed-in user for their access token (the server's admin makes
+     * one with `node sync-server.js --add-user`); resolves whether one was given
+     */
+    function askForSyncToken() {
+        if (!Auth.getCurrentUser()) return Promise.resolve(false);
+        if (!tokenPrompt) {
+            tokenPrompt = Promise.resolve().then(async () => {
+                const token = (window.prompt(
+                    'Enter your access token for the sync server. Ask whoever runs the server if you don\'t have one.'
+                ) || '').trim();
+                if (token) await keepSyncToken(token);
+                return !!token;
+            }).finally(() => {
+                tokenPrompt = null;
+            });
+        }
+        return tokenPrompt;
+    }
+
+    /**
+     * Forward a call to the active backend
+     */
+    function call(method) {
+        return (...args) => getBackend().then(backend => backend[method](...args));
+    }
+
+    // ===========================
+    // ACCESS AND ENCRYPTION
+    // ===========================
+
+    /**
+     * Whether a document is shared with collaborators on a sync server
+     */
+    function isShared(doc) {
+        return isServerBacked() && Array.isArray(doc.collaborators) && doc.collaborators.length > 0;
+    }
+
+    /**
+     * Whether the signed-in user may save a document: their own, or one
+     * shared with them
+     */
+    function canWrite(doc) {
+        const user = Auth.getCurrentUser();
+        if (!user) return false;
+        if (doc.author === user) return true;
+        return isShared(doc) && doc.collaborators.some(name => name.toLowerCase() === user.toLowerCase());
+    }
+
+    /**
+     * Prepare a document for storage: check the signed-in user may write it
+     * and encrypt its private fields if they use encryption.
+     * Documents published before there were public copies are stored
+     * readable, since anyone may view them, and so are shared documents.
+     */
+    async function sealDoc(doc) {
+        if (!canWrite(doc)) {
+            throw new Error('You can only change your own documents and those shared with you.');
+        }
+        if (doc.locked) {
+            throw new Error('This document is encrypted and can\'t be saved until it is unlocked.');
+        }
+
+        const { title, content, tags, history, historyImages, comments, sealed, ...rest } = doc;
+        const fields = {
+            title: title, content: content, tags: tags, history: history, historyImages: historyImages, comments: comments
+        };
+        if ((doc.published && !doc.publication) || isShared(doc)) return { ...rest, ...fields };
+
+        const encrypted = await Auth.seal(fields);
+        return encrypted ? { ...rest, sealed: encrypted } : { ...rest, ...fields };
+    }
+
+    /**
+     * Decrypt a stored document's private fields, if they are encrypted
+     */
+    async function openDoc(doc) {
+        if (!doc || !doc.sealed) return upgradeDoc(doc);
+
+        const { sealed, ...rest } = doc;
+        try {
+            if (doc.author !== Auth.getCurrentUser()) throw new Error('Not the owner');
+            return upgradeDoc({ ...rest, ...(await Auth.unseal(sealed)) });
+        } catch (err) {
+            return upgradeDoc({ ...rest, title: 'Encrypted document', content: '', tags: [], history: [], historyImages: {}, comments: [], locked: true });
+        }
+    }
+
+    /**
+     * Fill in the fields documents stored before folders lack: they are in
+     * the root folder, not starred and not in the trash. Stored documents
+     * aren't rewritten for this; the next save stores the fields.
+     */
+    function upgradeDoc(doc) {
+        return doc && { folderId: ROOT_FOLDER, starred: false, trashedAt: null, ...doc };
+    }
+
+    /**
+     * Decrypt a list of stored documents
+     */
+    function openDocs(docs) {
+        return Promise.all(docs.map(openDoc));
+    }
+
+    // ===========================
+    // CHANGE NOTIFICATIONS
+    // ===========================
+
+    /**
+     * Get the shared channel, if BroadcastChannel is supported
+     */
+    function getChannel() {
+        if (!changeChannel && 'BroadcastChannel' in window) {
+            changeChannel = new BroadcastChannel(CHANGE_CHANNEL);
+        }
+        return changeChannel;
+    }
+
+    /**
+     * Tell other tabs that a document was written or deleted
+     */
+    function notifyChange(change) {
+        const channel = getChannel();
+        if (channel) {
+            channel.postMessage(change);
+            return;
+        }
+        try {
+            // The nonce makes every write a change, so `storage` always fires
+            localStorage.setItem(CHANGE_KEY, JSON.stringify({ ...change, nonce: Math.random() }));
+        } catch (err) {
+            console.warn('Could not notify other tabs:', err);
+        }
+    }
+
+    /**
+     * Listen for documents changed in other tabs.
+     * The listener receives { type: 'put' | 'delete', author, id, modifiedAt },
+     * or, when the sync server has been sent changes made offline (in this
+     * tab too), { type, docs: [{ author, id }] } with type 'synced' for those
+     * it took, 'conflict' for those waiting to be merged (see getConflict())
+     * and 'rejected' for those it refused (each doc with the `message` why).
+     */
+    function subscribe(listener) {
+        localListeners.push(listener);
+        const channel = getChannel();
+        if (channel) {
+            channel.addEventListener('message', e => listener(e.data));
+            return;
+        }
+        window.addEventListener('storage', e => {
+            if (e.key === CHANGE_KEY && e.newValue) {
+                listener(JSON.parse(e.newValue));
+            }
+        });
+    }
+
+    // ===========================
+    // PUBLISHING
+    // ===========================
+
+    /**
+     * The public copy of a published document, or null:
+     * { title, content, tags, excerpt, slug, publishAt, expiresAt, publishedAt, updatedAt }.
+     * A document published before there were public copies is its own.
+     */
+    function getPublication(doc) {
+        if (!doc || !doc.published) return null;
+        if (doc.publication) return doc.publication;
+        return {
+            title: doc.title,
+            content: doc.content,
+            tags: doc.tags || [],
+            excerpt: '',
+            slug: '',
+            publishAt: null,
+            expiresAt: null,
+            publishedAt: doc.modifiedAt,
+            updatedAt: doc.modifiedAt
+        };
+    }
+
+    /**
+     * Where a document stands with readers: 'draft' (or in the trash),
+     * 'scheduled' (its publish time is still to come), 'live' or 'expired'
+     */
+    function getPublishState(doc, now = Date.now()) {
+        const publication = getPublication(doc);
+        // Documents in the trash are off the site until they are restored
+        if (!publication || doc.trashedAt) return 'draft';
+        if (publication.publishAt && Date.parse(publication.publishAt) > now) return 'scheduled';
+        if (publication.expiresAt && Date.parse(publication.expiresAt) <= now) return 'expired';
+        return 'live';
+    }
+
+    /**
+     * Take a document off the site. Changes the document in place; its
+     * address and description are kept for when it is published again.
+     */
+    function unpublish(doc) {
+        const { slug = '', excerpt = '' } = doc.publication || {};
+        doc.published = false;
+        doc.publication = { slug: slug, excerpt: excerpt };
+    }
+
+    /**
+     * Link to a document's public page, by its address (slug) if it has one
+     */
+    function getPublicPath(doc) {
+        const slug = doc.publication && doc.publication.slug;
+        const query = `author=${encodeURIComponent(doc.author)}&` +
+            (slug ? `slug=${encodeURIComponent(slug)}` : `id=${encodeURIComponent(doc.id)}`);
+        return `view.html?${query}`;
+    }
+
+    // ===========================
+    // IDS
+    // ===========================
+
+    /**
+     * A new document id. Ids are random, so documents created in the same
+     * millisecond (imports, duplicates, other tabs) never overwrite each other.
+     */
+    function createId() {
+        if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+        // randomUUID() needs a secure context, which plain http:// isn't
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+    }
+
+    // ===========================
+    // TRASH
+    // ===========================
+
+    /**
+     * Delete one of the signed-in user's documents for good
+     */
+    function deleteDoc(author, id) {
+        if (author !== Auth.getCurrentUser()) {
+            return Promise.reject(new Error('You can only delete your own documents.'));
+        }
+        return call('deleteDoc')(author, id).then(() => {
+            notifyChange({ type: 'delete', author: author, id: String(id) });
+        });
+    }
+
+    /**
+     * Move a document to the trash. Changes the document in place.
+     */
+    function trash(doc) {
+        doc.trashedAt = new Date().toISOString();
+    }
+
+    /**
+     * Take a document out of the trash. Changes the document in place.
+     */
+    function restore(doc) {
+        doc.trashedAt = null;
+    }
+
+    /**
+     * Delete an author's documents that have been in the trash for 30 days.
+     * Resolves to how many were deleted.
+     */
+    async function purgeTrash(author, now = Date.now()) {
+        // trashedAt is never encrypted, so the stored documents will do
+        const docs = await call('listUserDocs')(author);
+        const expired = docs.filter(doc => doc.trashedAt && now - Date.parse(doc.trashedAt) >= TRASH_LIFETIME);
+        for (const doc of expired) {
+            await deleteDoc(author, doc.id);
+        }
+        return expired.length;
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+    return {
+        /** Get one document by author and id, or null */
+        getDoc: (author, id) => call('getDoc')(author, id).then(openDoc),
+        /** Get every document with this id, across all authors */
+        findDocs: id => call('findDocs')(id).then(openDocs),
+        /** Get all of one author's documents */
+        listUserDocs: author => call('listUserDocs')(author).then(openDocs),
+        /** Get every document readers can see right now */
+        listPublishedDocs: () => call('listAllDocs')()
+            .then(docs => docs.filter(doc => getPublishState(doc) === 'live')),
+        /** Get the published document an author gave this address (slug), or null */
+        findPublishedDoc: (author, slug) => call('listUserDocs')(author).then(openDocs)
+            .then(docs => docs.find(doc => doc.published && doc.publication && doc.publication.slug === slug) || null),
+        /**
+         * Insert or replace one of the signed-in user's documents; doc.author and doc.id identify it.
+         * Resolves to { queued: true } if the sync server couldn't be reached and the write waits to be sent.
+         */
+        putDoc: doc => sealDoc({ ...doc, id: String(doc.id) }).then(call('putDoc')).then(result => {
+            notifyChange({ type: 'put', author: doc.author, id: String(doc.id), modifiedAt: doc.modifiedAt });
+            return result && result.queued ? result : undefined;
+        }),
+        /** Delete one of the signed-in user's documents for good */
+        deleteDoc: deleteDoc,
+        /**
+         * A change saved offline that the sync server turned down because the document changed there:
+         * { base, local, remote } (remote is null if it was deleted there), or null
+         */
+        getConflict: (author, id) => getBackend()
+            .then(backend => (backend.getConflict ? backend.getConflict(author, id) : null))
+            .then(conflict => conflict && Promise.all([openDoc(conflict.base), openDoc(conflict.local), openDoc(conflict.remote)])
+                .then(([base, local, remote]) => ({ base: base, local: local, remote: remote }))),
+        /** Drop a conflicting change saved offline, keeping the sync server's copy */
+        discardConflict: (author, id) => getBackend()
+            .then(backend => backend.discardConflict && backend.discardConflict(author, id)),
+        /** A new, unique document id */
+        createId: createId,
+        /** Move a document to the trash (in place) */
+        trash: trash,
+        /** Take a document out of the trash (in place) */
+        restore: restore,
+        /** Delete an author's documents trashed over 30 days ago */
+        purgeTrash: purgeTrash,
+        /** Id of the folder every user's documents start in */
+        ROOT_FOLDER: ROOT_FOLDER,
+        /** Listen for changes made in other tabs */
+        subscribe: subscribe,
+        /** Whether documents are stored on a sync server */
+        isServerBacked: isServerBacked,
+        /** The signed-in user's sync server access token, or '' */
+        getSyncToken: getSyncToken,
+        /** A document's frozen public copy, or null */
+        getPublication: getPublication,
+        /** 'draft', 'scheduled', 'live' or 'expired' */
+        getPublishState: getPublishState,
+        /** Take a document off the site (in place) */
+        unpublish: unpublish,
+        /** Link to a document's public page */
+        getPublicPath: getPublicPath
+    };
+})();
@@ -0,0 +1,216 @@
+/**
+ * ZENO DRAFT - MARKDOWN AUTOFORMAT
+ * Input rules that turn Markdown typed into the editor into formatting:
+ * "# " to "### " make headings, "- " and "1. " start lists, "> " quotes,
+ * "---" draws a rule, and **bold**, *italic* and `code` convert inline.
+ *
+ * Each conversion is its own undo step, so Ctrl+Z right after it brings the
+ * typed characters back. The rules can be turned off per user
+ * (Auth.getUserData).
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const AUTOFORMAT_SETTING_KEY = 'autoformat';
+
+// Line-start rules, checked when a space is typed: [pattern, convert]
+const BLOCK_INPUT_RULES = [
+    [/^#\s$/, () => setBlockType('h1')],
+    [/^##\s$/, () => setBlockType('h2')],
+    [/^###\s$/, () => setBlockType('h3')],
+    [/^[-*]\s$/, () => toggleList('ul')],
+    [/^1[.)]\s$/, () => toggleList('ol')],
+    [/^>\s$/, () => toggleBlockquote()]
+];
+
+// Inline rules, checked against the text before the caret:
+// [pattern, mark (see MARKS), marker length]. The text between the markers
+// must not start or end with a space.
+const INLINE_INPUT_RULES = [
+    [/\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/, 'bold', 2],
+    [/(?:^|[^*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/, 'italic', 1],
+    [/(?:^|[^`\\])`([^`]+)`$/, 'code', 1]
+];
+
+let autoformatEnabled = true;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the input rules and their setting
+ */
+function initializeAutoformat() {
+    const toggle = document.getElementById('autoformat-toggle');
+    autoformatEnabled = Auth.getUserData(AUTOFORMAT_SETTING_KEY, true) !== false;
+    toggle.checked = autoformatEnabled;
+
+    toggle.addEventListener('change', function() {
+        autoformatEnabled = this.checked;
+        try {
+            Auth.setUserData(AUTOFORMAT_SETTING_KEY, autoformatEnabled);
+        } catch (err) {
+            console.warn('Autoformat setting not saved:', err);
+        }
+    });
+
+    editor.addEventListener('input', handleAutoformatInput);
+    registerCommand({
+        id: 'toggleAutoformat', title: 'Markdown shortcuts on/off', group: 'View',
+        run: () => toggle.click()
+    });
+}
+
+// ===========================
+// INPUT RULES
+// ===========================
+
+/**
+ * Apply the first input rule the typed character completes
+ */
+function handleAutoformatInput(e) {
+    if (!autoformatEnabled || e.inputType !== 'insertText' || !e.data || e.isComposing) return;
+    // Suggestions are plain text (see docs-review.js)
+    if (isSuggesting()) return;
+
+    const range = getEditorRange();
+    if (!range || !range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return;
+    // Markdown characters in code are just code
+    if (findAncestor(range.startContainer, el => el.tagName === 'PRE' || el.tagName === 'CODE')) return;
+
+    const typed = e.data.slice(-1);
+    const applied = (typed === ' ' && applyBlockRule(range)) ||
+        (typed === '-' && applyRuleLine(range)) ||
+        ((typed === '*' || typed === '`') && applyInlineRule(range));
+
+    if (applied) {
+        markAsUnsaved();
+        updateToolbarStates();
+    }
+}
+
+/**
+ * The paragraph holding the caret, if block rules may change it.
+ * Headings, list items and table cells are left alone.
+ */
+function getAutoformatBlock(range) {
+    const block = findAncestor(range.startContainer, el => el.matches(TEXT_BLOCK_SELECTOR));
+    return block && (block.tagName === 'P' || block.tagName === 'DIV') ? block : null;
+}
+
+/**
+ * Text of a block from its start up to the caret
+ */
+function getTextBeforeCaret(block, range) {
+    const before = document.createRange();
+    before.setStart(block, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    return before.toString();
+}
+
+/**
+ * Remove the typed Markdown from the start of a block, keeping the block
+ * able to hold the caret
+ */
+function removeTypedPrefix(block, range) {
+    const prefix = document.createRange();
+    prefix.setStart(block, 0);
+    prefix.setEnd(range.startContainer, range.startOffset);
+    prefix.deleteContents();
+
+    if (!block.textContent && !block.querySelector('br, img')) {
+        block.appendChild(document.createElement('br'));
+    }
+    const caret = document.createRange();
+    caret.setStart(block, 0);
+    selectRange(caret);
+}
+
+/**
+ * Headings, lists and quotes typed at the start of a paragraph
+ */
+function applyBlockRule(range) {
+    const block = getAutoformatBlock(range);
+    if (!block) return false;
+
+    const text = getTextBeforeCaret(block, range);
+    const rule = BLOCK_INPUT_RULES.find(([pattern]) => pattern.test(text));
+    if (!rule) return false;
+
+    // The typed characters are the step Ctrl+Z returns to
+    recordUndoPoint();
+    removeTypedPrefix(block, range);
+    rule[1]();
+    placeCaretInTextBlock();
+    return true;
+}
+
+/**
+ * Move a caret left between blocks (e.g. before a new list item) into the
+ * start of the text block that follows it
+ */
+function placeCaretInTextBlock() {
+    const range = getEditorRange();
+    if (!range || range.startContainer.nodeType !== Node.ELEMENT_NODE ||
+        range.startContainer.matches(TEXT_BLOCK_SELECTOR)) return;
+
+    let node = range.startContainer.childNodes[range.startOffset];
+    while (node && node.nodeType === Node.ELEMENT_NODE && !node.matches(TEXT_BLOCK_SELECTOR)) {
+        node = node.firstChild;
+    }
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+
+    const caret = document.createRange();
+    caret.setStart(node, 0);
+    selectRange(caret);
+}
+
+/**
+ * "---" on a line of its own becomes a horizontal rule
+ */
+function applyRuleLine(range) {
+    const block = getAutoformatBlock(range);
+    if (!block || block.parentNode !== editor || block.textContent !== '---') return false;
+
+    recordUndoPoint();
+    removeTypedPrefix(block, range);
+    insertBlockAtCaret(document.createElement('hr'));
+    return true;
+}
+
+/**
+ * **bold**, *italic* and `code` closed by the character just typed.
+ * The markers must all be in the text node being typed into.
+ */
+function applyInlineRule(range) {
+    const node = range.startContainer;
+    const text = node.data.slice(0, range.startOffset);
+
+    for (const [pattern, name, markerLength] of INLINE_INPUT_RULES) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const inner = match[1];
+        recordUndoPoint();
+        const marked = document.createRange();
+        marked.setStart(node, range.startOffset - inner.length - 2 * markerLength);
+        marked.setEnd(node, range.startOffset);
+        marked.deleteContents();
+
+        const element = document.createElement(MARKS[name].tag);
+        element.textContent = inner;
+        marked.insertNode(element);
+
+        const caret = document.createRange();
+        caret.setStartAfter(element);
+        selectRange(caret);
+
+        // What is typed next continues without the mark
+        const after = getEditorRange();
+        pendingMarks = { marks: { [name]: false }, caret: { node: after.startContainer, offset: after.startOffset } };
+        return true;
+    }
+    return false;
+}
@@ -0,0 +1,495 @@
+/**
+ * ZENO DRAFT - LIVE COLLABORATION
+ * When config.js names a sync server, the open document is co-edited live.
+ * Local changes are sent to the server as text operations on the editor
+ * HTML (ot.js); everyone else's are transformed past ours and merged in.
+ * Collaborators' cursors and names are drawn over the page.
+ * Without a sync server none of this runs.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Reconnect after 1 second at first, backing off to 30 seconds
+const COLLAB_RECONNECT_MIN = 1000;
+const COLLAB_RECONNECT_MAX = 30000;
+// Cursor positions are sent at most every 100ms
+const COLLAB_CURSOR_DELAY = 100;
+
+let collabSocket = null;
+let collabJoined = false;
+// Whether joining waits for a conflict with changes saved offline to be resolved
+let collabWaiting = false;
+let collabReconnectDelay = COLLAB_RECONNECT_MIN;
+let collabCursorTimer = null;
+
+// The document as the server last confirmed it, at collabRevision
+let collabRevision = 0;
+let collabServerHTML = '';
+// The document as this tab knows it, including changes not yet confirmed
+let collabLocalHTML = '';
+let collabTitle = '';
+// A sent operation awaiting the server's ack, and changes made meanwhile
+let collabOutstanding = null;
+let collabBuffer = null;
+
+// Other people in the document: clientId -> { user, color, selection }
+const collabPeers = new Map();
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Whether documents are co-edited through a sync server
+ */
+function isCollaborating() {
+    return DocStore.isServerBacked();
+}
+
+/**
+ * Initialize live collaboration, if a sync server is configured
+ */
+function initializeCollaboration() {
+    if (!isCollaborating()) return;
+
+    document.getElementById('collab-presence').hidden = false;
+    document.getElementById('collab-share-btn').addEventListener('click', copyShareLink);
+    document.addEventListener('selectionchange', scheduleCursorUpdate);
+    window.addEventListener('resize', renderPeerCursors);
+
+    // Only the owner publishes
+    publishBtn.hidden = currentDocAuthor !== currentUser;
+
+    // New documents join once their first save has created them, and ones
+    // with a conflicting change saved offline once it's resolved (see docs-sync.js)
+    if (!currentProjectId) {
+        setCollabStatus('Not shared yet');
+    } else if (isConflictPending()) {
+        collabWaiting = true;
+        setCollabStatus('Paused');
+    } else {
+        joinCollabSession(syncBase.content, syncBase.title);
+    }
+}
+
+/**
+ * Join the open document if that waited for a conflict to be resolved
+ */
+function resumeCollaboration() {
+    if (!collabWaiting) return;
+    collabWaiting = false;
+    joinCollabSession(syncBase.content, syncBase.title);
+}
+
+/**
+ * Whether co-editing of the open document has started (it has while reconnecting too)
+ */
+function hasCollabSession() {
+    return collabSocket !== null;
+}
+
+/**
+ * Start co-editing the open document, whose stored content and title (the
+ * version the editor's changes were made to) are baseHTML and baseTitle
+ */
+function joinCollabSession(baseHTML, baseTitle = docTitle.value) {
+    collabServerHTML = baseHTML;
+    collabLocalHTML = baseHTML;
+    collabTitle = baseTitle;
+    collabRevision = 0;
+    connectCollab();
+}
+
+/**
+ * Open the WebSocket and join the document once connected.
+ * Browsers can't send headers with a WebSocket, so the access token goes
+ * in the address.
+ */
+function connectCollab() {
+    const server = ZenoConfig.syncServer.replace(/\/+$/, '').replace(/^http/, 'ws');
+    const url = `${server}/sync?token=${encodeURIComponent(DocStore.getSyncToken())}`;
+    setCollabStatus('Connecting...');
+
+    collabSocket = new WebSocket(url);
+    collabSocket.addEventListener('open', sendJoin);
+    collabSocket.addEventListener('message', function(e) {
+        handleCollabMessage(JSON.parse(e.data));
+    });
+    collabSocket.addEventListener('close', function() {
+        collabJoined = false;
+        collabPeers.clear();
+        renderPresence();
+        renderPeerCursors();
+        setCollabStatus('Offline - reconnecting');
+
+        // Keep editing offline; changes are merged in on reconnect
+        setTimeout(connectCollab, collabReconnectDelay);
+        collabReconnectDelay = Math.min(collabReconnectDelay * 2, COLLAB_RECONNECT_MAX);
+    });
+}
+
+/**
+ * Ask the server to join the open document
+ */
+function sendJoin() {
+    sendCollabMessage({ type: 'join', author: currentDocAuthor, id: currentProjectId });
+}
+
+/**
+ * Send a message to the server, if connected
+ */
+function sendCollabMessage(message) {
+    if (collabSocket && collabSocket.readyState === WebSocket.OPEN) {
+        collabSocket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * React to a message from the server
+ */
+function handleCollabMessage(message) {
+    if (message.type === 'joined') {
+        handleJoined(message);
+    } else if (message.type === 'ack') {
+        handleAck(message);
+    } else if (message.type === 'op') {
+        handleRemoteOperation(message);
+    } else if (message.type === 'title') {
+        collabTitle = message.title;
+        docTitle.value = message.title;
+        updatePageTitle(message.title);
+    } else if (message.type === 'cursor') {
+        collabPeers.set(message.clientId, { user: message.user, color: message.color, selection: message.selection });
+        renderPresence();
+        renderPeerCursors();
+    } else if (message.type === 'leave') {
+        collabPeers.delete(message.clientId);
+        renderPresence();
+        renderPeerCursors();
+    } else if (message.type === 'error') {
+        console.warn('Sync server:', message.message);
+        // Out of step with the server: reconnecting starts over from its copy
+        if (collabJoined) collabSocket.close();
+        else setCollabStatus('Not shared');
+    }
+}
+
+// ===========================
+// OPERATIONS
+// ===========================
+
+/**
+ * Joined (or rejoined) the document: merge the server's copy with any
+ * changes made here while we weren't connected
+ */
+function handleJoined(message) {
+    collabLocalHTML = editor.innerHTML;
+
+    const remote = TextOperation.fromDiff(collabServerHTML, message.content);
+    const local = TextOperation.fromDiff(collabServerHTML, collabLocalHTML);
+    const [localChanges, remoteChanges] = TextOperation.transform(local, remote);
+
+    collabRevision = message.revision;
+    collabServerHTML = message.content;
+    collabOutstanding = null;
+    collabBuffer = null;
+    if (!TextOperation.isNoop(remoteChanges)) applyCollabOperation(remoteChanges);
+
+    collabJoined = true;
+    collabReconnectDelay = COLLAB_RECONNECT_MIN;
+    if (!TextOperation.isNoop(localChanges)) sendOperation(localChanges);
+
+    // A title changed while offline wins; otherwise take the server's
+    if (docTitle.value !== collabTitle) {
+        collabTitle = docTitle.value;
+        sendCollabMessage({ type: 'title', title: collabTitle });
+    } else if (message.title !== collabTitle) {
+        collabTitle = message.title;
+        docTitle.value = message.title;
+        updatePageTitle(message.title);
+    }
+
+    collabPeers.clear();
+    message.peers.forEach(peer => {
+        collabPeers.set(peer.clientId, { user: peer.user, color: peer.color, selection: peer.selection });
+    });
+    setCollabStatus('Live');
+    renderPresence();
+    renderPeerCursors();
+    scheduleCursorUpdate();
+}
+
+/**
+ * Send local editor changes to the server (called whenever the document
+ * is marked unsaved). Changes made while an operation is in flight wait
+ * in a buffer until it is acknowledged.
+ */
+function sendCollabChanges() {
+    if (!collabJoined) return;
+
+    const html = editor.innerHTML;
+    if (html !== collabLocalHTML) {
+        const operation = TextOperation.fromDiff(collabLocalHTML, html);
+        collabLocalHTML = html;
+
+        if (collabOutstanding) {
+            collabBuffer = collabBuffer ? TextOperation.compose(collabBuffer, operation) : operation;
+        } else {
+            sendOperation(operation);
+        }
+    }
+
+    if (docTitle.value !== collabTitle) {
+        collabTitle = docTitle.value;
+        sendCollabMessage({ type: 'title', title: collabTitle });
+    }
+    scheduleCursorUpdate();
+}
+
+/**
+ * Send an operation based on the last confirmed revision
+ */
+function sendOperation(operation) {
+    collabOutstanding = operation;
+    sendCollabMessage({ type: 'op', revision: collabRevision, op: operation });
+}
+
+/**
+ * The server applied our outstanding operation
+ */
+function handleAck(message) {
+    // A late ack from before a rejoin: that operation was merged on joining
+    if (!collabOutstanding) return;
+
+    collabServerHTML = TextOperation.apply(collabServerHTML, collabOutstanding);
+    collabRevision = message.revision;
+    collabOutstanding = null;
+
+    if (collabBuffer) {
+        const buffered = collabBuffer;
+        collabBuffer = null;
+        sendOperation(buffered);
+    }
+}
+
+/**
+ * Merge someone else's operation, transformed past our unconfirmed changes
+ */
+function handleRemoteOperation(message) {
+    // Make sure every local change is accounted for first
+    sendCollabChanges();
+
+    collabServerHTML = TextOperation.apply(collabServerHTML, message.op);
+    collabRevision = message.revision;
+
+    let operation = message.op;
+    if (collabOutstanding) {
+        [collabOutstanding, operation] = TextOperation.transform(collabOutstanding, operation);
+    }
+    if (collabBuffer) {
+        [collabBuffer, operation] = TextOperation.transform(collabBuffer, operation);
+    }
+    applyCollabOperation(operation);
+}
+
+/**
+ * Apply a remote operation to the editor, keeping the caret in place
+ */
+function applyCollabOperation(operation) {
+    const oldHTML = collabLocalHTML;
+    const newHTML = TextOperation.apply(oldHTML, operation);
+    const selection = getSelectionOffsets();
+
+    collabLocalHTML = newHTML;
+    editor.innerHTML = sanitizeHTML(newHTML);
+    // Collaborators' words aren't this user's writing (see docs-stats.js)
+    shiftWritingBaseline(oldHTML, newHTML);
+    if (selection) {
+        setSelectionOffsets(shiftSelection(selection, oldHTML, newHTML, TextOperation.firstChange(operation)));
+    }
+
+    // Undo steps are whole-document snapshots; restoring one would revert other people's work
+    resetUndoHistory();
+    renderPeerCursors();
+    scheduleCursorUpdate();
+}
+
+/**
+ * Move selection offsets past a change that starts at an HTML index
+ */
+function shiftSelection(selection, oldHTML, newHTML, changeIndex) {
+    const changeAt = htmlTextLength(oldHTML.slice(0, changeIndex));
+    const delta = htmlTextLength(newHTML) - htmlTextLength(oldHTML);
+    const shift = offset => offset > changeAt ? Math.max(changeAt, offset + delta) : offset;
+
+    return { start: shift(selection.start), end: shift(selection.end) };
+}
+
+/**
+ * Length of HTML's text, counted like selection offsets (see docs-commands.js)
+ */
+function htmlTextLength(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return measureText(template.content);
+}
+
+// ===========================
+// PRESENCE AND CURSORS
+// ===========================
+
+/**
+ * Send our selection to the others, at most every COLLAB_CURSOR_DELAY
+ */
+function scheduleCursorUpdate() {
+    if (!collabJoined || collabCursorTimer) return;
+
+    collabCursorTimer = setTimeout(() => {
+        collabCursorTimer = null;
+        sendCollabMessage({ type: 'cursor', selection: getSelectionOffsets() });
+    }, COLLAB_CURSOR_DELAY);
+}
+
+/**
+ * Show the connection state next to the collaborators
+ */
+function setCollabStatus(text) {
+    document.getElementById('collab-status').textContent = text;
+}
+
+/**
+ * Show who else is in the document
+ */
+function renderPresence() {
+    const list = document.getElementById('collab-peers');
+    list.innerHTML = '';
+
+    collabPeers.forEach(peer => {
+        const badge = document.createElement('span');
+        badge.className = 'collab-peer';
+        badge.style.background = peer.color;
+        badge.textContent = peer.user.charAt(0).toUpperCase();
+        badge.title = peer.user;
+        list.appendChild(badge);
+    });
+}
+
+/**
+ * Draw each collaborator's caret, name and selection over the page
+ */
+function renderPeerCursors() {
+    const layer = document.getElementById('collab-cursors');
+    layer.innerHTML = '';
+    const origin = layer.getBoundingClientRect();
+
+    collabPeers.forEach(peer => {
+        if (!peer.selection) return;
+
+        const start = positionAt(peer.selection.start);
+        const end = positionAt(peer.selection.end);
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+
+        Array.from(range.getClientRects()).forEach(rect => {
+            const highlight = createCursorElement('collab-selection', rect, origin, peer.color);
+            layer.appendChild(highlight);
+        });
+
+        range.collapse(false);
+        const caretRect = getCaretRect(range);
+        if (!caretRect) return;
+
+        const caret = createCursorElement('collab-caret', caretRect, origin, peer.color);
+        const label = document.createElement('span');
+        label.className = 'collab-caret-label';
+        label.textContent = peer.user;
+        caret.appendChild(label);
+        layer.appendChild(caret);
+    });
+}
+
+/**
+ * Screen rectangle of a collapsed range (empty lines have no client rects)
+ */
+function getCaretRect(range) {
+    const rects = range.getClientRects();
+    if (rects.length > 0) return rects[0];
+
+    const container = range.startContainer;
+    const element = container.nodeType === Node.ELEMENT_NODE
+        ? container.childNodes[range.startOffset] || container
+        : container.parentNode;
+    return element && element.getBoundingClientRect ? element.getBoundingClientRect() : null;
+}
+
+/**
+ * A positioned overlay element for a rectangle on screen
+ */
+function createCursorElement(className, rect, origin, color) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.style.left = `${rect.left - origin.left}px`;
+    element.style.top = `${rect.top - origin.top}px`;
+    element.style.width = className === 'collab-caret' ? '' : `${rect.width}px`;
+    element.style.height = `${rect.height}px`;
+    element.style.setProperty('--peer-color', color);
+    return element;
+}
+
+/**
+ * Copy a link collaborators can open to edit this document. The owner
+ * first chooses who may.
+ */
+async function copyShareLink() {
+    if (!currentProjectId) {
+        showSyncNotice('Save the document first, then share it.');
+        return;
+    }
+    if (currentDocAuthor === currentUser && !(await chooseCollaborators())) return;
+
+    const url = new URL('docs.html', window.location.href);
+    url.searchParams.set('author', currentDocAuthor);
+    url.searchParams.set('id', currentProjectId);
+
+    try {
+        await navigator.clipboard.writeText(url.href);
+        showSyncNotice('Link copied. The people this document is shared with can open it to edit with you.');
+    } catch (err) {
+        window.prompt('Copy this link to share the document:', url.href);
+    }
+}
+
+/**
+ * Ask the owner who may edit the document, and save the list.
+ * Resolves false if they cancel or it can't be saved.
+ */
+async function chooseCollaborators() {
+    const stored = await DocStore.getDoc(currentDocAuthor, currentProjectId);
+    const current = (stored && stored.collaborators) || [];
+    const answer = window.prompt(
+        'Who can edit this document with you? Their usernames, separated by commas:',
+        current.join(', ')
+    );
+    if (answer === null) return false;
+
+    const collaborators = [];
+    answer.split(',').map(name => name.trim()).forEach(name => {
+        const taken = collaborators.concat(currentUser).some(other => other.toLowerCase() === name.toLowerCase());
+        if (name && !taken) collaborators.push(name);
+    });
+
+    const saved = await updateStoredDocument('Could not share the document', doc => {
+        doc.collaborators = collaborators;
+    });
+    if (!saved) return false;
+    if (collaborators.length === 0) {
+        showSyncNotice('This document is no longer shared.');
+        return false;
+    }
+    // Shared documents are stored readable, so they can now be edited live
+    if (!collabJoined) sendJoin();
+    return true;
+}
@@ -0,0 +1,1072 @@
+/**
+ * ZENO DRAFT - COMMAND LAYER
+ * Formatting commands that edit the DOM selection directly (instead of the
+ * deprecated document.execCommand), the formatting state the toolbar shows,
+ * and the editor's own undo history.
+ *
+ * Output is limited to semantic markup: b/i/u/code, p/h1-h3, ul/ol/li,
+ * pre and blockquote, text-align on blocks and font-size spans. Links,
+ * images and tables are handled in docs-insert.js.
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+// Inline marks; each also recognizes its legacy equivalents
+const MARKS = {
+    bold: { tag: 'b', matches: el => el.tagName === 'B' || el.tagName === 'STRONG' },
+    italic: { tag: 'i', matches: el => el.tagName === 'I' || el.tagName === 'EM' },
+    underline: { tag: 'u', matches: el => el.tagName === 'U' },
+    code: { tag: 'code', matches: el => el.tagName === 'CODE' }
+};
+
+// Font sizes offered by the toolbar; 'normal' means no size span
+const FONT_SIZES = {
+    small: '13px',
+    normal: null,
+    large: '20px',
+    huge: '28px'
+};
+
+const FONT_SIZE_MARK = {
+    matches: el => (el.tagName === 'SPAN' && !!el.style.fontSize) || el.tagName === 'FONT'
+};
+
+// Elements treated as blocks when walking the document
+const EDITOR_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'NAV',
+    'HR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'];
+// Blocks that hold text directly and can be reformatted
+const TEXT_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, div, pre';
+
+// Undo history
+const MAX_UNDO_STEPS = 100;
+// Typing pauses longer than this start a new undo step (1 second)
+const TYPING_UNDO_PAUSE = 1000;
+
+const undoStack = [];
+const redoStack = [];
+let lastInputKind = null;
+let lastInputTime = 0;
+
+// Marks toggled with a collapsed caret, applied to the next typed text
+let pendingMarks = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the command layer's editor listeners
+ */
+function initializeCommands() {
+    editor.addEventListener('beforeinput', handleBeforeInput);
+    document.addEventListener('selectionchange', function() {
+        if (pendingMarks && !isSameCaret(pendingMarks.caret)) {
+            pendingMarks = null;
+        }
+    });
+}
+
+/**
+ * Run a formatting command by name. Returns false for unknown commands.
+ */
+function runEditorCommand(command, value) {
+    const commands = {
+        bold: () => toggleMark('bold'),
+        italic: () => toggleMark('italic'),
+        underline: () => toggleMark('underline'),
+        fontSize: size => setFontSize(size),
+        formatBlock: tag => setBlockType(tag),
+        justifyLeft: () => setAlignment('left'),
+        justifyCenter: () => setAlignment('center'),
+        justifyRight: () => setAlignment('right'),
+        insertUnorderedList: () => toggleList('ul'),
+        insertOrderedList: () => toggleList('ol'),
+        blockquote: () => toggleBlockquote(),
+        insertHorizontalRule: () => insertBlockAtCaret(document.createElement('hr')),
+        insertTableOfContents: () => insertTableOfContents(),
+        // Links, images and tables (see docs-insert.js)
+        createLink: url => setLink(url),
+        unlink: () => removeLink(),
+        insertImage: image => insertImage(image),
+        insertTable: () => insertTable(3, 3),
+        addRowAbove: () => addTableRow(false),
+        addRowBelow: () => addTableRow(true),
+        addColumnLeft: () => addTableColumn(false),
+        addColumnRight: () => addTableColumn(true),
+        deleteRow: () => deleteTableRow(),
+        deleteColumn: () => deleteTableColumn(),
+        toggleHeaderRow: () => toggleTableHeader(),
+        deleteTable: () => deleteTable()
+    };
+
+    if (!commands[command]) {
+        console.warn(`Unknown editor command: ${command}`);
+        return false;
+    }
+
+    ensureSelectionInEditor();
+    recordUndoPoint();
+    commands[command](value);
+    return true;
+}
+
+// ===========================
+// SELECTION HELPERS
+// ===========================
+
+/**
+ * The current selection range, if it is inside the editor
+ */
+function getEditorRange() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+
+    const range = selection.getRangeAt(0);
+    return editor.contains(range.commonAncestorContainer) ? range : null;
+}
+
+/**
+ * Make sure there is a selection inside the editor, placing the caret at the end if not
+ */
+function ensureSelectionInEditor() {
+    if (getEditorRange()) return;
+
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+    selectRange(range);
+}
+
+/**
+ * Replace the current selection with a range
+ */
+function selectRange(range) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+/**
+ * Selection as { start, end } offsets into the editor text.
+ * Block starts and line breaks count as one character each, so offsets
+ * survive the editor being re-rendered from HTML.
+ */
+function getSelectionOffsets() {
+    const range = getEditorRange();
+    if (!range) return null;
+
+    return {
+        start: offsetOf(range.startContainer, range.startOffset),
+        end: offsetOf(range.endContainer, range.endOffset)
+    };
+}
+
+/**
+ * Select the editor text between two offsets from getSelectionOffsets()
+ */
+function setSelectionOffsets(offsets) {
+    const start = positionAt(offsets.start);
+    const end = positionAt(offsets.end);
+    if (!start || !end) return;
+
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    selectRange(range);
+}
+
+/**
+ * Offset of a DOM position from the start of the editor
+ */
+function offsetOf(container, offset) {
+    const range = document.createRange();
+    range.setStart(editor, 0);
+    range.setEnd(container, offset);
+    return measureText(range.cloneContents());
+}
+
+/**
+ * Length of a node's text, counting block starts and line breaks
+ */
+function measureText(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.length;
+    if (node.nodeName === 'BR') return 1;
+
+    let length = isEditorBlock(node) ? 1 : 0;
+    node.childNodes.forEach(child => {
+        length += measureText(child);
+    });
+    return length;
+}
+
+/**
+ * DOM position at an offset from the start of the editor
+ */
+function positionAt(offset) {
+    let remaining = offset;
+
+    const visit = node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            if (remaining <= node.length) return { node: node, offset: remaining };
+            remaining -= node.length;
+            return null;
+        }
+
+        const index = node.parentNode ? Array.prototype.indexOf.call(node.parentNode.childNodes, node) : 0;
+        if (node.nodeName === 'BR' || isEditorBlock(node)) {
+            if (remaining === 0) return { node: node.parentNode, offset: index };
+            remaining -= 1;
+        }
+
+        for (const child of node.childNodes) {
+            const found = visit(child);
+            if (found) return found;
+        }
+        if (remaining === 0 && node.nodeType === Node.ELEMENT_NODE && node.nodeName !== 'BR') {
+            return { node: node, offset: node.childNodes.length };
+        }
+        return null;
+    };
+
+    for (const child of editor.childNodes) {
+        const found = visit(child);
+        if (found) return found;
+    }
+
+    // Past the end: put the caret at the very end
+    return { node: editor, offset: editor.childNodes.length };
+}
+
+/**
+ * Whether a node is a block-level element
+ */
+function isEditorBlock(node) {
+    return node.nodeType === Node.ELEMENT_NODE && EDITOR_BLOCK_TAGS.includes(node.tagName);
+}
+
+/**
+ * Non-empty text nodes touched by a range, split so they lie fully inside it
+ */
+function getTextNodesInRange(range) {
+    const nodes = [];
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    let node;
+
+    while ((node = walker.nextNode())) {
+        if (range.intersectsNode(node) && node.length > 0) nodes.push(node);
+    }
+
+    // Split the boundary nodes at the range edges
+    const startContainer = range.startContainer;
+    const startOffset = range.startOffset;
+    const endContainer = range.endContainer;
+    const endOffset = range.endOffset;
+
+    if (nodes.length && nodes[nodes.length - 1] === endContainer && endOffset < endContainer.length) {
+        endContainer.splitText(endOffset);
+    }
+    if (nodes.length && nodes[0] === startContainer && startOffset > 0) {
+        if (startOffset >= startContainer.length) {
+            nodes.shift();
+        } else {
+            nodes[0] = startContainer.splitText(startOffset);
+        }
+    }
+
+    return nodes.filter(n => n.length > 0);
+}
+
+/**
+ * Closest ancestor (inside the editor) matching a predicate
+ */
+function findAncestor(node, matches) {
+    let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentNode;
+    while (current && current !== editor) {
+        if (current.nodeType === Node.ELEMENT_NODE && matches(current)) return current;
+        current = current.parentNode;
+    }
+    return null;
+}
+
+/**
+ * Whether the caret is still where it was recorded
+ */
+function isSameCaret(caret) {
+    const range = getEditorRange();
+    return !!range && range.collapsed && range.startContainer === caret.node && range.startOffset === caret.offset;
+}
+
+// ===========================
+// UNDO HISTORY
+// ===========================
+
+/**
+ * Save the current editor state as an undo step
+ */
+function recordUndoPoint() {
+    undoStack.push({ html: editor.innerHTML, selection: getSelectionOffsets() });
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+    redoStack.length = 0;
+    lastInputKind = null;
+}
+
+/**
+ * Forget all undo steps (e.g. when a different document is loaded)
+ */
+function resetUndoHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    lastInputKind = null;
+}
+
+/**
+ * Undo the last step
+ */
+function undo() {
+    moveHistory(undoStack, redoStack);
+}
+
+/**
+ * Redo the last undone step
+ */
+function redo() {
+    moveHistory(redoStack, undoStack);
+}
+
+/**
+ * Restore the newest state of one stack, saving the current state on the other
+ */
+function moveHistory(from, to) {
+    if (from.length === 0) return;
+
+    to.push({ html: editor.innerHTML, selection: getSelectionOffsets() });
+    const state = from.pop();
+    editor.innerHTML = state.html;
+    if (state.selection) setSelectionOffsets(state.selection);
+
+    lastInputKind = null;
+    markAsUnsaved();
+    updateToolbarStates();
+}
+
+/**
+ * Start a new undo step when the kind of typing changes or after a pause
+ */
+function checkpointInput(inputType) {
+    const kind = inputType.startsWith('insertText') || inputType === 'insertCompositionText'
+        ? 'insert'
+        : inputType.startsWith('delete') ? 'delete' : inputType;
+    const now = Date.now();
+
+    if (kind !== lastInputKind || now - lastInputTime > TYPING_UNDO_PAUSE || !['insert', 'delete'].includes(kind)) {
+        recordUndoPoint();
+    }
+    lastInputKind = kind;
+    lastInputTime = now;
+}
+
+/**
+ * Route native editing through the command layer and undo history
+ */
+function handleBeforeInput(e) {
+    if (e.inputType === 'historyUndo') {
+        e.preventDefault();
+        undo();
+        return;
+    }
+    if (e.inputType === 'historyRedo') {
+        e.preventDefault();
+        redo();
+        return;
+    }
+    if (e.inputType.startsWith('format')) {
+        // Native formatting (e.g. from the OS menu) would bypass the command layer
+        e.preventDefault();
+        return;
+    }
+
+    checkpointInput(e.inputType);
+
+    // Enter in a code block starts a new line of code, not a new paragraph
+    if (e.inputType === 'insertParagraph' || e.inputType === 'insertLineBreak') {
+        const range = getEditorRange();
+        const pre = range && findAncestor(range.startContainer, el => el.tagName === 'PRE');
+        if (pre) {
+            e.preventDefault();
+            insertCodeLineBreak(pre, e.inputType === 'insertParagraph');
+            markAsUnsaved();
+            return;
+        }
+    }
+
+    // Suggesting mode records typing as proposed changes (see docs-review.js)
+    if (isSuggesting() && handleSuggestionInput(e)) return;
+
+    if (pendingMarks && e.inputType === 'insertText' && e.data) {
+        e.preventDefault();
+        insertTextWithMarks(e.data, pendingMarks.marks);
+        pendingMarks = null;
+        markAsUnsaved();
+    }
+}
+
+// ===========================
+// INLINE MARKS
+// ===========================
+
+/**
+ * Toggle bold, italic or underline on the selection.
+ * With a collapsed caret the change applies to the next typed text.
+ */
+function toggleMark(name) {
+    const range = getEditorRange();
+    if (!range) return;
+    const active = getActiveFormats()[name];
+
+    if (range.collapsed) {
+        const marks = pendingMarks ? pendingMarks.marks : {};
+        marks[name] = !active;
+        pendingMarks = { marks: marks, caret: { node: range.startContainer, offset: range.startOffset } };
+        updateToolbarStates();
+        return;
+    }
+
+    const offsets = getSelectionOffsets();
+    const nodes = getTextNodesInRange(range);
+    if (active) {
+        nodes.forEach(node => unwrapFromAncestor(node, MARKS[name].matches));
+    } else {
+        nodes.forEach(node => wrapInMark(node, MARKS[name]));
+    }
+    cleanupInline();
+    setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Type text at the caret with some marks switched on or off
+ */
+function insertTextWithMarks(text, marks) {
+    const range = getEditorRange();
+    if (!range) return;
+
+    range.deleteContents();
+    const textNode = document.createTextNode(text);
+    range.insertNode(textNode);
+
+    Object.keys(marks).forEach(name => {
+        if (marks[name]) wrapInMark(textNode, MARKS[name]);
+        else unwrapFromAncestor(textNode, MARKS[name].matches);
+    });
+    cleanupInline();
+
+    const caret = document.createRange();
+    caret.setStart(textNode, textNode.length);
+    caret.collapse(true);
+    selectRange(caret);
+}
+
+/**
+ * Wrap a text node in a mark unless it already has one
+ */
+function wrapInMark(node, mark) {
+    if (findAncestor(node, mark.matches)) return;
+
+    const element = document.createElement(mark.tag);
+    node.parentNode.insertBefore(element, node);
+    element.appendChild(node);
+}
+
+/**
+ * Take a text node out of its closest ancestor matching a predicate,
+ * splitting the ancestor around it
+ */
+function unwrapFromAncestor(node, matches) {
+    let ancestor = findAncestor(node, matches);
+
+    while (ancestor) {
+        const before = document.createRange();
+        before.setStart(ancestor, 0);
+        before.setEndBefore(node);
+        const beforeContent = before.extractContents();
+
+        const after = document.createRange();
+        after.setStartAfter(node);
+        after.setEnd(ancestor, ancestor.childNodes.length);
+        const afterContent = after.extractContents();
+
+        if (beforeContent.textContent) {
+            const head = ancestor.cloneNode(false);
+            head.appendChild(beforeContent);
+            ancestor.before(head);
+        }
+        if (afterContent.textContent) {
+            const tail = ancestor.cloneNode(false);
+            tail.appendChild(afterContent);
+            ancestor.after(tail);
+        }
+        ancestor.replaceWith(...ancestor.childNodes);
+
+        // Nested duplicates (e.g. <b> inside <strong>) are removed too
+        ancestor = findAncestor(node, matches);
+    }
+}
+
+/**
+ * Apply a font size (a FONT_SIZES key) to the selection
+ */
+function setFontSize(size) {
+    const range = getEditorRange();
+    if (!range || range.collapsed) return;
+
+    const offsets = getSelectionOffsets();
+    const nodes = getTextNodesInRange(range);
+    nodes.forEach(node => unwrapFromAncestor(node, FONT_SIZE_MARK.matches));
+
+    const fontSize = FONT_SIZES[size];
+    if (fontSize) {
+        nodes.forEach(node => {
+            const span = document.createElement('span');
+            span.style.fontSize = fontSize;
+            node.parentNode.insertBefore(span, node);
+            span.appendChild(node);
+        });
+    }
+    cleanupInline();
+    setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Merge adjacent identical inline elements and remove empty ones
+ */
+function cleanupInline() {
+    editor.querySelectorAll('b, strong, i, em, u, code, span, font, a').forEach(el => {
+        if (!el.textContent && !el.querySelector('br, img')) {
+            el.remove();
+        }
+    });
+
+    editor.querySelectorAll('b, strong, i, em, u, code, span, font, a').forEach(el => {
+        const next = el.nextSibling;
+        if (next && next.nodeType === Node.ELEMENT_NODE && next.tagName === el.tagName && hasSameAttributes(el, next)) {
+            while (next.firstChild) el.appendChild(next.firstChild);
+            next.remove();
+        }
+    });
+
+    editor.normalize();
+}
+
+/**
+ * Whether two elements have exactly the same attributes
+ */
+function hasSameAttributes(a, b) {
+    return a.attributes.length === b.attributes.length &&
+        Array.from(a.attributes).every(attr => b.getAttribute(attr.name) === attr.value);
+}
+
+// ===========================
+// BLOCKS
+// ===========================
+
+/**
+ * Wrap loose top-level text in paragraphs and turn top-level divs into paragraphs,
+ * so every piece of text belongs to a block
+ */
+function normalizeBlocks() {
+    const offsets = getSelectionOffsets();
+    let paragraph = null;
+    let changed = false;
+
+    Array.from(editor.childNodes).forEach(node => {
+        if (isEditorBlock(node)) {
+            paragraph = null;
+            if (node.tagName === 'DIV') {
+                renameElement(node, 'p');
+                changed = true;
+            }
+            return;
+        }
+        if (!paragraph) {
+            if (node.nodeType === Node.TEXT_NODE && !node.textContent.trim()) return;
+            paragraph = document.createElement('p');
+            editor.insertBefore(paragraph, node);
+            changed = true;
+        }
+        paragraph.appendChild(node);
+    });
+
+    if (!editor.firstChild) {
+        editor.innerHTML = '<p><br></p>';
+        changed = true;
+    }
+    if (changed && offsets) setSelectionOffsets(offsets);
+}
+
+/**
+ * Text blocks (paragraphs, headings, list items) touched by the selection
+ */
+function getSelectedBlocks() {
+    normalizeBlocks();
+    const range = getEditorRange();
+    if (!range) return [];
+
+    return Array.from(editor.querySelectorAll(TEXT_BLOCK_SELECTOR))
+        .filter(block => {
+            // List items with nested lists count only if their own text is selected
+            if (block.tagName === 'LI' && block.querySelector('li')) {
+                return Array.from(block.childNodes).some(child => !isEditorBlock(child) && range.intersectsNode(child));
+            }
+            return !block.querySelector(TEXT_BLOCK_SELECTOR) && range.intersectsNode(block);
+        });
+}
+
+/**
+ * Replace an element with one of another tag, keeping children and style
+ */
+function renameElement(element, tag) {
+    const replacement = document.createElement(tag);
+    if (element.getAttribute('style')) {
+        replacement.setAttribute('style', element.getAttribute('style'));
+    }
+    while (element.firstChild) replacement.appendChild(element.firstChild);
+    element.replaceWith(replacement);
+    return replacement;
+}
+
+/**
+ * Turn the selected blocks into paragraphs, headings or a code block
+ */
+function setBlockType(tag) {
+    const offsets = getSelectionOffsets();
+
+    getSelectedBlocks().forEach(block => {
+        if (block.tagName === 'LI') {
+            block = liftListItem(block, tag === 'pre' ? 'p' : tag);
+        }
+        if (block.tagName === tag.toUpperCase()) return;
+
+        if (block.tagName === 'PRE') {
+            splitCodeBlock(block, tag);
+        } else if (tag === 'pre') {
+            // Code is plain text: formatting goes, line breaks become newlines
+            block.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+            const code = document.createElement('pre');
+            code.textContent = block.textContent;
+            block.replaceWith(code);
+        } else {
+            renameElement(block, tag);
+        }
+    });
+    if (tag === 'pre') mergeAdjacentCodeBlocks();
+
+    if (offsets) setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Turn a code block back into one block of the given tag per line
+ */
+function splitCodeBlock(pre, tag) {
+    const lines = pre.textContent.replace(/\n$/, '').split('\n');
+    const blocks = lines.map(line => {
+        const block = document.createElement(tag);
+        if (line) block.textContent = line;
+        else block.appendChild(document.createElement('br'));
+        return block;
+    });
+    pre.replaceWith(...blocks);
+}
+
+/**
+ * Join neighbouring code blocks, so code made from several paragraphs is one block
+ */
+function mergeAdjacentCodeBlocks() {
+    editor.querySelectorAll('pre').forEach(pre => {
+        const next = pre.nextElementSibling;
+        if (pre.isConnected && next && next.tagName === 'PRE' && pre.nextSibling === next) {
+            pre.textContent = `${pre.textContent.replace(/\n$/, '')}\n${next.textContent}`;
+            next.remove();
+        }
+    });
+}
+
+/**
+ * Start a new line inside a code block. Enter on an empty last line leaves
+ * the block for a new paragraph instead.
+ */
+function insertCodeLineBreak(pre, canExit) {
+    const range = getEditorRange();
+    range.deleteContents();
+
+    const before = document.createRange();
+    before.setStart(pre, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const textBefore = before.toString();
+    const textAfter = pre.textContent.slice(textBefore.length);
+
+    if (canExit && textBefore.endsWith('\n') && !textAfter.replace(/\n$/, '')) {
+        pre.textContent = textBefore.slice(0, -1);
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(document.createElement('br'));
+        pre.after(paragraph);
+        const caret = document.createRange();
+        caret.setStart(paragraph, 0);
+        selectRange(caret);
+        return;
+    }
+
+    // A newline at the very end only shows once something follows it
+    pre.textContent = textBefore + '\n' + (textAfter || '\n');
+    const caret = document.createRange();
+    caret.setStart(pre.firstChild, textBefore.length + 1);
+    selectRange(caret);
+}
+
+/**
+ * Wrap the selected blocks in a quote, or take them out of the quote they are in
+ */
+function toggleBlockquote() {
+    const offsets = getSelectionOffsets();
+    const blocks = getSelectedBlocks();
+    if (blocks.length === 0) return;
+
+    const quote = findAncestor(blocks[0], el => el.tagName === 'BLOCKQUOTE');
+    if (quote && blocks.every(block => quote.contains(block))) {
+        quote.replaceWith(...quote.childNodes);
+    } else {
+        // Quote whole top-level blocks, so a list is quoted with all its items
+        const topLevel = block => {
+            while (block.parentNode !== editor) block = block.parentNode;
+            return block;
+        };
+        const first = topLevel(blocks[0]);
+        const last = topLevel(blocks[blocks.length - 1]);
+
+        const blockquote = document.createElement('blockquote');
+        first.before(blockquote);
+        let node = first;
+        while (node) {
+            const next = node === last ? null : node.nextSibling;
+            if (node.tagName === 'BLOCKQUOTE') {
+                blockquote.append(...node.childNodes);
+                node.remove();
+            } else {
+                blockquote.appendChild(node);
+            }
+            node = next;
+        }
+    }
+
+    if (offsets) setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Put a block element (rule, table, table of contents) into the document
+ * after the block holding the caret, or in place of it if that block is
+ * empty, and move the caret to the paragraph after it
+ */
+function insertBlockAtCaret(element) {
+    const range = getEditorRange();
+    let block = range ? range.startContainer : null;
+    while (block && block.parentNode !== editor) block = block.parentNode;
+
+    if (!block) {
+        editor.appendChild(element);
+    } else if (!block.textContent.trim() && !(block.querySelector && block.querySelector('img, hr, table'))) {
+        block.replaceWith(element);
+    } else {
+        block.after(element);
+    }
+
+    // Somewhere to keep typing after it
+    let next = element.nextSibling;
+    if (!next || !next.matches || !next.matches('p, h1, h2, h3')) {
+        next = document.createElement('p');
+        next.appendChild(document.createElement('br'));
+        element.after(next);
+    }
+    const caret = document.createRange();
+    caret.setStart(next, 0);
+    selectRange(caret);
+}
+
+/**
+ * Align the selected blocks
+ */
+function setAlignment(align) {
+    getSelectedBlocks().forEach(block => {
+        block.style.textAlign = align === 'left' ? '' : align;
+        if (!block.getAttribute('style')) block.removeAttribute('style');
+    });
+    updateToolbarStates();
+}
+
+// ===========================
+// LISTS
+// ===========================
+
+/**
+ * Toggle a bulleted ('ul') or numbered ('ol') list on the selected blocks
+ */
+function toggleList(type) {
+    const offsets = getSelectionOffsets();
+    const blocks = getSelectedBlocks();
+    if (blocks.length === 0) return;
+
+    const allInList = blocks.every(block => block.tagName === 'LI' && block.parentNode.tagName === type.toUpperCase());
+
+    // Take everything out of its current list first
+    const lifted = blocks.map(block => block.tagName === 'LI' ? liftListItem(block, 'p') : block);
+
+    if (!allInList) {
+        const list = document.createElement(type);
+        lifted[0].before(list);
+        lifted.forEach(block => {
+            const item = document.createElement('li');
+            if (block.getAttribute('style')) item.setAttribute('style', block.getAttribute('style'));
+            while (block.firstChild) item.appendChild(block.firstChild);
+            block.remove();
+            list.appendChild(item);
+        });
+        mergeAdjacentLists(list);
+    }
+
+    if (offsets) setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Move a list item out of its list (and any lists around that) as a block
+ * of the given tag. The list is split around it; nested lists follow the new block.
+ */
+function liftListItem(item, tag) {
+    const list = item.parentNode;
+    const following = Array.from(list.children).slice(Array.prototype.indexOf.call(list.children, item) + 1);
+
+    if (list.parentNode.tagName === 'LI') {
+        // Nested list: outdent into the parent list first, taking later siblings along
+        if (following.length > 0) {
+            const nested = list.cloneNode(false);
+            following.forEach(sibling => nested.appendChild(sibling));
+            item.appendChild(nested);
+        }
+        list.parentNode.after(item);
+        if (list.children.length === 0) list.remove();
+        return liftListItem(item, tag);
+    }
+
+    if (following.length > 0) {
+        const tail = list.cloneNode(false);
+        following.forEach(sibling => tail.appendChild(sibling));
+        list.after(tail);
+    }
+
+    const block = document.createElement(tag);
+    if (item.getAttribute('style')) block.setAttribute('style', item.getAttribute('style'));
+    const nestedLists = [];
+    while (item.firstChild) {
+        const child = item.firstChild;
+        if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+            nestedLists.push(child);
+            child.remove();
+        } else {
+            block.appendChild(child);
+        }
+    }
+    if (!block.firstChild) block.appendChild(document.createElement('br'));
+
+    list.after(block, ...nestedLists);
+    item.remove();
+    if (list.children.length === 0) list.remove();
+
+    return block;
+}
+
+/**
+ * Join a list with neighbouring lists of the same type
+ */
+function mergeAdjacentLists(list) {
+    const previous = list.previousElementSibling;
+    if (previous && previous.tagName === list.tagName) {
+        while (list.firstChild) previous.appendChild(list.firstChild);
+        list.remove();
+        list = previous;
+    }
+
+    const next = list.nextElementSibling;
+    if (next && next.tagName === list.tagName) {
+        while (next.firstChild) list.appendChild(next.firstChild);
+        next.remove();
+    }
+}
+
+// ===========================
+// INSERTION
+// ===========================
+
+/**
+ * Insert (already sanitized) HTML at the selection.
+ * Block content splits the current block so blocks are never nested.
+ */
+function insertHTMLAtSelection(html) {
+    ensureSelectionInEditor();
+    recordUndoPoint();
+
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const fragment = template.content;
+    const hasBlocks = Array.from(fragment.childNodes).some(isEditorBlock);
+
+    const range = getEditorRange();
+    range.deleteContents();
+    const block = findAncestor(range.startContainer, el => el.matches(TEXT_BLOCK_SELECTOR));
+
+    if (!hasBlocks || !block) {
+        insertFragmentAtRange(range, fragment);
+        return;
+    }
+
+    if (block.tagName === 'LI') {
+        // Lists can't hold other blocks: keep the text, one line per block
+        insertFragmentAtRange(range, flattenBlocks(fragment));
+        return;
+    }
+
+    // Split the current block at the caret and put the new blocks in between
+    const tailRange = document.createRange();
+    tailRange.setStart(range.startContainer, range.startOffset);
+    tailRange.setEnd(block, block.childNodes.length);
+    const tail = block.cloneNode(false);
+    tail.appendChild(tailRange.extractContents());
+
+    const last = fragment.lastChild;
+    block.after(fragment);
+    if (tail.textContent.trim()) last.after(tail);
+    if (!block.textContent.trim() && !block.querySelector('br, img')) block.remove();
+
+    const caret = document.createRange();
+    caret.selectNodeContents(last);
+    caret.collapse(false);
+    selectRange(caret);
+}
+
+/**
+ * Insert a fragment at a range and put the caret after it
+ */
+function insertFragmentAtRange(range, fragment) {
+    const last = fragment.lastChild;
+    range.insertNode(fragment);
+    if (!last) return;
+
+    const caret = document.createRange();
+    caret.setStartAfter(last);
+    caret.collapse(true);
+    selectRange(caret);
+}
+
+/**
+ * Replace blocks in a fragment with their content and line breaks
+ */
+function flattenBlocks(fragment) {
+    const flat = document.createDocumentFragment();
+    Array.from(fragment.childNodes).forEach((node, index) => {
+        if (index > 0 && isEditorBlock(node)) flat.appendChild(document.createElement('br'));
+        if (isEditorBlock(node)) {
+            flat.appendChild(document.createTextNode(node.textContent.trim()));
+        } else {
+            flat.appendChild(node);
+        }
+    });
+    return flat;
+}
+
+/**
+ * Insert plain text at the selection
+ */
+function insertTextAtSelection(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const range = getEditorRange();
+    // Code keeps its line breaks as they are
+    if (lines.length === 1 || (range && findAncestor(range.startContainer, el => el.tagName === 'PRE'))) {
+        ensureSelectionInEditor();
+        recordUndoPoint();
+        insertTextWithMarks(lines.join('\n'), {});
+        return;
+    }
+    insertHTMLAtSelection(lines.map(escapeHTML).join('<br>'));
+}
+
+// ===========================
+// FORMATTING STATE
+// ===========================
+
+/**
+ * Formatting at the selection, as shown by the toolbar:
+ * { bold, italic, underline, fontSize, block, align, list, quote, link, table }
+ */
+function getActiveFormats() {
+    const range = getEditorRange();
+    const state = {
+        bold: false,
+        italic: false,
+        underline: false,
+        fontSize: 'normal',
+        block: 'p',
+        align: 'left',
+        list: null,
+        quote: false,
+        link: null,
+        table: null
+    };
+    if (!range) return state;
+
+    // Marks are active when every selected character has them
+    const nodes = range.collapsed ? [range.startContainer] : textNodesIntersecting(range);
+    Object.keys(MARKS).forEach(name => {
+        state[name] = nodes.length > 0 && nodes.every(node => !!findAncestor(node, MARKS[name].matches));
+    });
+    if (range.collapsed && pendingMarks && isSameCaret(pendingMarks.caret)) {
+        Object.assign(state, pendingMarks.marks);
+    }
+
+    const sizeElement = findAncestor(range.startContainer, FONT_SIZE_MARK.matches);
+    if (sizeElement) {
+        const size = Object.keys(FONT_SIZES).find(key => FONT_SIZES[key] === sizeElement.style.fontSize);
+        state.fontSize = size || 'normal';
+    }
+
+    const block = findAncestor(range.startContainer, el => el.matches(TEXT_BLOCK_SELECTOR));
+    if (block) {
+        state.block = /^(H[1-3]|PRE)$/.test(block.tagName) ? block.tagName.toLowerCase() : 'p';
+        state.align = block.style.textAlign || block.getAttribute('align') || 'left';
+        if (block.tagName === 'LI') state.list = block.parentNode.tagName.toLowerCase();
+    }
+
+    state.quote = !!findAncestor(range.startContainer, el => el.tagName === 'BLOCKQUOTE');
+    state.link = findAncestor(range.startContainer, el => el.tagName === 'A');
+    state.table = findAncestor(range.startContainer, el => el.tagName === 'TABLE');
+
+    return state;
+}
+
+/**
+ * Non-empty text nodes intersecting a range (without splitting them)
+ */
+function textNodesIntersecting(range) {
+    const nodes = [];
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+        if (!node.textContent.trim() || !range.intersectsNode(node)) continue;
+        // Ignore nodes the range only touches at their very edge
+        if (node === range.endContainer && range.endOffset === 0) continue;
+        if (node === range.startContainer && range.startOffset === node.length) continue;
+        nodes.push(node);
+    }
+    return nodes;
+}
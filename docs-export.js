@@ -0,0 +1,327 @@
+/**
+ * ZENO DRAFT - EXPORT
+ * Download the open document as HTML, Markdown or plain text,
+ * or print it (and save as PDF) through the browser's print dialog
+ */
+
+// ===========================
+// EXPORT MENU
+// ===========================
+
+/**
+ * Initialize the export menu in the header
+ */
+function initializeExportMenu() {
+    const exportBtn = document.getElementById('export-btn');
+    const exportList = document.getElementById('export-list');
+
+    exportBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setExportMenuOpen(exportList.hidden);
+    });
+
+    exportList.querySelectorAll('[data-export]').forEach(item => {
+        item.addEventListener('click', function() {
+            setExportMenuOpen(false);
+            exportDocument(this.getAttribute('data-export'));
+        });
+    });
+
+    const group = 'Document';
+    registerCommand({ id: 'exportHTML', title: 'Export as web page (.html)', group, run: () => exportDocument('html') });
+    registerCommand({ id: 'exportMarkdown', title: 'Export as Markdown (.md)', group, run: () => exportDocument('markdown') });
+    registerCommand({ id: 'exportText', title: 'Export as plain text (.txt)', group, run: () => exportDocument('text') });
+    registerCommand({ id: 'print', title: 'Print / Save as PDF', group, run: () => exportDocument('print') });
+
+    // Close on outside click or Escape
+    document.addEventListener('click', () => setExportMenuOpen(false));
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') setExportMenuOpen(false);
+    });
+}
+
+/**
+ * Open or close the export menu
+ */
+function setExportMenuOpen(open) {
+    document.getElementById('export-list').hidden = !open;
+    document.getElementById('export-btn').setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * Export the open document in the given format
+ */
+function exportDocument(format) {
+    const filename = safeFilename(docTitle.value);
+
+    if (format === 'html') {
+        downloadFile(`${filename}.html`, exportAsHTML(), 'text/html');
+    } else if (format === 'markdown') {
+        downloadFile(`${filename}.md`, exportAsMarkdown(), 'text/markdown');
+    } else if (format === 'text') {
+        downloadFile(`${filename}.txt`, exportAsText(), 'text/plain');
+    } else if (format === 'print') {
+        window.print();
+    }
+}
+
+/**
+ * Offer a string as a file download
+ */
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the download a moment to start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turn a document title into a safe file name
+ */
+function safeFilename(title) {
+    return title.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '').trim() || 'Untitled Document';
+}
+
+// ===========================
+// PLAIN TEXT
+// ===========================
+
+/**
+ * Export document as plain text
+ */
+function exportAsText() {
+    // Without comment anchors and pending suggestions (see docs-review.js)
+    return htmlToText(stripReviewMarkup(editor.innerHTML)) + '\n';
+}
+
+// ===========================
+// MARKDOWN
+// ===========================
+
+const BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE', 'HR', 'NAV', 'TABLE'];
+
+/**
+ * Export document as Markdown
+ */
+function exportAsMarkdown() {
+    return htmlToMarkdown(stripReviewMarkup(editor.innerHTML));
+}
+
+/**
+ * Convert editor HTML into Markdown.
+ * Underline and alignment have no Markdown syntax, so they are kept as inline HTML.
+ */
+function htmlToMarkdown(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return blocksToMarkdown(container.childNodes).replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+/**
+ * Convert a list of sibling nodes, grouping loose inline nodes into paragraphs
+ */
+function blocksToMarkdown(nodes) {
+    const blocks = [];
+    let inlineRun = [];
+
+    const flush = () => {
+        const text = inlineToMarkdown(inlineRun).trim();
+        if (text) blocks.push(escapeLineStart(text));
+        inlineRun = [];
+    };
+
+    Array.from(nodes).forEach(node => {
+        if (isBlockNode(node)) {
+            flush();
+            const markdown = blockToMarkdown(node);
+            if (markdown) blocks.push(markdown);
+        } else {
+            inlineRun.push(node);
+        }
+    });
+    flush();
+
+    return blocks.join('\n\n');
+}
+
+/**
+ * Whether a node is a block-level element
+ */
+function isBlockNode(node) {
+    return node.nodeType === Node.ELEMENT_NODE && BLOCK_TAGS.includes(node.tagName);
+}
+
+/**
+ * Convert one block element
+ */
+function blockToMarkdown(el) {
+    const tag = el.tagName;
+    const align = getAlignment(el);
+
+    if (align && /^(P|DIV|H[1-6])$/.test(tag)) {
+        const htmlTag = tag === 'DIV' ? 'p' : tag.toLowerCase();
+        return `<${htmlTag} align="${align}">${el.innerHTML.trim()}</${htmlTag}>`;
+    }
+
+    switch (tag) {
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+            return `${'#'.repeat(Number(tag[1]))} ${inlineToMarkdown(el.childNodes).trim()}`;
+        case 'UL':
+        case 'OL':
+            return listToMarkdown(el, 0);
+        case 'BLOCKQUOTE':
+            return blocksToMarkdown(el.childNodes).split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+        case 'PRE':
+            return '```\n' + el.textContent.replace(/\n$/, '') + '\n```';
+        case 'HR':
+            return '---';
+        case 'TABLE':
+            return tableToMarkdown(el);
+        default:
+            // Paragraphs, and divs that contentEditable creates for new lines
+            if (Array.from(el.childNodes).some(isBlockNode)) {
+                return blocksToMarkdown(el.childNodes);
+            }
+            return escapeLineStart(inlineToMarkdown(el.childNodes).trim());
+    }
+}
+
+/**
+ * Convert a (possibly nested) list
+ */
+function listToMarkdown(list, depth) {
+    const ordered = list.tagName === 'OL';
+    const indent = '    '.repeat(depth);
+    const lines = [];
+    let number = 1;
+
+    Array.from(list.children).forEach(item => {
+        // Browsers sometimes nest lists directly inside lists
+        if (item.tagName === 'UL' || item.tagName === 'OL') {
+            lines.push(listToMarkdown(item, depth + 1));
+            return;
+        }
+
+        const inlineNodes = [];
+        const nestedLists = [];
+        item.childNodes.forEach(child => {
+            (child.tagName === 'UL' || child.tagName === 'OL' ? nestedLists : inlineNodes).push(child);
+        });
+
+        const marker = ordered ? `${number++}.` : '-';
+        lines.push(`${indent}${marker} ${inlineToMarkdown(inlineNodes).trim()}`);
+        nestedLists.forEach(nested => lines.push(listToMarkdown(nested, depth + 1)));
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Convert a table to a GitHub-style pipe table. Markdown tables always have
+ * a header row, so a table without one gets an empty header.
+ */
+function tableToMarkdown(table) {
+    const rows = Array.from(table.rows).map(row => Array.from(row.cells).map(cell =>
+        inlineToMarkdown(cell.childNodes).replace(/\s*\n\s*/g, ' ').trim().replace(/\|/g, '\\|')
+    ));
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const line = cells => '| ' + Array.from({ length: columns }, (_, i) => cells[i] || '').join(' | ') + ' |';
+    const header = table.tHead ? rows.shift() : [];
+
+    return [line(header), line(Array(columns).fill('---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * Convert inline content (text, bold, italic, underline, links, images, line breaks)
+ */
+function inlineToMarkdown(nodes) {
+    return Array.from(nodes).map(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const inner = inlineToMarkdown(node.childNodes);
+        switch (node.tagName) {
+            case 'B':
+            case 'STRONG':
+                return wrapInline(inner, '**');
+            case 'I':
+            case 'EM':
+                return wrapInline(inner, '*');
+            case 'U':
+                return inner.trim() ? `<u>${inner}</u>` : inner;
+            case 'CODE':
+                return '`' + node.textContent + '`';
+            case 'A':
+                return node.getAttribute('href') ? `[${inner}](${markdownHref(node.getAttribute('href'))})` : inner;
+            case 'IMG':
+                return node.getAttribute('src')
+                    ? `![${escapeMarkdown(node.getAttribute('alt') || '')}](${markdownHref(node.getAttribute('src'))})`
+                    : '';
+            case 'BR':
+                return '  \n';
+            default:
+                // <span>, <font> and blocks nested inside list items: keep the text
+                return isBlockNode(node) ? ` ${inner} ` : inner;
+        }
+    }).join('');
+}
+
+/**
+ * Wrap text in an emphasis marker. Markers must hug the text,
+ * so surrounding whitespace is moved outside them.
+ */
+function wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+}
+
+/**
+ * A link target for Markdown. Markdown renderers derive heading anchors from
+ * the heading text alone, so table of contents links drop the id prefix
+ * (see docs-outline.js).
+ */
+function markdownHref(href) {
+    const target = href.startsWith('#' + HEADING_ID_PREFIX) ? '#' + href.slice(HEADING_ID_PREFIX.length + 1) : href;
+    return target.replace(/[()\s]/g, encodeURIComponent);
+}
+
+/**
+ * Escape characters Markdown would treat as syntax
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Escape text that would otherwise start a heading, list or quote
+ */
+function escapeLineStart(text) {
+    return text
+        .replace(/^(#{1,6}\s|[-+]\s)/, '\\$1')
+        .replace(/^(\d+)\.(\s)/, '$1\\.$2');
+}
+
+/**
+ * Get a block's non-default text alignment, if any
+ */
+function getAlignment(el) {
+    const align = (el.style.textAlign || el.getAttribute('align') || '').toLowerCase();
+    return ['center', 'right', 'justify'].includes(align) ? align : null;
+}
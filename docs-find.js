@@ -0,0 +1,366 @@
+/**
+ * ZENO DRAFT - FIND & REPLACE
+ * Ctrl+F / Ctrl+H bar that searches the editor text across formatting
+ * boundaries, with case-sensitive, whole-word and regular expression modes.
+ *
+ * Matches are highlighted with the CSS Custom Highlight API, so the document
+ * itself is never touched until something is replaced.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const findBar = document.getElementById('find-bar');
+const findInput = document.getElementById('find-input');
+const replaceInput = document.getElementById('replace-input');
+
+// Current matches: [{ start, end, replacement }] as offsets into the text index
+let findMatches = [];
+let currentMatch = -1;
+let findRefreshTimer = null;
+// Re-runs the search when the document changes while the bar is open
+const findObserver = new MutationObserver(scheduleFindRefresh);
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the find and replace bar
+ */
+function initializeFind() {
+    findInput.addEventListener('input', () => runSearch(0));
+    findInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            stepMatch(e.shiftKey ? -1 : 1);
+        }
+    });
+    replaceInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.ctrlKey || e.metaKey) replaceAll();
+            else replaceCurrent();
+        }
+    });
+    findBar.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeFindBar();
+        }
+    });
+
+    ['find-case', 'find-word', 'find-regex'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => runSearch(0));
+    });
+    replaceInput.addEventListener('input', () => runSearch(Math.max(currentMatch, 0)));
+
+    document.getElementById('find-prev').addEventListener('click', () => stepMatch(-1));
+    document.getElementById('find-next').addEventListener('click', () => stepMatch(1));
+    document.getElementById('replace-btn').addEventListener('click', replaceCurrent);
+    document.getElementById('replace-all-btn').addEventListener('click', replaceAll);
+    document.getElementById('find-close').addEventListener('click', closeFindBar);
+}
+
+/**
+ * Open the bar, with the replace row for Ctrl+H.
+ * A short selection in the editor becomes the search text.
+ */
+function openFindBar(withReplace) {
+    const range = getEditorRange();
+    const selected = range ? range.toString() : '';
+    if (selected && !selected.includes('\n') && selected.length <= 100) {
+        findInput.value = selected;
+    }
+
+    findBar.hidden = false;
+    document.getElementById('replace-row').hidden = !withReplace;
+    findObserver.observe(editor, { childList: true, subtree: true, characterData: true });
+
+    findInput.focus();
+    findInput.select();
+    runSearch(0);
+}
+
+/**
+ * Close the bar and select the current match in the editor
+ */
+function closeFindBar() {
+    const match = findMatches[currentMatch];
+    const range = match ? createMatchRange(buildTextIndex(), match) : null;
+
+    findBar.hidden = true;
+    findObserver.disconnect();
+    clearTimeout(findRefreshTimer);
+    findMatches = [];
+    currentMatch = -1;
+    paintMatches(null);
+
+    editor.focus();
+    if (range) selectRange(range);
+}
+
+/**
+ * Search again shortly after the document changes
+ */
+function scheduleFindRefresh() {
+    clearTimeout(findRefreshTimer);
+    findRefreshTimer = setTimeout(() => runSearch(Math.max(currentMatch, 0), false), 200);
+}
+
+// ===========================
+// SEARCHING
+// ===========================
+
+/**
+ * The editor text as one string, with a newline between blocks and for each
+ * line break so matches never span paragraphs, plus where each text node sits
+ * in it: { text, nodes: [{ node, start }] }
+ */
+function buildTextIndex() {
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    let text = '';
+
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.nodeType === Node.TEXT_NODE) {
+            nodes.push({ node: node, start: text.length });
+            text += node.data;
+        } else if (node.nodeName === 'BR' || isEditorBlock(node)) {
+            text += '\n';
+        }
+    }
+
+    return { text: text, nodes: nodes };
+}
+
+/**
+ * The search as a regular expression, or null when the field is empty.
+ * Throws a SyntaxError for an invalid pattern in regex mode.
+ */
+function buildSearchPattern() {
+    const query = findInput.value;
+    if (!query) return null;
+
+    let source = document.getElementById('find-regex').checked
+        ? query
+        : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (document.getElementById('find-word').checked) {
+        source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    }
+
+    const flags = document.getElementById('find-case').checked ? 'gu' : 'giu';
+    return new RegExp(source, flags);
+}
+
+/**
+ * Find all matches and highlight them, making the match at (or after)
+ * the given index current. Scrolls to it unless told not to.
+ */
+function runSearch(preferredIndex, reveal = true) {
+    const index = collectMatches();
+    showMatches(index, preferredIndex, reveal);
+}
+
+/**
+ * Search the editor text, filling findMatches. Returns the text index searched.
+ */
+function collectMatches() {
+    const isRegex = document.getElementById('find-regex').checked;
+    const index = buildTextIndex();
+    findMatches = [];
+    findInput.classList.remove('invalid');
+
+    let pattern = null;
+    try {
+        pattern = buildSearchPattern();
+    } catch (err) {
+        findInput.classList.add('invalid');
+    }
+    if (!pattern) return index;
+
+    for (const match of index.text.matchAll(pattern)) {
+        // Empty matches (e.g. /x*/) can't be shown or replaced
+        if (match[0].length === 0) continue;
+        findMatches.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            replacement: isRegex ? expandReplacement(replaceInput.value, match) : replaceInput.value
+        });
+    }
+    return index;
+}
+
+/**
+ * Make a match current, update the counter and repaint the highlights
+ */
+function showMatches(index, matchIndex, reveal) {
+    const count = document.getElementById('find-count');
+    currentMatch = findMatches.length > 0 ? Math.min(Math.max(matchIndex, 0), findMatches.length - 1) : -1;
+
+    if (findInput.classList.contains('invalid')) {
+        count.textContent = 'Invalid pattern';
+    } else if (!findInput.value) {
+        count.textContent = '';
+    } else {
+        count.textContent = findMatches.length > 0 ? `${currentMatch + 1} of ${findMatches.length}` : 'No results';
+    }
+
+    paintMatches(index);
+    if (reveal) revealCurrentMatch(index);
+}
+
+/**
+ * Fill in $&, $1, $<name> and $$ in a regex replacement, as String.replace does
+ */
+function expandReplacement(template, match) {
+    return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return match[0];
+        if (name !== undefined) return match.groups && match.groups[name] !== undefined ? match.groups[name] : '';
+        const group = Number(ref);
+        if (group > 0 && group < match.length) return match[group] === undefined ? '' : match[group];
+        return token;
+    });
+}
+
+/**
+ * Move to the next (1) or previous (-1) match, wrapping around
+ */
+function stepMatch(direction) {
+    if (findMatches.length === 0) return;
+    showMatches(buildTextIndex(), (currentMatch + direction + findMatches.length) % findMatches.length, true);
+}
+
+// ===========================
+// HIGHLIGHTING
+// ===========================
+
+/**
+ * A DOM range for a match in the text index
+ */
+function createMatchRange(index, match) {
+    const start = locateTextOffset(index, match.start, false);
+    const end = locateTextOffset(index, match.end, true);
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    return range;
+}
+
+/**
+ * The text node and offset at a position in the text index. At the seam
+ * between two nodes, a match start goes to the later node and an end to
+ * the earlier one.
+ */
+function locateTextOffset(index, position, isEnd) {
+    let found = index.nodes[0];
+    for (const entry of index.nodes) {
+        if (entry.start > position || (isEnd && entry.start === position && entry !== index.nodes[0])) break;
+        found = entry;
+    }
+    return { node: found.node, offset: Math.min(position - found.start, found.node.length) };
+}
+
+/**
+ * Highlight all matches and the current one (no-op in browsers without
+ * the Custom Highlight API, where the current match is still scrolled to)
+ */
+function paintMatches(index) {
+    if (!window.CSS || !CSS.highlights) return;
+
+    CSS.highlights.delete('find-match');
+    CSS.highlights.delete('find-current');
+    if (!index || findMatches.length === 0) return;
+
+    const ranges = findMatches.map(match => createMatchRange(index, match));
+    CSS.highlights.set('find-match', new Highlight(...ranges));
+    const current = new Highlight(ranges[currentMatch]);
+    current.priority = 1;
+    CSS.highlights.set('find-current', current);
+}
+
+/**
+ * Scroll the current match into view
+ */
+function revealCurrentMatch(index) {
+    const match = findMatches[currentMatch];
+    if (!match) return;
+
+    const rect = createMatchRange(index, match).getBoundingClientRect();
+    const top = findBar.getBoundingClientRect().bottom;
+    if (rect.top < top || rect.bottom > window.innerHeight) {
+        window.scrollBy({ top: rect.top - (top + window.innerHeight) / 2, behavior: 'smooth' });
+    }
+}
+
+// ===========================
+// REPLACING
+// ===========================
+
+/**
+ * Replace the current match and move on to the next one
+ */
+function replaceCurrent() {
+    const match = findMatches[currentMatch];
+    if (!match) return;
+
+    recordUndoPoint();
+    replaceMatchText(buildTextIndex(), match);
+    markAsUnsaved();
+
+    // Continue after the replaced text, so replacing "cat" with "cats" doesn't stall
+    const resumeAt = match.start + match.replacement.length;
+    const index = collectMatches();
+    const next = findMatches.findIndex(m => m.start >= resumeAt);
+    showMatches(index, next === -1 ? 0 : next, true);
+}
+
+/**
+ * Replace every match, as one undo step
+ */
+function replaceAll() {
+    if (findMatches.length === 0) return;
+
+    const replaced = findMatches.length;
+    recordUndoPoint();
+    const index = buildTextIndex();
+    // Back to front, so earlier offsets stay valid
+    findMatches.slice().reverse().forEach(match => replaceMatchText(index, match));
+    markAsUnsaved();
+    runSearch(0);
+    document.getElementById('find-count').textContent = `Replaced ${replaced}`;
+}
+
+/**
+ * Replace the text of one match. The replacement takes the formatting of
+ * the match's first character; the rest of the matched text is removed
+ * from the nodes it spans.
+ */
+function replaceMatchText(index, match) {
+    let replacement = match.replacement;
+
+    index.nodes.forEach(entry => {
+        const node = entry.node;
+        const from = Math.max(match.start - entry.start, 0);
+        const to = Math.min(match.end - entry.start, node.length);
+        if (from >= to) return;
+
+        node.replaceData(from, to - from, replacement);
+        replacement = '';
+        if (node.length === 0) removeEmptyInline(node);
+    });
+}
+
+/**
+ * Remove an emptied text node along with inline elements left empty by it
+ */
+function removeEmptyInline(node) {
+    let target = node;
+    while (target.parentNode !== editor && !isEditorBlock(target.parentNode) &&
+        target.parentNode.childNodes.length === 1) {
+        target = target.parentNode;
+    }
+    target.remove();
+}
@@ -0,0 +1,93 @@
+/**
+ * ZENO DRAFT - DOCUMENT FOLDER
+ * The breadcrumb in the header showing which folder the open document is in,
+ * and the "Move to folder" action (the picker is in folder-picker.js).
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// The open document's folder. New drafts are saved into it.
+let docFolderId = DocStore.ROOT_FOLDER;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the breadcrumb and the move action
+ */
+function initializeFolders() {
+    initializeFolderPicker();
+    document.getElementById('move-doc-btn').addEventListener('click', moveToFolder);
+
+    registerCommand({ id: 'moveToFolder', title: 'Move to folder…', group: 'Document', run: moveToFolder });
+    renderDocBreadcrumb();
+}
+
+// ===========================
+// BREADCRUMB
+// ===========================
+
+/**
+ * Set the open document's folder (e.g. when it loads or is moved)
+ */
+function setDocFolder(id) {
+    docFolderId = Folders.resolve(id);
+    renderDocBreadcrumb();
+}
+
+/**
+ * Show the folders from "My Drafts" down to the document's, each linking
+ * to that folder on the dashboard
+ */
+function renderDocBreadcrumb() {
+    const breadcrumb = document.getElementById('doc-breadcrumb');
+    // Another user's folders aren't ours to show or change
+    const path = isDocumentOwner() ? Folders.getPath(docFolderId) : Folders.getPath(DocStore.ROOT_FOLDER);
+    document.getElementById('move-doc-btn').hidden = !isDocumentOwner();
+
+    breadcrumb.innerHTML = '';
+    path.forEach((folder, index) => {
+        if (index > 0) breadcrumb.append(' › ');
+        const link = document.createElement('a');
+        link.className = 'nav-link';
+        link.href = folder.id === DocStore.ROOT_FOLDER
+            ? 'dashboard.html'
+            : `dashboard.html?folder=${encodeURIComponent(folder.id)}`;
+        link.textContent = folder.name;
+        breadcrumb.appendChild(link);
+    });
+}
+
+// ===========================
+// MOVING
+// ===========================
+
+/**
+ * Ask for a folder and move the open document there
+ */
+function moveToFolder() {
+    if (!isDocumentOwner()) return;
+    openFolderPicker(docFolderId, moveDocument);
+}
+
+/**
+ * Move the open document to a folder. A draft that hasn't been saved yet
+ * is simply saved there later.
+ */
+async function moveDocument(folderId) {
+    if (!currentProjectId) {
+        setDocFolder(folderId);
+        return;
+    }
+
+    const doc = await updateStoredDocument('Moving failed', doc => {
+        doc.folderId = folderId;
+    });
+    if (!doc) return;
+
+    setDocFolder(doc.folderId);
+    showSyncNotice(`Moved to ${Folders.get(docFolderId).name}.`);
+}
@@ -0,0 +1,428 @@
+/**
+ * ZENO DRAFT - VERSION HISTORY
+ * Bounded per-document snapshots with word-level diff and restore.
+ *
+ * Inline images (data: URLs, up to a few MB each) are kept once per
+ * document in `historyImages`, keyed by a hash of their data; snapshots
+ * point at them as `history-image:<key>` (see packSnapshotContent()).
+ */
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+// Minimum time between automatic snapshots while editing (5 minutes)
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+// Hard cap on snapshots kept per document
+const MAX_SNAPSHOTS = 50;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// How snapshots refer to an image in the document's historyImages
+const HISTORY_IMAGE_PREFIX = 'history-image:';
+const INLINE_IMAGE_PATTERN = /data:image\/[a-z]+;base64,[A-Za-z0-9+/=]+/g;
+const HISTORY_IMAGE_PATTERN = /history-image:([a-z0-9]+)/g;
+
+const SNAPSHOT_LABELS = {
+    auto: 'Auto snapshot',
+    manual: 'Manual save',
+    publish: 'Published',
+    'before-restore': 'Before restore',
+    restore: 'Restored version',
+    import: 'Imported'
+};
+
+// ===========================
+// SNAPSHOTS
+// ===========================
+
+/**
+ * Record a snapshot of a document record's current content, if warranted.
+ * Automatic saves only snapshot every SNAPSHOT_INTERVAL; every other save
+ * reason always snapshots unless nothing has changed.
+ */
+function recordSnapshot(doc, reason) {
+    const images = { ...doc.historyImages };
+    const content = packSnapshotContent(doc.content, images);
+    // Snapshots taken before images were kept apart give theirs up too
+    const history = (doc.history || []).map(snap => ({ ...snap, content: packSnapshotContent(snap.content, images) }));
+    const latest = history[history.length - 1];
+    const now = Date.now();
+
+    if (latest && latest.content === content && latest.title === doc.title) return;
+    if (reason === 'auto' && latest && now - new Date(latest.createdAt).getTime() < SNAPSHOT_INTERVAL) return;
+
+    history.push({
+        id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+        createdAt: new Date(now).toISOString(),
+        reason: reason,
+        title: doc.title,
+        content: content
+    });
+    doc.history = thinSnapshots(history, now);
+    doc.historyImages = keepUsedImages(doc.history, images);
+}
+
+/**
+ * Content for a snapshot: each inline image is added to the images (once,
+ * however many snapshots show it) and referred to by its key
+ */
+function packSnapshotContent(content, images) {
+    return (content || '').replace(INLINE_IMAGE_PATTERN, data => {
+        const key = hashImageData(data);
+        images[key] = data;
+        return HISTORY_IMAGE_PREFIX + key;
+    });
+}
+
+/**
+ * A snapshot's content with its images put back
+ */
+function unpackSnapshotContent(content, images) {
+    return (content || '').replace(HISTORY_IMAGE_PATTERN, (ref, key) => (images && images[key]) || '');
+}
+
+/**
+ * The images some snapshot still shows
+ */
+function keepUsedImages(history, images) {
+    const used = {};
+    history.forEach(snap => {
+        for (const match of snap.content.matchAll(HISTORY_IMAGE_PATTERN)) {
+            if (images[match[1]]) used[match[1]] = images[match[1]];
+        }
+    });
+    return used;
+}
+
+/**
+ * A short key for an image's data (53-bit hash plus the length)
+ */
+function hashImageData(data) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < data.length; i++) {
+        const code = data.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36) + data.length.toString(36);
+}
+
+/**
+ * Thin out old snapshots so storage stays bounded:
+ * everything from the last hour, then one per hour for a day,
+ * one per day for a month, and one per week beyond that.
+ */
+function thinSnapshots(history, now) {
+    const seenBuckets = new Set();
+    const kept = [];
+
+    // Walk newest first so each bucket keeps its latest snapshot
+    for (let i = history.length - 1; i >= 0; i--) {
+        const snap = history[i];
+        const time = new Date(snap.createdAt).getTime();
+        const age = now - time;
+
+        let bucket;
+        if (age < HOUR) bucket = snap.id;
+        else if (age < DAY) bucket = 'h' + Math.floor(time / HOUR);
+        else if (age < 30 * DAY) bucket = 'd' + Math.floor(time / DAY);
+        else bucket = 'w' + Math.floor(time / WEEK);
+
+        if (seenBuckets.has(bucket)) continue;
+        seenBuckets.add(bucket);
+        kept.push(snap);
+        if (kept.length === MAX_SNAPSHOTS) break;
+    }
+
+    return kept.reverse();
+}
+
+/**
+ * Get the stored record for the open document
+ */
+async function getCurrentDocRecord() {
+    if (!currentProjectId) return null;
+    return DocStore.getDoc(currentDocAuthor, currentProjectId);
+}
+
+/**
+ * Restore a snapshot as the current content.
+ * The content being replaced is snapshotted first, so a restore can be undone.
+ */
+async function restoreSnapshot(snapshotId) {
+    const doc = await getCurrentDocRecord();
+    const snap = doc && (doc.history || []).find(s => s.id === snapshotId);
+    if (!snap) return;
+
+    if (!confirm(`Restore the version from ${formatSnapshotDate(snap.createdAt)}? Your current content will be kept in history.`)) {
+        return;
+    }
+
+    if (!(await saveDocument('before-restore'))) return;
+    recordUndoPoint();
+    editor.innerHTML = sanitizeHTML(unpackSnapshotContent(snap.content, doc.historyImages));
+    docTitle.value = snap.title || 'Untitled Document';
+    updatePageTitle(docTitle.value);
+    await saveDocument('restore');
+}
+
+// ===========================
+// HISTORY PANEL
+// ===========================
+
+/**
+ * Initialize the history panel
+ */
+function initializeHistoryPanel() {
+    const panel = document.getElementById('history-panel');
+
+    document.getElementById('history-btn').addEventListener('click', function() {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) {
+            // One side panel at a time
+            document.getElementById('review-panel').hidden = true;
+            document.getElementById('lint-panel').hidden = true;
+            renderHistoryPanel();
+        }
+    });
+
+    document.getElementById('history-close').addEventListener('click', function() {
+        panel.hidden = true;
+    });
+
+    registerCommand({
+        id: 'versionHistory', title: 'Version history', group: 'Document', keys: ['Mod+Alt+Shift+H'],
+        run: () => document.getElementById('history-btn').click()
+    });
+
+    document.getElementById('history-compare-btn').addEventListener('click', showSelectedDiff);
+}
+
+/**
+ * Re-render the history panel if it is open
+ */
+function refreshHistoryPanel() {
+    if (!document.getElementById('history-panel').hidden) {
+        renderHistoryPanel();
+    }
+}
+
+/**
+ * Render the snapshot list and compare selectors
+ */
+async function renderHistoryPanel() {
+    const list = document.getElementById('history-list');
+    const fromSelect = document.getElementById('history-from');
+    const toSelect = document.getElementById('history-to');
+    const history = ((await getCurrentDocRecord()) || {}).history || [];
+
+    list.innerHTML = '';
+    fromSelect.innerHTML = '';
+    toSelect.innerHTML = '';
+    document.getElementById('history-diff').innerHTML = '';
+
+    if (history.length === 0) {
+        list.innerHTML = '<li class="history-empty">No snapshots yet. Save the document to create one.</li>';
+        return;
+    }
+
+    const currentOption = new Option('Current content', 'current');
+    toSelect.appendChild(currentOption);
+
+    // Newest first
+    history.slice().reverse().forEach((snap, index) => {
+        const label = `${formatSnapshotDate(snap.createdAt)} · ${SNAPSHOT_LABELS[snap.reason] || snap.reason}`;
+
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const text = document.createElement('span');
+        text.textContent = label;
+        item.appendChild(text);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'action-btn';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => restoreSnapshot(snap.id));
+        item.appendChild(restoreBtn);
+
+        list.appendChild(item);
+        fromSelect.appendChild(new Option(label, snap.id, false, index === 0));
+        toSelect.appendChild(new Option(label, snap.id));
+    });
+}
+
+/**
+ * Show the diff between the two selected versions
+ */
+async function showSelectedDiff() {
+    const history = ((await getCurrentDocRecord()) || {}).history || [];
+    const getContent = id => id === 'current'
+        ? editor.innerHTML
+        : (history.find(s => s.id === id) || {}).content || '';
+
+    const fromText = htmlToText(getContent(document.getElementById('history-from').value));
+    const toText = htmlToText(getContent(document.getElementById('history-to').value));
+
+    renderDiff(diffWords(fromText, toText), document.getElementById('history-diff'));
+}
+
+/**
+ * Render diff operations into a container
+ */
+function renderDiff(ops, container) {
+    container.innerHTML = '';
+
+    if (ops.every(op => op.type === 'equal')) {
+        container.innerHTML = '<p class="history-empty">No differences.</p>';
+        return;
+    }
+
+    ops.forEach(op => {
+        if (op.type === 'equal') {
+            container.appendChild(document.createTextNode(op.value));
+        } else {
+            const span = document.createElement(op.type === 'insert' ? 'ins' : 'del');
+            span.className = op.type === 'insert' ? 'diff-ins' : 'diff-del';
+            span.textContent = op.value;
+            container.appendChild(span);
+        }
+    });
+}
+
+/**
+ * Format a snapshot timestamp for display
+ */
+function formatSnapshotDate(isoString) {
+    return new Date(isoString).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ===========================
+// WORD DIFF
+// ===========================
+
+/**
+ * Convert stored HTML into plain text, keeping block boundaries as line breaks
+ */
+function htmlToText(html) {
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    parsed.body.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+    parsed.body.querySelectorAll('td, th').forEach(el => el.append('\t'));
+    parsed.body.querySelectorAll('p, div, h1, h2, h3, li, pre, tr').forEach(el => el.append('\n'));
+    return parsed.body.textContent.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Word-level diff of two strings.
+ * Returns a list of { type: 'equal' | 'insert' | 'delete', value } operations.
+ */
+function diffWords(oldText, newText) {
+    const a = oldText.match(/\s+|[^\s]+/g) || [];
+    const b = newText.match(/\s+|[^\s]+/g) || [];
+
+    // Trim the common prefix and suffix before running the diff
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = [];
+    pushOp(ops, 'equal', a.slice(0, start));
+    myersDiff(a.slice(start, endA), b.slice(start, endB)).forEach(op => pushOp(ops, op.type, [op.value]));
+    pushOp(ops, 'equal', a.slice(endA));
+    return ops;
+}
+
+/**
+ * Append tokens to an op list, merging with the previous op of the same type
+ */
+function pushOp(ops, type, tokens) {
+    if (tokens.length === 0) return;
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+        last.value += tokens.join('');
+    } else {
+        ops.push({ type: type, value: tokens.join('') });
+    }
+}
+
+/**
+ * Myers O(ND) diff over token arrays.
+ * Very large edit distances fall back to a whole delete + insert.
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const maxD = Math.min(n + m, 1000);
+    const v = new Map([[1, 0]]);
+    const trace = [];
+
+    for (let d = 0; d <= maxD; d++) {
+        trace.push(new Map(v));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v.get(k - 1) < v.get(k + 1)))
+                ? v.get(k + 1)
+                : v.get(k - 1) + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v.set(k, x);
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return a.map(t => ({ type: 'delete', value: t }))
+        .concat(b.map(t => ({ type: 'insert', value: t })));
+}
+
+/**
+ * Walk the Myers trace backwards to recover the edit script
+ */
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))) ? k + 1 : k - 1;
+        const prevX = v.get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', value: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: 'insert', value: b[--y] });
+        } else {
+            ops.push({ type: 'delete', value: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', value: a[--x] });
+        y--;
+    }
+
+    return ops.reverse();
+}
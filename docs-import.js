@@ -0,0 +1,396 @@
+/**
+ * ZENO DRAFT - IMPORT
+ * Turn .md, .html and .txt files into new drafts, using the same elements
+ * the toolbar produces (h1-h3, p, ul/ol/li, b/i/u)
+ */
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the import button and drag-and-drop onto the page.
+ * Dropped images are added to the open document rather than imported.
+ */
+function initializeImport() {
+    const importBtn = document.getElementById('import-btn');
+    const importInput = document.getElementById('import-input');
+
+    importBtn.addEventListener('click', () => importInput.click());
+    registerCommand({ id: 'import', title: 'Import a file as a new draft', group: 'Document', run: () => importInput.click() });
+    importInput.addEventListener('change', function() {
+        importFiles(Array.from(this.files));
+        this.value = '';
+    });
+
+    editor.addEventListener('dragover', function(e) {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        editor.classList.add('drop-target');
+    });
+
+    editor.addEventListener('dragleave', function() {
+        editor.classList.remove('drop-target');
+    });
+
+    editor.addEventListener('drop', function(e) {
+        editor.classList.remove('drop-target');
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+
+        // Images go into the document where they are dropped (see docs-insert.js)
+        const files = Array.from(e.dataTransfer.files);
+        const images = files.filter(isImageFile);
+        if (images.length > 0) {
+            placeCaretAtPoint(e.clientX, e.clientY);
+            insertImageFiles(images);
+        }
+        if (images.length < files.length) {
+            importFiles(files.filter(file => !isImageFile(file)));
+        }
+    });
+}
+
+/**
+ * Whether a drag event carries files (rather than text being moved)
+ */
+function hasFiles(e) {
+    return Array.from(e.dataTransfer.types || []).includes('Files');
+}
+
+// ===========================
+// IMPORTING
+// ===========================
+
+/**
+ * Import files as new drafts and open the last one
+ */
+async function importFiles(files) {
+    const supported = files.filter(file => getImportFormat(file.name));
+    const skipped = files.length - supported.length;
+
+    if (supported.length === 0) {
+        alert('Only .md, .html and .txt files can be imported.');
+        return;
+    }
+
+    let lastId = null;
+    for (const file of supported) {
+        try {
+            lastId = await importFile(file);
+        } catch (err) {
+            console.error(`Import of ${file.name} failed:`, err);
+            alert(`'${file.name}' could not be imported: ${err.message}`);
+        }
+    }
+
+    if (skipped > 0) {
+        alert(`${skipped} file(s) were skipped. Only .md, .html and .txt files can be imported.`);
+    }
+    if (!lastId) return;
+
+    // Keep the open draft before leaving it
+    if (hasUnsavedChanges) await saveDocument('manual');
+    window.location.href = `docs.html?id=${encodeURIComponent(lastId)}`;
+}
+
+/**
+ * Import one file as a new draft. Resolves to the new document id.
+ */
+async function importFile(file) {
+    const text = await file.text();
+    const content = sanitizeHTML(convertToEditorHTML(text, getImportFormat(file.name)));
+    const now = new Date().toISOString();
+
+    const doc = {
+        id: DocStore.createId(),
+        title: getImportTitle(content, file.name),
+        content: content,
+        author: currentUser,
+        createdAt: now,
+        modifiedAt: now,
+        published: false
+    };
+    recordSnapshot(doc, 'import');
+
+    await DocStore.putDoc(doc);
+    return doc.id;
+}
+
+/**
+ * Work out the import format from a file name
+ */
+function getImportFormat(filename) {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (['md', 'markdown'].includes(extension)) return 'markdown';
+    if (['html', 'htm'].includes(extension)) return 'html';
+    if (extension === 'txt') return 'text';
+    return null;
+}
+
+/**
+ * Convert file contents in any supported format to editor HTML
+ */
+function convertToEditorHTML(text, format) {
+    if (format === 'markdown') return markdownToHTML(text);
+    if (format === 'html') return normalizeImportedHTML(text);
+    return textToHTML(text);
+}
+
+/**
+ * Title from the first heading, falling back to the file name
+ */
+function getImportTitle(content, filename) {
+    const container = document.createElement('div');
+    container.innerHTML = content;
+    const heading = container.querySelector('h1, h2, h3');
+    const headingText = heading ? heading.textContent.trim() : '';
+
+    return headingText || filename.replace(/\.[^.]+$/, '') || 'Untitled Document';
+}
+
+// ===========================
+// PLAIN TEXT
+// ===========================
+
+/**
+ * Blank lines separate paragraphs; single line breaks are kept
+ */
+function textToHTML(text) {
+    return text.replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .map(paragraph => `<p>${escapeHTML(paragraph).replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// ===========================
+// MARKDOWN
+// ===========================
+
+/**
+ * Convert Markdown to editor HTML.
+ * Block quotes and code become plain paragraphs; links and images keep their text.
+ */
+function markdownToHTML(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    const html = [];
+    const listStack = [];
+    let paragraph = [];
+    let codeLines = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${markdownInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+    const closeLists = (indent) => {
+        while (listStack.length > 0 && listStack[listStack.length - 1].indent > indent) {
+            html.push(`</li></${listStack.pop().type}>`);
+        }
+    };
+
+    lines.forEach(line => {
+        // Fenced code: keep the lines as literal text
+        if (/^\s*(```|~~~)/.test(line)) {
+            if (codeLines === null) {
+                flushParagraph();
+                closeLists(-1);
+                codeLines = [];
+            } else {
+                html.push(`<p>${codeLines.map(escapeHTML).join('<br>')}</p>`);
+                codeLines = null;
+            }
+            return;
+        }
+        if (codeLines !== null) {
+            codeLines.push(line);
+            return;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+            return;
+        }
+
+        const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+        if (listItem && !/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            const indent = listItem[1].length;
+            const type = /\d/.test(listItem[2]) ? 'ol' : 'ul';
+            closeLists(indent);
+
+            const top = listStack[listStack.length - 1];
+            if (!top || indent > top.indent) {
+                html.push(`<${type}><li>`);
+                listStack.push({ type: type, indent: indent });
+            } else if (top.type !== type) {
+                html.push(`</li></${listStack.pop().type}><${type}><li>`);
+                listStack.push({ type: type, indent: indent });
+            } else {
+                html.push('</li><li>');
+            }
+            html.push(markdownInline(listItem[3]));
+            return;
+        }
+
+        // Indented lines continue the current list item
+        if (listStack.length > 0 && /^\s+/.test(line)) {
+            html.push(' ' + markdownInline(line.trim()));
+            return;
+        }
+        closeLists(-1);
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            const level = Math.min(heading[1].length, 3);
+            html.push(`<h${level}>${markdownInline(heading[2])}</h${level}>`);
+            return;
+        }
+
+        // Setext headings underline the previous paragraph
+        if (/^=+\s*$/.test(line) && paragraph.length > 0) {
+            html.push(`<h1>${markdownInline(paragraph.join(' '))}</h1>`);
+            paragraph = [];
+            return;
+        }
+        if (/^-+\s*$/.test(line) && paragraph.length > 0) {
+            html.push(`<h2>${markdownInline(paragraph.join(' '))}</h2>`);
+            paragraph = [];
+            return;
+        }
+
+        // Horizontal rules just end the paragraph
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            return;
+        }
+
+        paragraph.push(line.replace(/^\s*>\s?/, '').trim());
+    });
+
+    if (codeLines !== null) {
+        html.push(`<p>${codeLines.map(escapeHTML).join('<br>')}</p>`);
+    }
+    flushParagraph();
+    closeLists(-1);
+
+    return html.join('');
+}
+
+/**
+ * Convert inline Markdown (emphasis, code, links) to editor HTML
+ */
+function markdownInline(text) {
+    const literals = [];
+    const keep = value => `\u0000${literals.push(value) - 1}\u0000`;
+
+    let html = text
+        // Backslash escapes and code spans are taken literally
+        .replace(/\\([\\`*_{}[\]()#+\-.!<>])/g, (match, char) => keep(escapeHTML(char)))
+        .replace(/`([^`]+)`/g, (match, code) => keep(escapeHTML(code)));
+
+    html = escapeHTML(html)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/&lt;u&gt;([\s\S]*?)&lt;\/u&gt;/g, '<u>$1</u>')
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, a, b) => `<b>${a || b}</b>`)
+        .replace(/\*(?=\S)([\s\S]*?\S)\*|\b_(?=\S)([\s\S]*?\S)_\b/g, (match, a, b) => `<i>${a || b}</i>`);
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => literals[index]);
+}
+
+// ===========================
+// HTML
+// ===========================
+
+const IMPORT_DROP_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'SVG', 'CANVAS', 'HEAD', 'TITLE'];
+const IMPORT_BLOCK_TAGS = ['P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE', 'PRE',
+    'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'TABLE', 'TR', 'FIGURE'];
+const IMPORT_INLINE_MAP = { B: 'b', STRONG: 'b', I: 'i', EM: 'i', U: 'u', BR: 'br' };
+
+/**
+ * Rebuild arbitrary HTML using only the editor's elements
+ */
+function normalizeImportedHTML(html) {
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    const output = document.createElement('div');
+    appendNormalized(parsed.body, output, false);
+    wrapLooseInline(output);
+    return output.innerHTML;
+}
+
+/**
+ * Copy the children of `source` into `target`, mapping or unwrapping each element
+ */
+function appendNormalized(source, target, inList) {
+    Array.from(source.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent.replace(/\s+/g, ' ')));
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || IMPORT_DROP_TAGS.includes(node.tagName)) return;
+
+        const tag = node.tagName;
+        let mapped = null;
+
+        if (/^H[1-6]$/.test(tag)) {
+            mapped = `h${Math.min(Number(tag[1]), 3)}`;
+        } else if (tag === 'UL' || tag === 'OL') {
+            mapped = tag.toLowerCase();
+        } else if (tag === 'LI') {
+            mapped = 'li';
+        } else if (IMPORT_INLINE_MAP[tag]) {
+            mapped = IMPORT_INLINE_MAP[tag];
+        } else if (IMPORT_BLOCK_TAGS.includes(tag) && !inList && !containsBlock(node)) {
+            mapped = 'p';
+        }
+
+        if (!mapped) {
+            // Unknown or wrapper element: keep its content only
+            appendNormalized(node, target, inList);
+            return;
+        }
+
+        const element = document.createElement(mapped);
+        appendNormalized(node, element, inList || mapped === 'li');
+        if (mapped === 'br' || element.textContent.trim() || element.querySelector('li')) {
+            target.appendChild(element);
+        }
+    });
+}
+
+/**
+ * Whether an element has block-level descendants
+ */
+function containsBlock(node) {
+    return Array.from(node.querySelectorAll('*')).some(el => IMPORT_BLOCK_TAGS.includes(el.tagName));
+}
+
+/**
+ * Wrap runs of top-level text and inline elements in paragraphs
+ */
+function wrapLooseInline(container) {
+    let paragraph = null;
+
+    Array.from(container.childNodes).forEach(node => {
+        const isBlock = node.nodeType === Node.ELEMENT_NODE && /^(P|H[1-3]|UL|OL)$/.test(node.tagName);
+        if (isBlock) {
+            paragraph = null;
+            return;
+        }
+        if (!paragraph) {
+            if (!node.textContent.trim()) {
+                node.remove();
+                return;
+            }
+            paragraph = document.createElement('p');
+            container.insertBefore(paragraph, node);
+        }
+        paragraph.appendChild(node);
+    });
+}
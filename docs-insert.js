@@ -0,0 +1,843 @@
+/**
+ * ZENO DRAFT - LINKS, IMAGES & TABLES
+ * Links with a popover to edit, open or remove them; images that are
+ * uploaded, pasted or dropped in, embedded as data URLs and resized by
+ * dragging; and tables with row, column and header-row commands.
+ *
+ * Every change goes through runEditorCommand (docs-commands.js) or records
+ * its own undo point, so each is one undo step.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const linkPopover = document.getElementById('link-popover');
+const imagePopover = document.getElementById('image-popover');
+const imageFrame = document.getElementById('image-frame');
+const tableToolbar = document.getElementById('table-toolbar');
+
+// Image formats that can be embedded (SVG is left out: it can carry script)
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+// Larger images are scaled down to this many pixels on their longest side
+const MAX_IMAGE_DIMENSION = 1600;
+// Longest data URL embedded, since images are stored inside the document (about 3 MB)
+const MAX_IMAGE_DATA_LENGTH = 4 * 1024 * 1024;
+// Narrowest an image can be dragged to, in pixels
+const MIN_IMAGE_WIDTH = 48;
+
+// The link the popover is showing, if it is an existing one
+let editingLink = null;
+// Selection to return to when the link popover applies its change
+let linkSelection = null;
+// The image the image popover and resize handle belong to
+let selectedImage = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize links, images and tables
+ */
+function initializeInsert() {
+    // Links
+    document.getElementById('link-btn').addEventListener('click', function(e) {
+        e.preventDefault();
+        openLinkPopover(getActiveFormats().link, true);
+    });
+    linkPopover.addEventListener('submit', function(e) {
+        e.preventDefault();
+        applyLink();
+    });
+    document.getElementById('link-remove').addEventListener('click', function() {
+        restoreLinkSelection();
+        executeCommand('unlink');
+        closeLinkPopover();
+    });
+    document.getElementById('link-url').addEventListener('input', function() {
+        this.classList.remove('invalid');
+    });
+    registerCommand({
+        id: 'link', title: 'Link', group: 'Insert', keys: ['Mod+Alt+K'], scope: 'editor',
+        run: () => openLinkPopover(getActiveFormats().link, true)
+    });
+
+    // Images
+    const imageInput = document.getElementById('image-input');
+    document.getElementById('image-btn').addEventListener('click', function() {
+        ensureSelectionInEditor();
+        imageInput.click();
+    });
+    imageInput.addEventListener('change', function() {
+        insertImageFiles(Array.from(this.files));
+        this.value = '';
+    });
+    editor.addEventListener('paste', handleImagePaste);
+    registerCommand({
+        id: 'image', title: 'Image', group: 'Insert', scope: 'editor',
+        run: () => document.getElementById('image-btn').click()
+    });
+
+    imagePopover.querySelectorAll('[data-image-width]').forEach(button => {
+        button.addEventListener('click', () => setImageWidth(Number(button.dataset.imageWidth) || null));
+    });
+    document.getElementById('image-alt').addEventListener('change', function() {
+        setImageAlt(this.value.trim());
+    });
+    document.getElementById('image-remove').addEventListener('click', removeSelectedImage);
+    document.getElementById('image-resize-handle').addEventListener('pointerdown', startImageResize);
+
+    // Tables
+    tableToolbar.querySelectorAll('[data-command]').forEach(button => {
+        // Keep the caret in the table while the toolbar is used
+        button.addEventListener('mousedown', e => e.preventDefault());
+        button.addEventListener('click', () => executeCommand(button.dataset.command));
+    });
+    editor.addEventListener('keydown', handleTableTab);
+
+    editor.addEventListener('click', handleInsertClick);
+    document.addEventListener('selectionchange', updateInsertControls);
+    document.addEventListener('mousedown', function(e) {
+        if (!linkPopover.hidden && !linkPopover.contains(e.target) && !e.target.closest('#link-btn')) {
+            closeLinkPopover();
+        }
+        if (selectedImage && e.target !== selectedImage && !imagePopover.contains(e.target) &&
+            !imageFrame.contains(e.target)) {
+            deselectImage();
+        }
+    });
+    document.addEventListener('keydown', function(e) {
+        if (e.key !== 'Escape') return;
+        if (!linkPopover.hidden) {
+            closeLinkPopover();
+            restoreLinkSelection();
+        }
+        deselectImage();
+    });
+    window.addEventListener('resize', updateInsertControls);
+}
+
+/**
+ * Open links with Ctrl/Cmd+click, show the link popover for a clicked link,
+ * and select a clicked image
+ */
+function handleInsertClick(e) {
+    if (e.target.tagName === 'IMG') {
+        selectImage(e.target);
+        return;
+    }
+
+    const link = e.target.closest('a[href]');
+    // Table of contents links scroll the page instead (see docs-outline.js)
+    if (!link || link.closest('nav[data-toc]')) return;
+
+    if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        window.open(link.href, '_blank', 'noopener');
+        return;
+    }
+    openLinkPopover(link, false);
+}
+
+/**
+ * Keep the popovers and table toolbar in step with the selection
+ */
+function updateInsertControls() {
+    const range = getEditorRange();
+
+    // Moving the caret out of the link being shown closes its popover
+    if (!linkPopover.hidden && editingLink && range && !editingLink.contains(range.startContainer)) {
+        closeLinkPopover();
+    }
+    if (selectedImage && (!selectedImage.isConnected || (range && !range.intersectsNode(selectedImage)))) {
+        deselectImage();
+    }
+    if (selectedImage) positionImageControls();
+
+    const cell = getCurrentCell();
+    tableToolbar.hidden = !cell;
+    if (cell) {
+        const table = cell.closest('table');
+        const toggle = tableToolbar.querySelector('[data-command="toggleHeaderRow"]');
+        toggle.setAttribute('aria-pressed', String(!!table.tHead));
+        positionAbove(tableToolbar, table.getBoundingClientRect());
+    }
+}
+
+// ===========================
+// POPOVER PLACEMENT
+// ===========================
+
+/**
+ * Place a popover just below a viewport rectangle, kept inside the canvas
+ */
+function positionBelow(popover, rect) {
+    const canvas = editor.parentNode.getBoundingClientRect();
+    const left = Math.min(rect.left - canvas.left, canvas.width - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(left, 8)}px`;
+    popover.style.top = `${rect.bottom - canvas.top + 8}px`;
+}
+
+/**
+ * Place a toolbar just above a viewport rectangle
+ */
+function positionAbove(toolbar, rect) {
+    const canvas = editor.parentNode.getBoundingClientRect();
+    toolbar.style.left = `${Math.max(rect.left - canvas.left, 8)}px`;
+    toolbar.style.top = `${rect.top - canvas.top - toolbar.offsetHeight - 6}px`;
+}
+
+/**
+ * Where the selection is on screen. A caret in an empty block has no
+ * size of its own, so the block's position is used instead.
+ */
+function getSelectionRect(range) {
+    const rect = range.getBoundingClientRect();
+    if (rect.width || rect.height) return rect;
+    const block = findAncestor(range.startContainer, isEditorBlock);
+    return (block || editor).getBoundingClientRect();
+}
+
+// ===========================
+// LINKS
+// ===========================
+
+/**
+ * Whether an element is a link
+ */
+function isLink(el) {
+    return el.tagName === 'A';
+}
+
+/**
+ * Turn what was typed into a link address: a bare domain gets https:// and
+ * an email address gets mailto:. Returns null for anything else that isn't
+ * a link the sanitizer would keep (e.g. javascript: URLs).
+ */
+function normalizeLinkUrl(value) {
+    const url = value.trim();
+    if (!url || /\s/.test(url)) return null;
+    if (ATTRIBUTE_CHECKS.href(url)) return url;
+    if (/^[^\s@/:]+@[^\s@/:]+\.[^\s@/:]+$/.test(url)) return `mailto:${url}`;
+    if (/^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+(:\d+)?([/?#]\S*)?$/u.test(url)) return `https://${url}`;
+    return null;
+}
+
+/**
+ * Show the link popover for an existing link, or to add a link to the
+ * selection. Focuses the address field when the user asked to edit.
+ */
+function openLinkPopover(link, focus) {
+    const range = getEditorRange();
+    if (!range) return;
+
+    editingLink = link || null;
+    linkSelection = getSelectionOffsets();
+
+    const input = document.getElementById('link-url');
+    const href = editingLink ? editingLink.getAttribute('href') : '';
+    input.value = href;
+    input.classList.remove('invalid');
+
+    // Links to headings already work by clicking them in the page
+    const open = document.getElementById('link-open');
+    open.hidden = !href || href.startsWith('#');
+    open.href = href || '#';
+    document.getElementById('link-remove').hidden = !editingLink;
+
+    deselectImage();
+    linkPopover.hidden = false;
+    positionBelow(linkPopover, editingLink ? editingLink.getBoundingClientRect() : getSelectionRect(range));
+    if (focus) {
+        input.focus();
+        input.select();
+    }
+}
+
+/**
+ * Close the link popover
+ */
+function closeLinkPopover() {
+    linkPopover.hidden = true;
+    editingLink = null;
+}
+
+/**
+ * Put the selection back where it was when the popover opened. An existing
+ * link is selected whole, so editing it changes the entire link.
+ */
+function restoreLinkSelection() {
+    editor.focus();
+    if (editingLink && editingLink.isConnected) {
+        const range = document.createRange();
+        range.selectNodeContents(editingLink);
+        selectRange(range);
+    } else if (linkSelection) {
+        setSelectionOffsets(linkSelection);
+    }
+}
+
+/**
+ * Apply the address typed into the popover
+ */
+function applyLink() {
+    const input = document.getElementById('link-url');
+    const url = normalizeLinkUrl(input.value);
+    if (!url) {
+        input.classList.add('invalid');
+        input.focus();
+        return;
+    }
+
+    restoreLinkSelection();
+    executeCommand('createLink', url);
+    closeLinkPopover();
+}
+
+/**
+ * Link the selection to a URL. Over a link, the link is pointed at the URL;
+ * with nothing selected, the URL itself is inserted as the link text.
+ */
+function setLink(url) {
+    const range = getEditorRange();
+    if (!range || !url) return;
+
+    if (range.collapsed) {
+        const existing = findAncestor(range.startContainer, isLink);
+        if (existing) {
+            existing.setAttribute('href', url);
+        } else {
+            const link = document.createElement('a');
+            link.setAttribute('href', url);
+            link.textContent = url.replace(/^mailto:/i, '');
+            range.insertNode(link);
+
+            const caret = document.createRange();
+            caret.setStartAfter(link);
+            selectRange(caret);
+        }
+        updateToolbarStates();
+        return;
+    }
+
+    const offsets = getSelectionOffsets();
+    getTextNodesInRange(range).forEach(node => {
+        unwrapFromAncestor(node, isLink);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        node.parentNode.insertBefore(link, node);
+        link.appendChild(node);
+    });
+    cleanupInline();
+    setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+/**
+ * Remove every link the selection touches, keeping their text
+ */
+function removeLink() {
+    const range = getEditorRange();
+    if (!range) return;
+
+    const offsets = getSelectionOffsets();
+    const links = new Set([range.startContainer, ...textNodesIntersecting(range)]
+        .map(node => findAncestor(node, isLink))
+        .filter(Boolean));
+    links.forEach(link => link.replaceWith(...link.childNodes));
+
+    editor.normalize();
+    setSelectionOffsets(offsets);
+    updateToolbarStates();
+}
+
+// ===========================
+// IMAGES
+// ===========================
+
+/**
+ * Whether a file is an image that can be embedded
+ */
+function isImageFile(file) {
+    return IMAGE_TYPES.includes(file.type);
+}
+
+/**
+ * Paste image files (e.g. a screenshot). Clipboard content that also has
+ * HTML or text is pasted by handlePaste instead.
+ */
+function handleImagePaste(e) {
+    const clipboard = e.clipboardData;
+    if (e.defaultPrevented || !clipboard) return;
+
+    const images = Array.from(clipboard.files || []).filter(isImageFile);
+    if (images.length === 0) return;
+
+    e.preventDefault();
+    insertImageFiles(images);
+}
+
+/**
+ * Put the caret at a point in the viewport (e.g. where files were dropped)
+ */
+function placeCaretAtPoint(x, y) {
+    let range = null;
+    if (document.caretRangeFromPoint) {
+        range = document.caretRangeFromPoint(x, y);
+    } else if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        if (position) {
+            range = document.createRange();
+            range.setStart(position.offsetNode, position.offset);
+        }
+    }
+    if (range && editor.contains(range.startContainer)) selectRange(range);
+}
+
+/**
+ * Embed image files at the caret, one after another
+ */
+async function insertImageFiles(files) {
+    ensureSelectionInEditor();
+    let offsets = getSelectionOffsets();
+
+    for (const file of files) {
+        try {
+            const src = await readImageFile(file);
+            editor.focus();
+            if (offsets) setSelectionOffsets(offsets);
+            executeCommand('insertImage', { src: src, alt: file.name.replace(/\.[^.]*$/, '') });
+            offsets = getSelectionOffsets();
+        } catch (err) {
+            console.error(`Adding image ${file.name} failed:`, err);
+            alert(`'${file.name}' could not be added: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Read an image file as a data URL, scaling it down if it is very large.
+ * GIFs keep their animation unless they have to be scaled.
+ */
+async function readImageFile(file) {
+    if (!isImageFile(file)) {
+        throw new Error('Only PNG, JPEG, GIF and WebP images can be added.');
+    }
+
+    const original = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+    const image = await loadImage(original);
+
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+    const tooLarge = original.length > MAX_IMAGE_DATA_LENGTH;
+    const src = scale < 1 || (tooLarge && file.type !== 'image/gif')
+        ? scaleImage(image, scale, file.type)
+        : original;
+
+    if (src.length > MAX_IMAGE_DATA_LENGTH) {
+        throw new Error('The image is too large. Try a smaller or more compressed image.');
+    }
+    return src;
+}
+
+/**
+ * Decode an image from a URL
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('The file is not a readable image.'));
+        image.src = src;
+    });
+}
+
+/**
+ * Redraw an image at a scale, as a data URL. Images that may be transparent
+ * stay PNG; photos become JPEG, which is much smaller.
+ */
+function scaleImage(image, scale, type) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return type === 'image/jpeg'
+        ? canvas.toDataURL('image/jpeg', 0.85)
+        : canvas.toDataURL(type === 'image/webp' ? 'image/webp' : 'image/png');
+}
+
+/**
+ * Insert an image ({ src, alt, width }) at the caret, replacing any selection
+ */
+function insertImage(image) {
+    const range = getEditorRange();
+    if (!range || !image || !image.src) return;
+
+    const img = document.createElement('img');
+    img.setAttribute('src', image.src);
+    img.setAttribute('alt', image.alt || '');
+    if (image.width) img.setAttribute('width', String(image.width));
+
+    range.deleteContents();
+    if (range.startContainer === editor) {
+        // Images are inline: give one between blocks a paragraph of its own
+        const paragraph = document.createElement('p');
+        paragraph.appendChild(img);
+        range.insertNode(paragraph);
+    } else {
+        range.insertNode(img);
+    }
+
+    const caret = document.createRange();
+    caret.setStartAfter(img);
+    selectRange(caret);
+}
+
+/**
+ * Select an image, showing its popover and resize handle
+ */
+function selectImage(img) {
+    selectedImage = img;
+    closeLinkPopover();
+
+    // Selected as a whole, so typing or Delete replaces it
+    const range = document.createRange();
+    range.selectNode(img);
+    selectRange(range);
+
+    document.getElementById('image-alt').value = img.getAttribute('alt') || '';
+    imagePopover.hidden = false;
+    imageFrame.hidden = false;
+    positionImageControls();
+}
+
+/**
+ * Hide the image popover and resize handle
+ */
+function deselectImage() {
+    selectedImage = null;
+    imagePopover.hidden = true;
+    imageFrame.hidden = true;
+}
+
+/**
+ * Place the resize frame over the selected image and the popover below it
+ */
+function positionImageControls() {
+    const canvas = editor.parentNode.getBoundingClientRect();
+    const rect = selectedImage.getBoundingClientRect();
+
+    imageFrame.style.left = `${rect.left - canvas.left}px`;
+    imageFrame.style.top = `${rect.top - canvas.top}px`;
+    imageFrame.style.width = `${rect.width}px`;
+    imageFrame.style.height = `${rect.height}px`;
+    positionBelow(imagePopover, rect);
+
+    imagePopover.querySelectorAll('[data-image-width]').forEach(button => {
+        button.classList.toggle('active', button.dataset.imageWidth === (selectedImage.getAttribute('width') || ''));
+    });
+}
+
+/**
+ * Set the selected image's width in pixels (null for its natural width,
+ * up to the width of the page)
+ */
+function setImageWidth(width) {
+    if (!selectedImage) return;
+
+    recordUndoPoint();
+    if (width) selectedImage.setAttribute('width', String(width));
+    else selectedImage.removeAttribute('width');
+    markAsUnsaved();
+    positionImageControls();
+}
+
+/**
+ * Set the selected image's alternative text
+ */
+function setImageAlt(alt) {
+    if (!selectedImage || (selectedImage.getAttribute('alt') || '') === alt) return;
+
+    recordUndoPoint();
+    selectedImage.setAttribute('alt', alt);
+    markAsUnsaved();
+}
+
+/**
+ * Delete the selected image
+ */
+function removeSelectedImage() {
+    if (!selectedImage) return;
+
+    recordUndoPoint();
+    const caret = document.createRange();
+    caret.setStartBefore(selectedImage);
+    selectedImage.remove();
+    deselectImage();
+    editor.focus();
+    selectRange(caret);
+    markAsUnsaved();
+}
+
+/**
+ * Drag the resize handle to change the selected image's width, as one undo step
+ */
+function startImageResize(e) {
+    if (!selectedImage) return;
+    e.preventDefault();
+
+    const image = selectedImage;
+    const handle = e.currentTarget;
+    const startX = e.clientX;
+    const startWidth = image.getBoundingClientRect().width;
+    const style = getComputedStyle(editor);
+    const maxWidth = editor.clientWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+
+    recordUndoPoint();
+    handle.setPointerCapture(e.pointerId);
+
+    const move = event => {
+        const width = Math.min(Math.max(startWidth + event.clientX - startX, MIN_IMAGE_WIDTH), maxWidth);
+        image.setAttribute('width', String(Math.round(width)));
+        positionImageControls();
+    };
+    const end = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', end);
+        handle.removeEventListener('pointercancel', end);
+        markAsUnsaved();
+    };
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+}
+
+// ===========================
+// TABLES
+// ===========================
+
+/**
+ * Whether an element is a table cell
+ */
+function isTableCell(el) {
+    return el.tagName === 'TD' || el.tagName === 'TH';
+}
+
+/**
+ * The table cell holding the caret, if any
+ */
+function getCurrentCell() {
+    const range = getEditorRange();
+    return range ? findAncestor(range.startContainer, isTableCell) : null;
+}
+
+/**
+ * Put the caret at the start of a cell, or select its content
+ */
+function placeCaretInCell(cell, selectContent) {
+    const range = document.createRange();
+    range.selectNodeContents(cell);
+    if (!selectContent) range.collapse(true);
+    selectRange(range);
+}
+
+/**
+ * A table row of empty cells
+ */
+function createTableRow(columns, cellTag) {
+    const row = document.createElement('tr');
+    for (let i = 0; i < columns; i++) {
+        const cell = document.createElement(cellTag);
+        cell.appendChild(document.createElement('br'));
+        row.appendChild(cell);
+    }
+    return row;
+}
+
+/**
+ * Insert a table with a header row after the block holding the caret
+ */
+function insertTable(rows, columns) {
+    const table = document.createElement('table');
+    const head = document.createElement('thead');
+    const body = document.createElement('tbody');
+    head.appendChild(createTableRow(columns, 'th'));
+    for (let i = 1; i < rows; i++) body.appendChild(createTableRow(columns, 'td'));
+    table.append(head, body);
+
+    insertBlockAtCaret(table);
+    placeCaretInCell(table.rows[0].cells[0]);
+}
+
+/**
+ * Add a row above or below the caret's row. The header row stays on top,
+ * so rows added next to it go at the start of the body.
+ */
+function addTableRow(below) {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    const newRow = createTableRow(row.cells.length, 'td');
+
+    if (row.parentNode.tagName === 'THEAD') {
+        let body = table.tBodies[0];
+        if (!body) {
+            body = document.createElement('tbody');
+            table.appendChild(body);
+        }
+        body.prepend(newRow);
+    } else if (below) {
+        row.after(newRow);
+    } else {
+        row.before(newRow);
+    }
+
+    placeCaretInCell(newRow.cells[Math.min(cell.cellIndex, newRow.cells.length - 1)]);
+}
+
+/**
+ * Add a column left or right of the caret's column
+ */
+function addTableColumn(right) {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const index = cell.cellIndex;
+    const row = cell.parentNode;
+    Array.from(cell.closest('table').rows).forEach(tableRow => {
+        const newCell = createTableRow(1, tableRow.parentNode.tagName === 'THEAD' ? 'th' : 'td').firstChild;
+        const reference = tableRow.cells[index];
+        if (!reference) tableRow.appendChild(newCell);
+        else if (right) reference.after(newCell);
+        else reference.before(newCell);
+    });
+
+    placeCaretInCell(row.cells[right ? index + 1 : index]);
+}
+
+/**
+ * Delete the caret's row (and the table, with its last row)
+ */
+function deleteTableRow() {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const row = cell.parentNode;
+    const rows = Array.from(row.closest('table').rows);
+    const position = rows.indexOf(row);
+    const neighbour = rows[position + 1] || rows[position - 1];
+    if (!neighbour) {
+        deleteTable();
+        return;
+    }
+
+    const section = row.parentNode;
+    row.remove();
+    if (section.rows.length === 0) section.remove();
+    placeCaretInCell(neighbour.cells[Math.min(cell.cellIndex, neighbour.cells.length - 1)] || neighbour);
+}
+
+/**
+ * Delete the caret's column (and the table, with its last column)
+ */
+function deleteTableColumn() {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const index = cell.cellIndex;
+    const row = cell.parentNode;
+    const table = row.closest('table');
+    if (Array.from(table.rows).every(tableRow => tableRow.cells.length <= 1)) {
+        deleteTable();
+        return;
+    }
+
+    Array.from(table.rows).forEach(tableRow => {
+        if (tableRow.cells[index]) tableRow.cells[index].remove();
+        // Short rows in pasted tables can be left with nothing in them
+        if (tableRow.cells.length === 0 && tableRow !== row) tableRow.remove();
+    });
+    placeCaretInCell(row.cells[Math.min(index, row.cells.length - 1)] || table);
+}
+
+/**
+ * Turn the first row into a header row, or the header row back into an
+ * ordinary first row
+ */
+function toggleTableHeader() {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const offsets = getSelectionOffsets();
+    const table = cell.closest('table');
+    const setCellTag = (row, tag) => Array.from(row.cells).forEach(rowCell => {
+        if (rowCell.tagName !== tag.toUpperCase()) renameElement(rowCell, tag);
+    });
+
+    if (table.tHead) {
+        let body = table.tBodies[0];
+        if (!body) {
+            body = document.createElement('tbody');
+            table.appendChild(body);
+        }
+        Array.from(table.tHead.rows).reverse().forEach(row => {
+            setCellTag(row, 'td');
+            body.prepend(row);
+        });
+        table.tHead.remove();
+    } else {
+        const first = table.rows[0];
+        const section = first.parentNode;
+        const head = document.createElement('thead');
+        setCellTag(first, 'th');
+        head.appendChild(first);
+        table.prepend(head);
+        if (section !== table && section.rows.length === 0) section.remove();
+    }
+
+    if (offsets) setSelectionOffsets(offsets);
+}
+
+/**
+ * Delete the table holding the caret, leaving an empty paragraph in its place
+ */
+function deleteTable() {
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    const paragraph = document.createElement('p');
+    paragraph.appendChild(document.createElement('br'));
+    cell.closest('table').replaceWith(paragraph);
+
+    const caret = document.createRange();
+    caret.setStart(paragraph, 0);
+    selectRange(caret);
+}
+
+/**
+ * Tab and Shift+Tab move between cells; Tab in the last cell adds a row
+ */
+function handleTableTab(e) {
+    if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return;
+    const cell = getCurrentCell();
+    if (!cell) return;
+
+    e.preventDefault();
+    const cells = Array.from(cell.closest('table').rows).flatMap(row => Array.from(row.cells));
+    const index = cells.indexOf(cell);
+
+    if (e.shiftKey) {
+        if (index > 0) placeCaretInCell(cells[index - 1], true);
+    } else if (index < cells.length - 1) {
+        placeCaretInCell(cells[index + 1], true);
+    } else {
+        executeCommand('addRowBelow');
+    }
+}
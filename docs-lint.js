@@ -0,0 +1,561 @@
+/**
+ * ZENO DRAFT - WRITING CHECKS
+ * Spelling, grammar and house style checks as you type. The rules run in a
+ * Web Worker (lint-worker.js); this side sends it the paragraphs that
+ * changed, underlines the issues with the CSS Custom Highlight API (the
+ * document itself is never touched) and offers quick fixes in a popover.
+ *
+ * The settings, house style terms and the user's dictionary are kept with
+ * their account (Auth.getUserData). The spelling check uses the worker's
+ * English word list plus the user's dictionary; the browser's own spell
+ * checker can run alongside it.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const LINT_SETTINGS_KEY = 'lint';
+const LINT_CATEGORIES = ['spelling', 'grammar', 'style'];
+const DEFAULT_LINT_SETTINGS = {
+    enabled: true,
+    // The browser's own spell checker, alongside ours
+    browserSpellcheck: true,
+    // Rule ids turned on or off; rules not listed are on
+    rules: {},
+    maxSentenceWords: 30,
+    // [{ term, replacement }]; no replacement means the term is to be avoided
+    terms: [],
+    dictionary: []
+};
+const lintPopover = document.getElementById('lint-popover');
+
+let lintSettings = { ...DEFAULT_LINT_SETTINGS };
+let lintWorker = null;
+// The rules the worker has, as { id, title, description, category }
+let lintRules = [];
+// Bumped whenever the settings change, so answers checked under old ones are dropped
+let lintGeneration = 0;
+// Issues by paragraph text, so only changed paragraphs are checked again
+const lintCache = new Map();
+// Paragraph texts sent to the worker and not answered yet
+const lintPending = new Set();
+// The document's issues: [{ start, end, text, range, rule, category, message, fixes }]
+let lintIssues = [];
+// Issues dismissed until the page is closed, as 'rule:text'
+const ignoredLintIssues = new Set();
+// The issue the popover is showing
+let activeLintIssue = null;
+let lintTimer = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the checks, their panel, popover and commands
+ */
+function initializeLint() {
+    const panel = document.getElementById('lint-panel');
+    lintSettings = { ...DEFAULT_LINT_SETTINGS, ...Auth.getUserData(LINT_SETTINGS_KEY, {}) };
+    applyBrowserSpellcheck();
+
+    const toggle = document.getElementById('lint-toggle');
+    toggle.checked = lintSettings.enabled;
+    toggle.addEventListener('change', () => updateLintSettings({ enabled: toggle.checked }));
+
+    document.getElementById('lint-btn').addEventListener('click', () => setLintPanelOpen(panel.hidden));
+    document.getElementById('lint-close').addEventListener('click', () => setLintPanelOpen(false));
+    document.getElementById('lint-list').addEventListener('click', function(e) {
+        const item = e.target.closest('[data-issue]');
+        if (item) revealLintIssue(lintIssues[Number(item.getAttribute('data-issue'))]);
+    });
+    initializeLintSettingsForm();
+
+    lintPopover.addEventListener('click', function(e) {
+        const button = e.target.closest('button');
+        if (button) applyLintAction(button);
+    });
+    editor.addEventListener('click', showLintIssueAtCaret);
+    editor.addEventListener('input', closeLintPopover);
+    document.addEventListener('mousedown', function(e) {
+        if (!lintPopover.contains(e.target) && !editor.contains(e.target)) closeLintPopover();
+    });
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') closeLintPopover();
+    });
+
+    const group = 'View';
+    registerCommand({ id: 'writingChecks', title: 'Writing checks', group, run: () => setLintPanelOpen(panel.hidden) });
+    registerCommand({ id: 'nextWritingIssue', title: 'Next writing issue', group, keys: ['Mod+Alt+L'], run: revealNextLintIssue });
+    registerCommand({ id: 'toggleWritingChecks', title: 'Writing checks on/off', group, run: () => toggle.click() });
+
+    startLintWorker();
+    // Any change counts: typing, undo, replace, other tabs and collaborators
+    new MutationObserver(scheduleLint)
+        .observe(editor, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Start the worker. Browsers that can't run it (or pages opened from a
+ * file) go without the checks.
+ */
+function startLintWorker() {
+    try {
+        lintWorker = new Worker('lint-worker.js');
+    } catch (err) {
+        console.warn('Writing checks are unavailable:', err);
+        showLintNote('Writing checks need a browser with Web Workers, and the app served over http(s).');
+        return;
+    }
+
+    lintWorker.addEventListener('message', handleLintMessage);
+    lintWorker.addEventListener('error', function(e) {
+        console.warn('Writing checks stopped:', e.message);
+        showLintNote('Writing checks stopped working. Reload the page to restart them.');
+        lintWorker = null;
+        showLintIssues();
+    });
+    configureLintWorker();
+}
+
+// ===========================
+// CHECKING
+// ===========================
+
+/**
+ * Send the worker the settings its rules use. Everything is checked again.
+ */
+function configureLintWorker() {
+    if (!lintWorker) return;
+
+    lintGeneration++;
+    lintCache.clear();
+    lintPending.clear();
+    lintWorker.postMessage({
+        type: 'configure',
+        settings: {
+            rules: lintSettings.rules,
+            maxSentenceWords: lintSettings.maxSentenceWords,
+            terms: lintSettings.terms,
+            dictionary: lintSettings.dictionary
+        }
+    });
+    runLint();
+}
+
+/**
+ * Check again shortly after typing stops
+ */
+function scheduleLint() {
+    clearTimeout(lintTimer);
+    lintTimer = setTimeout(runLint, 300);
+}
+
+/**
+ * Send the paragraphs that haven't been checked to the worker, and show
+ * the issues already known
+ */
+function runLint() {
+    clearTimeout(lintTimer);
+    if (!lintWorker || !lintSettings.enabled) {
+        showLintIssues();
+        return;
+    }
+
+    const index = buildTextIndex();
+    const paragraphs = splitParagraphs(index.text);
+    const texts = new Set(paragraphs.map(paragraph => paragraph.text));
+
+    // Forget paragraphs that are gone, so the cache doesn't grow with every keystroke
+    lintCache.forEach((issues, text) => {
+        if (!texts.has(text)) lintCache.delete(text);
+    });
+    const unchecked = [...texts].filter(text => !lintCache.has(text) && !lintPending.has(text));
+    if (unchecked.length > 0) {
+        unchecked.forEach(text => lintPending.add(text));
+        lintWorker.postMessage({ type: 'lint', generation: lintGeneration, paragraphs: unchecked });
+    }
+
+    showLintIssues(index, paragraphs);
+}
+
+/**
+ * Take in the worker's rules and results
+ */
+function handleLintMessage(e) {
+    const message = e.data;
+    if (message.type === 'rules') {
+        lintRules = message.rules;
+        renderLintRules();
+    } else if (message.type === 'lint' && message.generation === lintGeneration) {
+        message.paragraphs.forEach((text, i) => {
+            lintPending.delete(text);
+            lintCache.set(text, message.results[i]);
+        });
+        runLint();
+    }
+}
+
+/**
+ * The editor text's paragraphs (see buildTextIndex()): [{ text, start }].
+ * Blank ones are left out.
+ */
+function splitParagraphs(text) {
+    const paragraphs = [];
+    let start = 0;
+    text.split('\n').forEach(line => {
+        if (line.trim()) paragraphs.push({ text: line, start: start });
+        start += line.length + 1;
+    });
+    return paragraphs;
+}
+
+// ===========================
+// SHOWING ISSUES
+// ===========================
+
+/**
+ * Collect the known issues of every paragraph, then underline and list
+ * them. Code, and issues the user ignored, are left out.
+ */
+function showLintIssues(index = buildTextIndex(), paragraphs = splitParagraphs(index.text)) {
+    lintIssues = [];
+    if (lintWorker && lintSettings.enabled) {
+        paragraphs.forEach(paragraph => {
+            (lintCache.get(paragraph.text) || []).forEach(issue => {
+                const found = {
+                    ...issue,
+                    start: paragraph.start + issue.start,
+                    end: paragraph.start + issue.end,
+                    text: paragraph.text.slice(issue.start, issue.end)
+                };
+                if (ignoredLintIssues.has(`${found.rule}:${found.text}`)) return;
+
+                found.range = createMatchRange(index, found);
+                const container = found.range.startContainer.parentNode;
+                if (container.closest && container.closest('pre, code')) return;
+                lintIssues.push(found);
+            });
+        });
+    }
+
+    paintLintIssues();
+    renderLintPanel();
+    // A popover for an issue that has been fixed (or changed) goes away
+    if (activeLintIssue && !lintIssues.some(issue => isSameLintIssue(issue, activeLintIssue))) {
+        closeLintPopover();
+    }
+}
+
+/**
+ * Underline the issues, one highlight per category (no-op in browsers
+ * without the Custom Highlight API, where the panel still lists them)
+ */
+function paintLintIssues() {
+    if (!window.CSS || !CSS.highlights) return;
+
+    LINT_CATEGORIES.forEach(category => {
+        const ranges = lintIssues.filter(issue => issue.category === category).map(issue => issue.range);
+        if (ranges.length > 0) CSS.highlights.set(`lint-${category}`, new Highlight(...ranges));
+        else CSS.highlights.delete(`lint-${category}`);
+    });
+}
+
+/**
+ * Where a DOM position is in the text index, or -1 if it isn't in a text node
+ */
+function getTextOffset(index, node, offset) {
+    const entry = index.nodes.find(item => item.node === node);
+    return entry ? entry.start + offset : -1;
+}
+
+/**
+ * Whether two issues are the same one (their offsets may have moved)
+ */
+function isSameLintIssue(a, b) {
+    return a.rule === b.rule && a.text === b.text && a.message === b.message;
+}
+
+// ===========================
+// PANEL
+// ===========================
+
+/**
+ * Open or close the writing checks panel
+ */
+function setLintPanelOpen(open) {
+    document.getElementById('lint-panel').hidden = !open;
+    if (open) {
+        // One side panel at a time
+        document.getElementById('history-panel').hidden = true;
+        document.getElementById('review-panel').hidden = true;
+        renderLintPanel();
+    }
+}
+
+/**
+ * Update the issue count on the button, and the list if the panel is open
+ */
+function renderLintPanel() {
+    const count = document.getElementById('lint-count');
+    count.textContent = lintIssues.length > 0 ? String(lintIssues.length) : '';
+    count.hidden = lintIssues.length === 0;
+    if (document.getElementById('lint-panel').hidden) return;
+
+    const list = document.getElementById('lint-list');
+    list.innerHTML = '';
+    lintIssues.forEach((issue, i) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'lint-item';
+        button.setAttribute('data-issue', String(i));
+        button.innerHTML = `
+            <span class="lint-excerpt lint-${issue.category}">${escapeHTML(truncateText(issue.text, 60))}</span>
+            <span class="lint-message">${escapeHTML(issue.message)}</span>
+        `;
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+
+    const empty = document.getElementById('lint-empty');
+    empty.hidden = lintIssues.length > 0 || !lintWorker;
+    empty.textContent = lintSettings.enabled ? 'No issues found.' : 'Writing checks are turned off.';
+}
+
+/**
+ * Shorten a text to a length, marking the cut
+ */
+function truncateText(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+/**
+ * Show a message at the top of the panel, or clear it
+ */
+function showLintNote(message) {
+    const note = document.getElementById('lint-note');
+    note.textContent = message;
+    note.hidden = !message;
+}
+
+/**
+ * Scroll to an issue and show its popover
+ */
+function revealLintIssue(issue) {
+    if (!issue) return;
+
+    const element = issue.range.startContainer.parentNode;
+    element.scrollIntoView({ block: 'center' });
+    openLintPopover(issue);
+}
+
+/**
+ * Go to the first issue after the caret, wrapping around
+ */
+function revealNextLintIssue() {
+    if (lintIssues.length === 0) return;
+
+    const range = getEditorRange();
+    const caret = range ? getTextOffset(buildTextIndex(), range.startContainer, range.startOffset) : -1;
+    const issue = lintIssues.find(found => found.start > caret) || lintIssues[0];
+    const after = document.createRange();
+    after.setStart(issue.range.endContainer, issue.range.endOffset);
+    selectRange(after);
+    revealLintIssue(issue);
+}
+
+// ===========================
+// SETTINGS
+// ===========================
+
+/**
+ * Fill in and wire the settings at the bottom of the panel
+ */
+function initializeLintSettingsForm() {
+    const maxWords = document.getElementById('lint-max-words');
+    const terms = document.getElementById('lint-terms');
+    const dictionary = document.getElementById('lint-dictionary');
+    const browserSpellcheck = document.getElementById('lint-browser-spellcheck');
+
+    maxWords.value = lintSettings.maxSentenceWords;
+    terms.value = lintSettings.terms
+        .map(entry => entry.replacement ? `${entry.term} => ${entry.replacement}` : entry.term)
+        .join('\n');
+    dictionary.value = lintSettings.dictionary.join('\n');
+    browserSpellcheck.checked = lintSettings.browserSpellcheck;
+
+    maxWords.addEventListener('change', function() {
+        const limit = parseInt(this.value, 10);
+        if (limit > 0) updateLintSettings({ maxSentenceWords: limit });
+        else this.value = lintSettings.maxSentenceWords;
+    });
+    terms.addEventListener('change', () => updateLintSettings({ terms: parseTermList(terms.value) }));
+    dictionary.addEventListener('change', () => updateLintSettings({ dictionary: parseWordList(dictionary.value) }));
+    browserSpellcheck.addEventListener('change', () => updateLintSettings({ browserSpellcheck: browserSpellcheck.checked }));
+
+    document.getElementById('lint-rules').addEventListener('change', function(e) {
+        const id = e.target.getAttribute('data-rule');
+        if (id) updateLintSettings({ rules: { ...lintSettings.rules, [id]: e.target.checked } });
+    });
+}
+
+/**
+ * List the worker's rules, each with a checkbox
+ */
+function renderLintRules() {
+    const container = document.getElementById('lint-rules');
+    container.innerHTML = '';
+    lintRules.forEach(rule => {
+        const label = document.createElement('label');
+        label.className = 'lint-rule';
+        label.title = rule.description;
+        label.innerHTML = `
+            <input type="checkbox" data-rule="${escapeHTML(rule.id)}"${lintSettings.rules[rule.id] === false ? '' : ' checked'}>
+            <span class="lint-swatch lint-${escapeHTML(rule.category)}"></span>
+            ${escapeHTML(rule.title)}
+        `;
+        container.appendChild(label);
+    });
+}
+
+/**
+ * Change some settings, keep them and check the document again
+ */
+function updateLintSettings(changes) {
+    lintSettings = { ...lintSettings, ...changes };
+    try {
+        Auth.setUserData(LINT_SETTINGS_KEY, lintSettings);
+    } catch (err) {
+        console.warn('Writing check settings not saved:', err);
+    }
+
+    applyBrowserSpellcheck();
+    document.getElementById('lint-toggle').checked = lintSettings.enabled;
+    if (!lintSettings.enabled) closeLintPopover();
+    configureLintWorker();
+    if (!lintWorker) showLintIssues();
+}
+
+/**
+ * Turn the browser's spell checker on or off
+ */
+function applyBrowserSpellcheck() {
+    editor.spellcheck = lintSettings.browserSpellcheck;
+}
+
+/**
+ * House style terms typed one per line: "utilize => use" to prefer a
+ * word, or a word alone to avoid it
+ */
+function parseTermList(text) {
+    return text.split('\n')
+        .map(line => line.split(/\s*(?:=>|->|→)\s*/))
+        .filter(parts => parts[0].trim())
+        .map(parts => ({ term: parts[0].trim(), replacement: (parts[1] || '').trim() }));
+}
+
+/**
+ * Dictionary words typed one per line (or separated by spaces or commas)
+ */
+function parseWordList(text) {
+    return [...new Set(text.split(/[\s,]+/).filter(Boolean))];
+}
+
+// ===========================
+// QUICK FIXES
+// ===========================
+
+/**
+ * Show the popover for an issue the caret was clicked into
+ */
+function showLintIssueAtCaret() {
+    const range = getEditorRange();
+    const issue = range && range.collapsed
+        ? lintIssues.find(found => found.range.isPointInRange(range.startContainer, range.startOffset))
+        : null;
+
+    if (issue) openLintPopover(issue);
+    else closeLintPopover();
+}
+
+/**
+ * Show an issue's message, fixes and other actions below it
+ */
+function openLintPopover(issue) {
+    activeLintIssue = issue;
+    lintPopover.innerHTML = '';
+
+    const message = document.createElement('p');
+    message.className = 'lint-popover-message';
+    message.textContent = issue.message;
+    lintPopover.appendChild(message);
+
+    issue.fixes.forEach(fix => lintPopover.appendChild(createLintButton(fix, 'save-btn', { fix: fix })));
+    if (issue.rule === 'spelling') {
+        lintPopover.appendChild(createLintButton('Add to dictionary', 'action-btn', { action: 'learn' }));
+    }
+    lintPopover.appendChild(createLintButton('Ignore', 'action-btn', { action: 'ignore' }));
+
+    lintPopover.hidden = false;
+    positionBelow(lintPopover, issue.range.getBoundingClientRect());
+}
+
+/**
+ * A popover button carrying its action in data attributes
+ */
+function createLintButton(label, className, data) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    Object.keys(data).forEach(key => button.setAttribute(`data-${key}`, data[key]));
+    return button;
+}
+
+/**
+ * Close the quick fix popover
+ */
+function closeLintPopover() {
+    activeLintIssue = null;
+    lintPopover.hidden = true;
+}
+
+/**
+ * Run a popover button: apply a fix, learn the word or ignore the issue
+ */
+function applyLintAction(button) {
+    const issue = activeLintIssue;
+    if (!issue) return;
+    closeLintPopover();
+
+    const action = button.getAttribute('data-action');
+    if (action === 'learn') {
+        updateLintSettings({ dictionary: parseWordList(`${lintSettings.dictionary.join('\n')}\n${issue.text}`) });
+        document.getElementById('lint-dictionary').value = lintSettings.dictionary.join('\n');
+    } else if (action === 'ignore') {
+        ignoredLintIssues.add(`${issue.rule}:${issue.text}`);
+        showLintIssues();
+    } else {
+        applyLintFix(issue, button.getAttribute('data-fix'));
+    }
+}
+
+/**
+ * Replace an issue's text with a fix, as one undo step. Nothing happens if
+ * the text has changed since it was checked.
+ */
+function applyLintFix(issue, fix) {
+    const index = buildTextIndex();
+    const start = getTextOffset(index, issue.range.startContainer, issue.range.startOffset);
+    if (start < 0 || index.text.slice(start, start + issue.text.length) !== issue.text) {
+        runLint();
+        return;
+    }
+
+    recordUndoPoint();
+    replaceMatchText(index, { start: start, end: start + issue.text.length, replacement: fix });
+    markAsUnsaved();
+    editor.focus();
+    runLint();
+}
@@ -0,0 +1,289 @@
+/**
+ * ZENO DRAFT - OUTLINE & TABLE OF CONTENTS
+ * A collapsible outline of the document's headings beside the page, and an
+ * "Insert table of contents" command that puts a linked list of headings
+ * into the document itself.
+ *
+ * A table of contents is a <nav data-toc> block. It is rebuilt when a save
+ * finds the headings changed, as an undo step of its own, and headings get
+ * ids (see HEADING_ID_PREFIX) for its links to point at.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Heading ids start with this so they can never clash with the app's own ids
+const HEADING_ID_PREFIX = 'section-';
+const OUTLINE_STATE_KEY = 'zeno-outline-collapsed';
+
+let outlineRenderTimer = null;
+let outlineScrollFrame = null;
+// The headings (see getHeadingSignature()) when a save last checked the tables of contents
+let tocCheckedHeadings = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the outline panel and table of contents links
+ */
+function initializeOutline() {
+    const panel = document.getElementById('outline-panel');
+    setOutlineCollapsed(localStorage.getItem(OUTLINE_STATE_KEY) === 'true');
+
+    document.getElementById('outline-toggle').addEventListener('click', function() {
+        setOutlineCollapsed(!panel.classList.contains('collapsed'));
+    });
+    registerCommand({
+        id: 'toggleOutline', title: 'Show or hide the outline', group: 'View',
+        run: () => setOutlineCollapsed(!panel.classList.contains('collapsed'))
+    });
+
+    // Keep the outline in step with the document, however it changes
+    new MutationObserver(scheduleOutlineRender)
+        .observe(editor, { childList: true, subtree: true, characterData: true });
+
+    window.addEventListener('scroll', function() {
+        if (outlineScrollFrame) return;
+        outlineScrollFrame = requestAnimationFrame(() => {
+            outlineScrollFrame = null;
+            updateActiveSection();
+        });
+    }, { passive: true });
+
+    // Table of contents links scroll within the editor instead of changing the URL
+    editor.addEventListener('click', function(e) {
+        const link = e.target.closest && e.target.closest('nav[data-toc] a[href^="#"]');
+        if (!link) return;
+        e.preventDefault();
+        const heading = editor.querySelector(`[id="${CSS.escape(link.getAttribute('href').slice(1))}"]`);
+        if (heading) scrollToHeading(heading);
+    });
+
+    renderOutline();
+}
+
+/**
+ * Collapse or expand the outline panel, remembering the choice
+ */
+function setOutlineCollapsed(collapsed) {
+    const panel = document.getElementById('outline-panel');
+    panel.classList.toggle('collapsed', collapsed);
+    document.getElementById('outline-toggle').setAttribute('aria-expanded', String(!collapsed));
+    localStorage.setItem(OUTLINE_STATE_KEY, String(collapsed));
+}
+
+/**
+ * Re-render the outline shortly after the document changes
+ */
+function scheduleOutlineRender() {
+    clearTimeout(outlineRenderTimer);
+    outlineRenderTimer = setTimeout(renderOutline, 300);
+}
+
+// ===========================
+// HEADINGS
+// ===========================
+
+/**
+ * The document's headings as a tree: [{ heading, level, text, children }].
+ * A heading that skips levels (H1 then H3) nests under the nearest higher one.
+ */
+function getHeadingTree() {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    editor.querySelectorAll('h1, h2, h3').forEach(heading => {
+        const text = heading.textContent.trim();
+        if (!text) return;
+
+        const node = { heading: heading, level: Number(heading.tagName[1]), text: text, children: [] };
+        while (stack[stack.length - 1].level >= node.level) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+
+    return root.children;
+}
+
+/**
+ * The id each heading should have: one derived from its text, the way
+ * Markdown renderers do (so exported links keep working)
+ */
+function getHeadingIds() {
+    const used = new Map();
+    const ids = new Map();
+
+    editor.querySelectorAll('h1, h2, h3').forEach(heading => {
+        const slug = heading.textContent.trim().toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .replace(/\s/g, '-') || 'section';
+        const count = used.get(slug) || 0;
+        used.set(slug, count + 1);
+        ids.set(heading, HEADING_ID_PREFIX + (count ? `${slug}-${count}` : slug));
+    });
+
+    return ids;
+}
+
+/**
+ * The level and text of every heading, to tell when they change
+ */
+function getHeadingSignature() {
+    return Array.from(editor.querySelectorAll('h1, h2, h3'), heading =>
+        `${heading.tagName} ${heading.textContent.trim()}`).join('\n');
+}
+
+/**
+ * Scroll a heading to the top of the page, below the navigation bar
+ */
+function scrollToHeading(heading) {
+    heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// ===========================
+// OUTLINE PANEL
+// ===========================
+
+/**
+ * Render the heading tree in the outline panel
+ */
+function renderOutline() {
+    const list = document.getElementById('outline-list');
+    const tree = getHeadingTree();
+    list.innerHTML = '';
+
+    if (tree.length === 0) {
+        list.innerHTML = '<li class="history-empty">Headings you add appear here.</li>';
+        return;
+    }
+
+    const build = (nodes, parent) => nodes.forEach(node => {
+        const item = document.createElement('li');
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = `outline-link outline-level-${node.level}`;
+        link.textContent = node.text;
+        link.title = node.text;
+        link.addEventListener('click', () => scrollToHeading(node.heading));
+        // Lets updateActiveSection find the entry for a heading
+        link.outlineHeading = node.heading;
+        item.appendChild(link);
+
+        if (node.children.length > 0) {
+            const children = document.createElement('ul');
+            build(node.children, children);
+            item.appendChild(children);
+        }
+        parent.appendChild(item);
+    });
+    build(tree, list);
+
+    updateActiveSection();
+}
+
+/**
+ * Highlight the outline entry of the section currently at the top of the view
+ */
+function updateActiveSection() {
+    const links = Array.from(document.querySelectorAll('#outline-list .outline-link'));
+    // Just below the sticky navigation bar
+    const viewTop = document.querySelector('.navbar').getBoundingClientRect().bottom + 16;
+
+    let active = links[0] || null;
+    links.forEach(link => {
+        if (link.outlineHeading.getBoundingClientRect().top <= viewTop) active = link;
+    });
+    links.forEach(link => link.classList.toggle('active', link === active));
+}
+
+// ===========================
+// TABLE OF CONTENTS
+// ===========================
+
+/**
+ * Insert a table of contents after the block holding the caret
+ * (or select the existing one)
+ */
+function insertTableOfContents() {
+    const existing = editor.querySelector('nav[data-toc]');
+    if (existing) {
+        refreshTableOfContents();
+        existing.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+
+    const toc = document.createElement('nav');
+    toc.setAttribute('data-toc', '');
+    toc.setAttribute('contenteditable', 'false');
+    insertBlockAtCaret(toc);
+    refreshTableOfContents();
+}
+
+/**
+ * What rebuilding the tables of contents would change, or null if nothing:
+ * { headings: [[heading, id]], tocs, html } with the headings whose id is
+ * out of date, the tables that are, and the tables' new markup
+ */
+function getTableOfContentsChanges() {
+    const tocs = Array.from(editor.querySelectorAll('nav[data-toc]'));
+    if (tocs.length === 0) return null;
+
+    const ids = getHeadingIds();
+    const headings = Array.from(ids).filter(([heading, id]) => heading.id !== id);
+    const html = buildTableOfContents(getHeadingTree(), ids);
+    const stale = tocs.filter(toc => toc.innerHTML !== html);
+    return headings.length > 0 || stale.length > 0 ? { headings: headings, tocs: stale, html: html } : null;
+}
+
+/**
+ * Rebuild every table of contents from the current headings.
+ * Returns true if the document changed.
+ */
+function refreshTableOfContents() {
+    const changes = getTableOfContentsChanges();
+    if (!changes) return false;
+
+    changes.headings.forEach(([heading, id]) => {
+        heading.id = id;
+    });
+    changes.tocs.forEach(toc => {
+        toc.innerHTML = changes.html;
+    });
+    return true;
+}
+
+/**
+ * Rebuild the tables of contents before a save, if the headings changed
+ * since the last save, as an undo step of its own. Unchanged headings leave
+ * them be, so a rebuild that was undone isn't redone by the next save.
+ * Returns true if the document changed.
+ */
+function refreshTableOfContentsForSave() {
+    const headings = getHeadingSignature();
+    if (headings === tocCheckedHeadings) return false;
+    tocCheckedHeadings = headings;
+
+    if (!getTableOfContentsChanges()) return false;
+    recordUndoPoint();
+    return refreshTableOfContents();
+}
+
+/**
+ * Table of contents markup for a heading tree and the headings' ids, as the
+ * editor would serialize it (so it compares equal to an up-to-date table)
+ */
+function buildTableOfContents(tree, ids) {
+    const list = nodes => '<ul>' + nodes.map(node =>
+        `<li><a href="#${escapeHTML(ids.get(node.heading))}">${escapeHTML(node.text)}</a>` +
+        (node.children.length > 0 ? list(node.children) : '') +
+        '</li>'
+    ).join('') + '</ul>';
+
+    const template = document.createElement('template');
+    template.innerHTML = '<p><b>Contents</b></p>' +
+        (tree.length > 0 ? list(tree) : '<p><i>Add headings to fill in the table of contents.</i></p>');
+    return template.innerHTML;
+}
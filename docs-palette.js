@@ -0,0 +1,503 @@
+/**
+ * ZENO DRAFT - COMMANDS & SHORTCUTS
+ * The registry that editor actions and document operations register with,
+ * the keyboard shortcuts that run them, a Ctrl+K command palette with fuzzy
+ * search, and a shortcut overview where bindings can be changed.
+ *
+ * Shortcuts are written like "Mod+Shift+8", where Mod is Ctrl (Cmd on a Mac).
+ * Changed bindings are kept with the user's account (Auth.getUserData).
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const commandPalette = document.getElementById('command-palette');
+const paletteInput = document.getElementById('palette-input');
+const shortcutsDialog = document.getElementById('shortcuts-dialog');
+
+const KEY_BINDINGS_KEY = 'keyBindings';
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+// Most commands the palette lists at once
+const PALETTE_LIMIT = 50;
+
+// Registered commands by id, in the order they were registered
+const appCommands = new Map();
+// Bindings the user changed: { commandId: [shortcut, ...] }
+let keyBindingOverrides = {};
+
+// Commands listed in the palette, and the highlighted one
+let paletteMatches = [];
+let paletteIndex = 0;
+// Focus and selection to go back to when the palette closes
+let paletteReturn = null;
+// Command whose new shortcut is being recorded, and the shortcut it
+// replaces ('' when adding one)
+let recordingCommandId = null;
+let recordingReplaces = '';
+
+// ===========================
+// COMMAND REGISTRY
+// ===========================
+
+/**
+ * Add a command: { id, title, group, run, keys, scope }.
+ * keys are its default shortcuts; scope 'editor' means its shortcuts only
+ * work while typing in the document (the palette can always run it).
+ */
+function registerCommand(command) {
+    appCommands.set(command.id, { group: 'General', keys: [], scope: 'any', ...command });
+}
+
+/**
+ * Current shortcuts of a command, with the user's changes applied
+ */
+function getCommandKeys(id) {
+    if (keyBindingOverrides.hasOwnProperty(id)) return keyBindingOverrides[id];
+    const command = appCommands.get(id);
+    return command ? command.keys : [];
+}
+
+/**
+ * The command a shortcut runs, if any
+ */
+function findCommandByKeys(keys) {
+    for (const command of appCommands.values()) {
+        if (getCommandKeys(command.id).includes(keys)) return command;
+    }
+    return null;
+}
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the command palette and shortcut overview
+ */
+function initializePalette() {
+    keyBindingOverrides = { ...Auth.getUserData(KEY_BINDINGS_KEY, {}) };
+
+    paletteInput.addEventListener('input', () => renderPalette(0));
+    paletteInput.addEventListener('keydown', handlePaletteKey);
+    commandPalette.addEventListener('mousedown', function(e) {
+        if (e.target === commandPalette) closeCommandPalette(true);
+    });
+
+    document.getElementById('shortcuts-btn').addEventListener('click', function() {
+        setSettingsMenuOpen(false);
+        openShortcutsDialog();
+    });
+    document.getElementById('shortcuts-close').addEventListener('click', closeShortcutsDialog);
+    document.getElementById('shortcuts-reset').addEventListener('click', () => resetKeyBindings(null));
+    shortcutsDialog.addEventListener('mousedown', function(e) {
+        if (e.target === shortcutsDialog) closeShortcutsDialog();
+    });
+    shortcutsDialog.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape' && !recordingCommandId) closeShortcutsDialog();
+    });
+
+    registerCommand({
+        id: 'commandPalette', title: 'Command palette', keys: ['Mod+K'],
+        run: () => (commandPalette.hidden ? openCommandPalette() : closeCommandPalette(true))
+    });
+    registerCommand({ id: 'keyboardShortcuts', title: 'Keyboard shortcuts', keys: ['Mod+/'], run: openShortcutsDialog });
+
+    refreshShortcutHints();
+}
+
+// ===========================
+// KEYBOARD SHORTCUTS
+// ===========================
+
+/**
+ * A keydown event as a shortcut like "Mod+Shift+8", or null for a lone
+ * modifier key. Letters and digits come from the physical key, so Shift
+ * and Alt (Option on a Mac) don't change them.
+ */
+function getEventKeys(e) {
+    if (['Control', 'Meta', 'Alt', 'Shift'].includes(e.key)) return null;
+
+    let key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+    else if (/^Digit\d$/.test(e.code)) key = e.code.slice(5);
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Mod');
+    if (e.altKey) parts.push('Alt');
+    if (e.shiftKey) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
+}
+
+/**
+ * A shortcut as shown to the user, e.g. "Ctrl+Shift+8" or "⌘⇧8" on a Mac
+ */
+function formatKeys(keys) {
+    const parts = keys.split('+');
+    if (!IS_MAC) return parts.map(part => (part === 'Mod' ? 'Ctrl' : part)).join('+');
+
+    const symbols = { Mod: '⌘', Alt: '⌥', Shift: '⇧' };
+    return parts.map(part => symbols[part] || part).join('');
+}
+
+/**
+ * Run the command bound to a key press
+ */
+function handleShortcutKey(e) {
+    if (recordingCommandId) {
+        recordShortcut(e);
+        return;
+    }
+    if (e.isComposing) return;
+
+    const keys = getEventKeys(e);
+    const command = keys && findCommandByKeys(keys);
+    if (!command) return;
+    if (command.scope === 'editor' && !editor.contains(document.activeElement)) return;
+    // While the palette is open, its own shortcut is the only one that works
+    if (!commandPalette.hidden && command.id !== 'commandPalette') return;
+
+    e.preventDefault();
+    command.run();
+}
+
+/**
+ * Show each toolbar button's shortcut in its tooltip
+ */
+function refreshShortcutHints() {
+    document.querySelectorAll('[data-command], [data-shortcut]').forEach(button => {
+        const command = appCommands.get(button.dataset.shortcut || button.dataset.command);
+        if (!command || !button.closest('.navbar')) return;
+
+        const keys = getCommandKeys(command.id);
+        button.title = keys.length > 0 ? `${command.title} (${formatKeys(keys[0])})` : command.title;
+    });
+}
+
+// ===========================
+// COMMAND PALETTE
+// ===========================
+
+/**
+ * Open the palette, remembering where to return to
+ */
+function openCommandPalette() {
+    paletteReturn = {
+        element: document.activeElement,
+        selection: editor.contains(document.activeElement) ? getSelectionOffsets() : null
+    };
+
+    commandPalette.hidden = false;
+    paletteInput.value = '';
+    renderPalette(0);
+    paletteInput.focus();
+}
+
+/**
+ * Close the palette, going back to where focus was if asked to
+ */
+function closeCommandPalette(restoreFocus) {
+    commandPalette.hidden = true;
+    const previous = paletteReturn;
+    paletteReturn = null;
+    if (!restoreFocus || !previous) return;
+
+    if (previous.element === editor || editor.contains(previous.element)) {
+        editor.focus();
+        if (previous.selection) setSelectionOffsets(previous.selection);
+    } else if (previous.element && previous.element.focus) {
+        previous.element.focus();
+    }
+}
+
+/**
+ * How well a query matches a text, or null if it doesn't. Every character
+ * of the query must appear in order; runs of characters and matches at the
+ * start of words score higher.
+ */
+function fuzzyScore(query, text) {
+    const target = text.toLowerCase();
+    let score = 0;
+    let position = -1;
+    let run = 0;
+
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+        const index = target.indexOf(char, position + 1);
+        if (index === -1) return null;
+
+        run = index === position + 1 ? run + 1 : 0;
+        score += 1 + run * 2;
+        if (index === 0 || /[\s:/-]/.test(target[index - 1])) score += 3;
+        position = index;
+    }
+    // Shorter titles win ties
+    return score - target.length / 100;
+}
+
+/**
+ * List the commands matching the palette's search
+ */
+function renderPalette(highlight) {
+    const query = paletteInput.value.trim();
+    const commands = Array.from(appCommands.values());
+
+    paletteMatches = query
+        ? commands
+            .map(command => ({ command: command, score: fuzzyScore(query, `${command.title} ${command.group}`) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.command)
+        : commands;
+    paletteMatches = paletteMatches.slice(0, PALETTE_LIMIT);
+    paletteIndex = Math.min(highlight, Math.max(paletteMatches.length - 1, 0));
+
+    const list = document.getElementById('palette-list');
+    list.innerHTML = '';
+    if (paletteMatches.length === 0) {
+        list.innerHTML = '<li class="history-empty">No matching commands</li>';
+        return;
+    }
+
+    paletteMatches.forEach((command, index) => {
+        const item = document.createElement('li');
+        item.className = 'palette-item';
+        item.id = `palette-item-${index}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === paletteIndex));
+
+        const title = document.createElement('span');
+        title.className = 'palette-title';
+        title.textContent = command.title;
+        const group = document.createElement('span');
+        group.className = 'palette-group';
+        group.textContent = command.group;
+        item.append(title, group);
+
+        const keys = getCommandKeys(command.id);
+        if (keys.length > 0) {
+            const shortcut = document.createElement('kbd');
+            shortcut.textContent = formatKeys(keys[0]);
+            item.appendChild(shortcut);
+        }
+
+        // Keep focus in the search field
+        item.addEventListener('mousedown', e => e.preventDefault());
+        item.addEventListener('click', () => runPaletteCommand(index));
+        list.appendChild(item);
+    });
+    paletteInput.setAttribute('aria-activedescendant', `palette-item-${paletteIndex}`);
+}
+
+/**
+ * Arrow keys move through the list, Enter runs, Escape closes
+ */
+function handlePaletteKey(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteMatches.length === 0) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        renderPalette((paletteIndex + step + paletteMatches.length) % paletteMatches.length);
+        document.getElementById(`palette-item-${paletteIndex}`).scrollIntoView({ block: 'nearest' });
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteCommand(paletteIndex);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        closeCommandPalette(true);
+    }
+}
+
+/**
+ * Close the palette and run a listed command where the user was working
+ */
+function runPaletteCommand(index) {
+    const command = paletteMatches[index];
+    if (!command) return;
+
+    closeCommandPalette(true);
+    command.run();
+}
+
+// ===========================
+// SHORTCUT OVERVIEW
+// ===========================
+
+/**
+ * Open the list of shortcuts
+ */
+function openShortcutsDialog() {
+    closeCommandPalette(false);
+    shortcutsDialog.hidden = false;
+    renderShortcutsList();
+    document.getElementById('shortcuts-close').focus();
+}
+
+/**
+ * Close the list of shortcuts
+ */
+function closeShortcutsDialog() {
+    recordingCommandId = null;
+    shortcutsDialog.hidden = true;
+    editor.focus();
+}
+
+/**
+ * List every command by group, with buttons to change or reset its shortcut
+ */
+function renderShortcutsList() {
+    const container = document.getElementById('shortcuts-list');
+    container.innerHTML = '';
+
+    const groups = new Map();
+    appCommands.forEach(command => {
+        if (!groups.has(command.group)) groups.set(command.group, []);
+        groups.get(command.group).push(command);
+    });
+
+    groups.forEach((commands, name) => {
+        const heading = document.createElement('h4');
+        heading.className = 'shortcuts-group';
+        heading.textContent = name;
+        const list = document.createElement('dl');
+        list.className = 'shortcuts-grid';
+
+        commands.forEach(command => {
+            const title = document.createElement('dt');
+            title.textContent = command.title;
+
+            const binding = document.createElement('dd');
+            getCommandKeys(command.id).forEach(keys => {
+                binding.appendChild(createShortcutButton(command.id, keys, formatKeys(keys), 'Change shortcut'));
+            });
+            binding.appendChild(binding.children.length > 0
+                ? createShortcutButton(command.id, '', '+', 'Add another shortcut')
+                : createShortcutButton(command.id, '', 'None', 'Add a shortcut'));
+
+            if (keyBindingOverrides.hasOwnProperty(command.id)) {
+                const reset = document.createElement('button');
+                reset.type = 'button';
+                reset.className = 'review-link';
+                reset.textContent = 'Reset';
+                reset.addEventListener('click', () => resetKeyBindings(command.id));
+                binding.appendChild(reset);
+            }
+            list.append(title, binding);
+        });
+        container.append(heading, list);
+    });
+}
+
+/**
+ * A button showing one of a command's shortcuts (or adding one, for
+ * keys ''), which records a new one when clicked
+ */
+function createShortcutButton(id, keys, label, title) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'shortcut-keys';
+    button.title = title;
+    if (recordingCommandId === id && recordingReplaces === keys) {
+        button.textContent = 'Press a shortcut…';
+        button.classList.add('recording');
+    } else {
+        button.textContent = label;
+    }
+    button.addEventListener('click', () => startRecordingShortcut(id, keys));
+    return button;
+}
+
+/**
+ * Wait for the next key press to become a command's shortcut, in place of
+ * the one given (or in addition to its others, for '')
+ */
+function startRecordingShortcut(id, replaces) {
+    recordingCommandId = id;
+    recordingReplaces = replaces;
+    renderShortcutsList();
+}
+
+/**
+ * Take a key press as the shortcut being recorded. Escape cancels and
+ * Backspace removes the shortcut. Shortcuts need Ctrl/Cmd or Alt (or a
+ * function key), so they never get in the way of typing.
+ */
+function recordShortcut(e) {
+    const keys = getEventKeys(e);
+    if (!keys) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const id = recordingCommandId;
+    if (e.key === 'Escape') {
+        recordingCommandId = null;
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        recordingCommandId = null;
+        setCommandKey(id, '', recordingReplaces);
+    } else if (/(^|\+)(Mod|Alt)\+/.test(keys) || /^(Shift\+)?F\d{1,2}$/.test(keys)) {
+        recordingCommandId = null;
+        setCommandKey(id, keys, recordingReplaces);
+    } else {
+        showSyncNotice('Shortcuts need Ctrl, Cmd or Alt, or a function key.');
+        return;
+    }
+    renderShortcutsList();
+}
+
+/**
+ * Give a command a shortcut in place of one of its others (replaces), or in
+ * addition to them (replaces ''). An empty shortcut just removes the one
+ * replaced. The command's other shortcuts stay as they are.
+ */
+function setCommandKey(id, keys, replaces) {
+    let updated = getCommandKeys(id).filter(other => other !== keys);
+    if (replaces) updated = updated.map(other => (other === replaces ? keys : other));
+    else updated.push(keys);
+
+    if (keys) releaseShortcut(keys, id);
+    keyBindingOverrides[id] = updated.filter(Boolean);
+    saveKeyBindings();
+}
+
+/**
+ * Take a shortcut away from every command but one
+ */
+function releaseShortcut(keys, id) {
+    appCommands.forEach(command => {
+        if (command.id === id || !getCommandKeys(command.id).includes(keys)) return;
+        keyBindingOverrides[command.id] = getCommandKeys(command.id).filter(other => other !== keys);
+        showSyncNotice(`${formatKeys(keys)} no longer runs "${command.title}".`);
+    });
+}
+
+/**
+ * Go back to the default shortcut of one command, or of all of them (null).
+ * Defaults another command was given since are taken back from it.
+ */
+function resetKeyBindings(id) {
+    if (id) {
+        delete keyBindingOverrides[id];
+        getCommandKeys(id).forEach(keys => releaseShortcut(keys, id));
+    } else {
+        keyBindingOverrides = {};
+    }
+    saveKeyBindings();
+    renderShortcutsList();
+}
+
+/**
+ * Store the user's bindings and update the tooltips that show them
+ */
+function saveKeyBindings() {
+    // Overrides equal to the defaults aren't worth keeping
+    Object.keys(keyBindingOverrides).forEach(id => {
+        const command = appCommands.get(id);
+        if (command && command.keys.join() === keyBindingOverrides[id].join()) delete keyBindingOverrides[id];
+    });
+
+    try {
+        Auth.setUserData(KEY_BINDINGS_KEY, keyBindingOverrides);
+    } catch (err) {
+        console.warn('Shortcuts not saved:', err);
+    }
+    refreshShortcutHints();
+}
@@ -0,0 +1,325 @@
+/**
+ * ZENO DRAFT - PUBLISHING
+ * Publishing freezes a copy of the document for readers (see
+ * DocStore.getPublication()). Edits to the draft stay private until
+ * "Publish changes" replaces that copy; "Unpublish" takes it down.
+ *
+ * The publish dialog also sets the page's address (a slug, unique among the
+ * author's documents), the description shown on the homepage, and optional
+ * times to go live and to come down. Readers' pages check those times when
+ * they load.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const publishBtn = document.getElementById('publish-btn');
+const publishDialog = document.getElementById('publish-dialog');
+
+const MAX_SLUG_LENGTH = 80;
+
+// The open document's publishing fields as last stored
+let publishRecord = { published: false, publication: null };
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the publish button and dialog
+ */
+function initializePublish() {
+    const slugInput = document.getElementById('publish-slug');
+
+    publishBtn.addEventListener('click', openPublishDialog);
+    document.getElementById('publish-close').addEventListener('click', closePublishDialog);
+    document.getElementById('unpublish-btn').addEventListener('click', unpublishDocument);
+
+    document.getElementById('publish-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        const settings = readPublishForm();
+        if (settings) publishDocument(settings);
+    });
+    // Show the address as it will be saved
+    slugInput.addEventListener('change', function() {
+        this.value = slugify(this.value || docTitle.value);
+    });
+
+    publishDialog.addEventListener('mousedown', function(e) {
+        if (e.target === publishDialog) closePublishDialog();
+    });
+    publishDialog.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') closePublishDialog();
+    });
+
+    const group = 'Document';
+    registerCommand({ id: 'publish', title: 'Publish…', group, run: openPublishDialog });
+    registerCommand({
+        id: 'publishChanges', title: 'Publish changes', group,
+        run: () => (publishRecord.published ? publishDocument() : openPublishDialog())
+    });
+    registerCommand({ id: 'unpublish', title: 'Unpublish', group, run: unpublishDocument });
+
+    updatePublishButton();
+}
+
+/**
+ * Remember the stored publishing fields of the open document
+ */
+function setPublishRecord(doc) {
+    publishRecord = {
+        published: !!doc.published,
+        // Older published documents get their implicit public copy
+        publication: DocStore.getPublication(doc) || doc.publication || null
+    };
+    updatePublishButton();
+}
+
+// ===========================
+// STATE
+// ===========================
+
+/**
+ * Whether the saved draft differs from what readers see
+ */
+function hasUnpublishedChanges() {
+    const publication = DocStore.getPublication(publishRecord);
+    return !!publication && (
+        publication.title !== docTitle.value ||
+        publication.content !== stripReviewMarkup(editor.innerHTML) ||
+        (publication.tags || []).join() !== docTags.join()
+    );
+}
+
+/**
+ * Label the publish button with where the document stands
+ */
+function updatePublishButton() {
+    const state = DocStore.getPublishState(publishRecord);
+    const labels = { draft: 'Publish', live: 'Published', scheduled: 'Scheduled', expired: 'Expired' };
+    const changed = state !== 'draft' && hasUnpublishedChanges();
+
+    publishBtn.textContent = changed ? 'Publish changes' : labels[state];
+    publishBtn.title = state === 'draft' ? 'Make this document public' : 'Publishing options';
+}
+
+/**
+ * A sentence describing where the document stands with readers
+ */
+function describePublishState() {
+    const publication = DocStore.getPublication(publishRecord);
+    const changes = hasUnpublishedChanges()
+        ? ' Your draft has changes readers can\'t see yet.'
+        : ' Readers see your latest version.';
+
+    switch (DocStore.getPublishState(publishRecord)) {
+        case 'live':
+            return `Published ${formatPublishDate(publication.publishAt || publication.publishedAt)}.` + changes;
+        case 'scheduled':
+            return `Scheduled to go live ${formatPublishDate(publication.publishAt)}.` + changes;
+        case 'expired':
+            return `Taken down ${formatPublishDate(publication.expiresAt)}, as scheduled.`;
+        default:
+            return 'Not published. Only you can see this document.';
+    }
+}
+
+/**
+ * Format an ISO timestamp for the publish dialog
+ */
+function formatPublishDate(isoString) {
+    return new Date(isoString).toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ===========================
+// PUBLISH DIALOG
+// ===========================
+
+/**
+ * Open the publish dialog, filled in from the stored settings
+ */
+function openPublishDialog() {
+    const settings = getStoredPublishSettings();
+    const published = publishRecord.published;
+
+    closeCommandPalette(false);
+    document.getElementById('publish-status').textContent = describePublishState();
+    document.getElementById('publish-url-prefix').textContent =
+        `view.html?author=${encodeURIComponent(currentDocAuthor)}&slug=`;
+    document.getElementById('publish-slug').value = settings.slug;
+    document.getElementById('publish-excerpt').value = settings.excerpt;
+    document.getElementById('publish-at').value = toDateTimeInput(settings.publishAt);
+    document.getElementById('publish-expires').value = toDateTimeInput(settings.expiresAt);
+    document.getElementById('publish-submit').textContent = published ? 'Publish changes' : 'Publish';
+    document.getElementById('unpublish-btn').hidden = !published;
+
+    const view = document.getElementById('publish-view');
+    view.hidden = !published;
+    if (published) {
+        view.href = DocStore.getPublicPath({ author: currentDocAuthor, id: currentProjectId, ...publishRecord });
+    }
+
+    showPublishError('');
+    publishDialog.hidden = false;
+    document.getElementById('publish-slug').focus();
+}
+
+/**
+ * Close the publish dialog
+ */
+function closePublishDialog() {
+    publishDialog.hidden = true;
+    editor.focus();
+}
+
+/**
+ * Show a problem with the publish settings, or clear it
+ */
+function showPublishError(message) {
+    const error = document.getElementById('publish-error');
+    error.textContent = message;
+    error.hidden = !message;
+}
+
+/**
+ * Settings the document was last published with; the address defaults to
+ * one made from the title
+ */
+function getStoredPublishSettings() {
+    const publication = publishRecord.publication || {};
+    return {
+        slug: publication.slug || slugify(docTitle.value),
+        excerpt: publication.excerpt || '',
+        publishAt: publication.publishAt || null,
+        expiresAt: publication.expiresAt || null
+    };
+}
+
+/**
+ * Read and check the dialog's settings. Returns null (showing why) if
+ * they can't be used.
+ */
+function readPublishForm() {
+    const publishAt = fromDateTimeInput(document.getElementById('publish-at').value);
+    const expiresAt = fromDateTimeInput(document.getElementById('publish-expires').value);
+
+    if (expiresAt && Date.parse(expiresAt) <= Math.max(Date.now(), Date.parse(publishAt) || 0)) {
+        showPublishError('The take-down time must be after the document goes live.');
+        return null;
+    }
+
+    return {
+        slug: slugify(document.getElementById('publish-slug').value || docTitle.value),
+        excerpt: document.getElementById('publish-excerpt').value.trim(),
+        publishAt: publishAt,
+        expiresAt: expiresAt
+    };
+}
+
+/**
+ * A page address made from text: lowercase letters, digits and hyphens
+ */
+function slugify(text) {
+    const slug = text.normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return slug || 'untitled';
+}
+
+/**
+ * An ISO timestamp as a datetime-local input value (local time)
+ */
+function toDateTimeInput(isoString) {
+    if (!isoString) return '';
+    const date = new Date(isoString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * A datetime-local input value as an ISO timestamp, or null when empty
+ */
+function fromDateTimeInput(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// ===========================
+// PUBLISHING
+// ===========================
+
+/**
+ * Publish the saved draft, replacing the copy readers see
+ */
+async function publishDocument(settings = getStoredPublishSettings()) {
+    // Save any pending changes first
+    if (!(await saveDocument('publish'))) {
+        alert('The document could not be saved, so it was not published.');
+        return;
+    }
+
+    const taken = (await DocStore.listUserDocs(currentDocAuthor)).some(doc =>
+        doc.id !== String(currentProjectId) && doc.published &&
+        doc.publication && doc.publication.slug === settings.slug
+    );
+    if (taken) {
+        openPublishDialog();
+        showPublishError('Another of your documents already uses this address.');
+        return;
+    }
+
+    const doc = await updatePublication('Publishing failed', doc => {
+        const previous = DocStore.getPublication(doc);
+        const now = new Date().toISOString();
+        doc.published = true;
+        doc.publication = {
+            title: doc.title,
+            // Readers never see comments or pending suggestions
+            content: stripReviewMarkup(doc.content),
+            tags: doc.tags || [],
+            excerpt: settings.excerpt,
+            slug: settings.slug,
+            publishAt: settings.publishAt,
+            expiresAt: settings.expiresAt,
+            publishedAt: previous ? previous.publishedAt : now,
+            updatedAt: now
+        };
+    });
+    if (!doc) return;
+
+    publishDialog.hidden = true;
+    const message = DocStore.getPublishState(doc) === 'scheduled'
+        ? `'${doc.title}' will go live ${formatPublishDate(doc.publication.publishAt)}.`
+        : `'${doc.title}' has been published! You can see it on the homepage.`;
+    showSyncNotice(message, DocStore.getPublicPath(doc));
+}
+
+/**
+ * Take the document off the site. The draft is left as it is.
+ */
+async function unpublishDocument() {
+    if (!publishRecord.published) return;
+
+    const doc = await updatePublication('Unpublishing failed', DocStore.unpublish);
+    if (!doc) return;
+
+    closePublishDialog();
+    showSyncNotice(`'${doc.title}' is no longer public.`);
+}
+
+/**
+ * Change the stored document's publishing fields (see updateStoredDocument()).
+ * Resolves to the stored document, or null if it could not be stored.
+ */
+async function updatePublication(failure, change) {
+    const doc = await updateStoredDocument(failure, change);
+    if (doc) setPublishRecord(doc);
+    return doc;
+}
@@ -0,0 +1,719 @@
+/**
+ * ZENO DRAFT - COMMENTS & SUGGESTIONS
+ * Threaded comments on selected text, and a "Suggesting" mode that records
+ * typing as proposed insertions and deletions for the author to accept or
+ * reject.
+ *
+ * Comment anchors are <span data-comment="id"> around the commented text;
+ * the threads themselves are stored in the document record's `comments`.
+ * Suggestions live in the content as <ins>/<del data-suggestion="id">.
+ * Both are removed from exports (see stripReviewMarkup() in sanitize.js).
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Comment threads of the open document:
+// { id, quote, author, createdAt, updatedAt, resolved, deleted, messages: [{ id, author, createdAt, body }] }
+// Deleted threads are kept (with deleted: true) so other tabs' saves can't bring them back
+let commentThreads = [];
+let suggestingMode = false;
+// Anchor id of a comment being written, before it is posted
+let pendingCommentId = null;
+let reviewIdCounter = 0;
+let reviewRefreshTimer = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize comments and suggesting mode
+ */
+function initializeReview() {
+    const panel = document.getElementById('review-panel');
+
+    document.getElementById('review-btn').addEventListener('click', function() {
+        setReviewPanelOpen(panel.hidden);
+    });
+    document.getElementById('review-close').addEventListener('click', () => setReviewPanelOpen(false));
+    document.getElementById('comment-btn').addEventListener('click', startComment);
+    document.getElementById('suggest-btn').addEventListener('click', toggleSuggesting);
+
+    const group = 'Review';
+    registerCommand({ id: 'comment', title: 'Comment on selection', group, keys: ['Mod+Alt+M'], run: startComment });
+    registerCommand({ id: 'toggleSuggesting', title: 'Suggesting mode on/off', group, run: toggleSuggesting });
+    registerCommand({ id: 'reviewPanel', title: 'Show comments and suggestions', group, run: () => setReviewPanelOpen(true) });
+
+    document.getElementById('comment-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        postComment();
+    });
+    document.getElementById('comment-cancel').addEventListener('click', cancelComment);
+
+    document.getElementById('accept-all-btn').addEventListener('click', () => resolveAllSuggestions(true));
+    document.getElementById('reject-all-btn').addEventListener('click', () => resolveAllSuggestions(false));
+
+    // Clicking commented text opens its thread
+    editor.addEventListener('click', function(e) {
+        const anchor = e.target.closest && e.target.closest('span[data-comment]');
+        if (anchor && findThread(anchor.getAttribute('data-comment'))) {
+            setReviewPanelOpen(true);
+            highlightThread(anchor.getAttribute('data-comment'));
+        }
+    });
+    editor.addEventListener('input', scheduleReviewRefresh);
+}
+
+/**
+ * Open or close the review panel
+ */
+function setReviewPanelOpen(open) {
+    document.getElementById('review-panel').hidden = !open;
+    if (open) {
+        // One side panel at a time
+        document.getElementById('history-panel').hidden = true;
+        document.getElementById('lint-panel').hidden = true;
+        renderReviewPanel();
+    }
+}
+
+/**
+ * Re-render the review panel soon, if it is open
+ */
+function scheduleReviewRefresh() {
+    clearTimeout(reviewRefreshTimer);
+    reviewRefreshTimer = setTimeout(() => {
+        if (!document.getElementById('review-panel').hidden) renderReviewPanel();
+    }, 300);
+}
+
+/**
+ * A new id for a comment, message or suggestion
+ */
+function createReviewId(prefix) {
+    return `${prefix}${Date.now().toString(36)}${(reviewIdCounter++).toString(36)}`;
+}
+
+/**
+ * Whether the current user owns the open document
+ */
+function isDocumentOwner() {
+    return currentDocAuthor === currentUser;
+}
+
+// ===========================
+// COMMENT THREADS
+// ===========================
+
+/**
+ * Replace the comment threads (when a document is loaded or synced)
+ */
+function setCommentThreads(threads) {
+    commentThreads = (threads || []).slice();
+    updateCommentHighlights();
+    scheduleReviewRefresh();
+}
+
+/**
+ * Combine stored threads with this tab's; the most recently updated version
+ * of each thread wins
+ */
+function mergeCommentThreads(stored, local) {
+    const merged = new Map();
+    (stored || []).concat(local || []).forEach(thread => {
+        const existing = merged.get(thread.id);
+        if (!existing || thread.updatedAt > existing.updatedAt) {
+            merged.set(thread.id, thread);
+        }
+    });
+    return Array.from(merged.values());
+}
+
+/**
+ * A live (not deleted) thread by id
+ */
+function findThread(id) {
+    return commentThreads.find(thread => thread.id === id && !thread.deleted) || null;
+}
+
+/**
+ * Apply a change to a thread and mark the document unsaved
+ */
+function updateThread(id, change) {
+    const thread = findThread(id);
+    if (!thread) return;
+
+    const updated = { ...thread, messages: thread.messages.slice(), updatedAt: new Date().toISOString() };
+    change(updated);
+    commentThreads = commentThreads.map(t => t.id === id ? updated : t);
+
+    updateCommentHighlights();
+    markAsUnsaved();
+    renderReviewPanel();
+}
+
+/**
+ * Anchor a new comment on the selected text and open the comment form
+ */
+function startComment() {
+    const range = getEditorRange();
+    if (!range || range.collapsed || !range.toString().trim()) {
+        alert('Select some text to comment on.');
+        return;
+    }
+
+    cancelComment();
+    recordUndoPoint();
+
+    pendingCommentId = createReviewId('c');
+    getTextNodesInRange(range).forEach(node => {
+        const anchor = document.createElement('span');
+        anchor.setAttribute('data-comment', pendingCommentId);
+        node.parentNode.insertBefore(anchor, node);
+        anchor.appendChild(node);
+    });
+
+    setReviewPanelOpen(true);
+    document.getElementById('comment-form').hidden = false;
+    document.getElementById('comment-input').focus();
+}
+
+/**
+ * Post the comment being written
+ */
+function postComment() {
+    const input = document.getElementById('comment-input');
+    const body = input.value.trim();
+    if (!body || !pendingCommentId) return;
+
+    const now = new Date().toISOString();
+    commentThreads.push({
+        id: pendingCommentId,
+        quote: getAnchorText(pendingCommentId),
+        author: currentUser,
+        createdAt: now,
+        updatedAt: now,
+        resolved: false,
+        deleted: false,
+        messages: [{ id: createReviewId('m'), author: currentUser, createdAt: now, body: body }]
+    });
+
+    pendingCommentId = null;
+    input.value = '';
+    document.getElementById('comment-form').hidden = true;
+    updateCommentHighlights();
+    markAsUnsaved();
+    renderReviewPanel();
+}
+
+/**
+ * Drop the comment being written, and its anchor
+ */
+function cancelComment() {
+    if (pendingCommentId) removeAnchors(pendingCommentId);
+    pendingCommentId = null;
+    document.getElementById('comment-input').value = '';
+    document.getElementById('comment-form').hidden = true;
+}
+
+/**
+ * Add a reply to a thread
+ */
+function replyToThread(id, body) {
+    if (!body.trim()) return;
+    updateThread(id, thread => {
+        thread.messages.push({ id: createReviewId('m'), author: currentUser, createdAt: new Date().toISOString(), body: body.trim() });
+    });
+}
+
+/**
+ * Resolve a thread, or reopen a resolved one
+ */
+function toggleResolved(id) {
+    updateThread(id, thread => {
+        thread.resolved = !thread.resolved;
+    });
+}
+
+/**
+ * Delete a whole thread and its anchor
+ */
+function deleteThread(id) {
+    if (!confirm('Delete this comment thread?')) return;
+    removeAnchors(id);
+    updateThread(id, thread => {
+        thread.deleted = true;
+        thread.messages = [];
+    });
+}
+
+/**
+ * Delete one reply
+ */
+function deleteMessage(threadId, messageId) {
+    updateThread(threadId, thread => {
+        thread.messages = thread.messages.filter(message => message.id !== messageId);
+    });
+}
+
+/**
+ * Unwrap a comment's anchor spans
+ */
+function removeAnchors(id) {
+    editor.querySelectorAll(`span[data-comment="${CSS.escape(id)}"]`).forEach(anchor => {
+        anchor.replaceWith(...anchor.childNodes);
+    });
+    editor.normalize();
+}
+
+/**
+ * The text a comment is anchored to ('' if it was deleted)
+ */
+function getAnchorText(id) {
+    return Array.from(editor.querySelectorAll(`span[data-comment="${CSS.escape(id)}"]`))
+        .map(anchor => anchor.textContent)
+        .join('');
+}
+
+/**
+ * Select a thread's anchored text in the editor
+ */
+function selectAnchor(id) {
+    const anchors = editor.querySelectorAll(`span[data-comment="${CSS.escape(id)}"]`);
+    if (anchors.length === 0) return;
+
+    const range = document.createRange();
+    range.setStartBefore(anchors[0]);
+    range.setEndAfter(anchors[anchors.length - 1]);
+    selectRange(range);
+    anchors[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+/**
+ * Highlight the anchors of open threads (resolved ones stay plain)
+ */
+function updateCommentHighlights() {
+    let style = document.getElementById('comment-highlights');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'comment-highlights';
+        document.head.appendChild(style);
+    }
+
+    const selectors = commentThreads
+        .filter(thread => !thread.deleted && !thread.resolved)
+        .map(thread => `#editor span[data-comment="${CSS.escape(thread.id)}"]`);
+
+    style.textContent = selectors.length > 0
+        ? `${selectors.join(',\n')} { background: #fef3c7; border-bottom: 2px solid #f59e0b; }`
+        : '';
+}
+
+// ===========================
+// SUGGESTING MODE
+// ===========================
+
+/**
+ * Whether edits are being recorded as suggestions
+ */
+function isSuggesting() {
+    return suggestingMode;
+}
+
+/**
+ * Switch suggesting mode on or off
+ */
+function toggleSuggesting() {
+    suggestingMode = !suggestingMode;
+    const button = document.getElementById('suggest-btn');
+    button.classList.toggle('active', suggestingMode);
+    button.setAttribute('aria-pressed', String(suggestingMode));
+    editor.classList.toggle('suggesting', suggestingMode);
+    editor.focus();
+}
+
+/**
+ * Record typing and deleting as suggestions. Returns true if the input was
+ * handled here; other edits (new paragraphs, formatting) are applied as usual.
+ */
+function handleSuggestionInput(e) {
+    const text = e.data || (e.dataTransfer && e.dataTransfer.getData('text/plain'));
+
+    if ((e.inputType === 'insertText' || e.inputType === 'insertReplacementText') && text) {
+        e.preventDefault();
+        insertSuggestedText(text);
+    } else if (e.inputType.startsWith('delete')) {
+        e.preventDefault();
+        deleteAsSuggestion(e.inputType);
+    } else {
+        return false;
+    }
+
+    markAsUnsaved();
+    scheduleReviewRefresh();
+    return true;
+}
+
+/**
+ * Whether an element is one of the current user's suggested insertions
+ */
+function isOwnInsertion(el) {
+    return el.nodeType === Node.ELEMENT_NODE && el.tagName === 'INS' &&
+        el.hasAttribute('data-suggestion') && el.getAttribute('data-author') === currentUser;
+}
+
+/**
+ * Insert text at the caret as a suggested insertion.
+ * Selected text is suggested for deletion first.
+ */
+function insertSuggestedText(text) {
+    let range = getEditorRange();
+    if (!range) return;
+
+    if (!range.collapsed) {
+        markDeleted(range);
+        range = getEditorRange();
+        range.collapse(false);
+    }
+
+    // Never type inside text that is suggested for deletion
+    const deleted = findAncestor(range.startContainer, el => el.tagName === 'DEL' && el.hasAttribute('data-suggestion'));
+    if (deleted) range.setStartAfter(deleted);
+
+    const textNode = document.createTextNode(text);
+    const ownInsertion = findAncestor(range.startContainer, isOwnInsertion);
+    const previous = range.startContainer.nodeType === Node.ELEMENT_NODE
+        ? range.startContainer.childNodes[range.startOffset - 1]
+        : null;
+
+    if (ownInsertion) {
+        // Keep extending the suggestion being typed
+        range.insertNode(textNode);
+    } else if (previous && isOwnInsertion(previous)) {
+        previous.appendChild(textNode);
+    } else {
+        const insertion = document.createElement('ins');
+        insertion.setAttribute('data-suggestion', createReviewId('s'));
+        insertion.setAttribute('data-author', currentUser);
+        insertion.appendChild(textNode);
+        range.insertNode(insertion);
+    }
+
+    const caret = document.createRange();
+    caret.setStart(textNode, textNode.length);
+    caret.collapse(true);
+    selectRange(caret);
+
+    // Join the typed text with its neighbours, keeping the caret in the text
+    const offsets = getSelectionOffsets();
+    editor.normalize();
+    setSelectionOffsets(offsets);
+}
+
+/**
+ * Suggest deleting the selection, or the character (word, line) next to the caret
+ */
+function deleteAsSuggestion(inputType) {
+    const selection = window.getSelection();
+    let range = getEditorRange();
+    if (!range) return;
+
+    const backward = inputType.includes('Backward');
+    if (range.collapsed) {
+        const granularity = inputType.includes('Word') ? 'word'
+            : inputType.includes('Line') ? 'lineboundary'
+            : 'character';
+        selection.modify('extend', backward ? 'backward' : 'forward', granularity);
+        range = getEditorRange();
+        if (!range || range.collapsed) return;
+    }
+
+    const offsets = getSelectionOffsets();
+    const removed = markDeleted(range);
+
+    // The caret ends up before the deleted text when deleting backwards, after it otherwise
+    const caret = backward ? offsets.start : offsets.end - removed;
+    setSelectionOffsets({ start: caret, end: caret });
+}
+
+/**
+ * Mark the text in a range as a suggested deletion.
+ * The user's own suggested insertions are simply removed.
+ * Returns how many characters were removed outright.
+ */
+function markDeleted(range) {
+    const id = createReviewId('s');
+    let removed = 0;
+
+    getTextNodesInRange(range).forEach(node => {
+        const ownInsertion = findAncestor(node, isOwnInsertion);
+        if (ownInsertion) {
+            removed += node.length;
+            node.remove();
+            if (!ownInsertion.textContent) ownInsertion.remove();
+            return;
+        }
+        if (findAncestor(node, el => el.tagName === 'DEL' && el.hasAttribute('data-suggestion'))) return;
+
+        const deletion = document.createElement('del');
+        deletion.setAttribute('data-suggestion', id);
+        deletion.setAttribute('data-author', currentUser);
+        node.parentNode.insertBefore(deletion, node);
+        deletion.appendChild(node);
+        mergeAdjacentDeletions(deletion);
+    });
+
+    editor.normalize();
+    return removed;
+}
+
+/**
+ * Join a suggested deletion with the same user's deletions right next to it,
+ * so deleting character by character makes one suggestion
+ */
+function mergeAdjacentDeletions(deletion) {
+    const isOwnDeletion = el => el && el.nodeType === Node.ELEMENT_NODE && el.tagName === 'DEL' &&
+        el.hasAttribute('data-suggestion') && el.getAttribute('data-author') === currentUser;
+
+    const previous = deletion.previousSibling;
+    if (isOwnDeletion(previous)) {
+        while (deletion.firstChild) previous.appendChild(deletion.firstChild);
+        deletion.remove();
+        deletion = previous;
+    }
+
+    const next = deletion.nextSibling;
+    if (isOwnDeletion(next)) {
+        while (next.firstChild) deletion.appendChild(next.firstChild);
+        next.remove();
+        // One id for the joined run
+        editor.querySelectorAll(`del[data-suggestion="${CSS.escape(next.getAttribute('data-suggestion'))}"]`)
+            .forEach(el => el.setAttribute('data-suggestion', deletion.getAttribute('data-suggestion')));
+    }
+}
+
+/**
+ * Suggestions in document order: [{ id, type: 'insert' | 'delete', author, text }]
+ */
+function getSuggestions() {
+    const suggestions = new Map();
+
+    editor.querySelectorAll('ins[data-suggestion], del[data-suggestion]').forEach(el => {
+        const id = el.getAttribute('data-suggestion');
+        if (!suggestions.has(id)) {
+            suggestions.set(id, {
+                id: id,
+                type: el.tagName === 'INS' ? 'insert' : 'delete',
+                author: el.getAttribute('data-author') || 'Unknown',
+                text: ''
+            });
+        }
+        suggestions.get(id).text += el.textContent;
+    });
+
+    return Array.from(suggestions.values());
+}
+
+/**
+ * Accept or reject one suggestion
+ */
+function resolveSuggestion(id, accept) {
+    if (!isDocumentOwner()) return;
+
+    recordUndoPoint();
+    applySuggestionDecision(editor.querySelectorAll(`[data-suggestion="${CSS.escape(id)}"]`), accept);
+    markAsUnsaved();
+    renderReviewPanel();
+}
+
+/**
+ * Accept or reject every suggestion
+ */
+function resolveAllSuggestions(accept) {
+    if (!isDocumentOwner()) return;
+
+    recordUndoPoint();
+    applySuggestionDecision(editor.querySelectorAll('ins[data-suggestion], del[data-suggestion]'), accept);
+    markAsUnsaved();
+    renderReviewPanel();
+}
+
+/**
+ * Keep or drop suggestion elements: accepting keeps insertions and drops
+ * deletions, rejecting does the opposite
+ */
+function applySuggestionDecision(elements, accept) {
+    elements.forEach(el => {
+        const keep = (el.tagName === 'INS') === accept;
+        if (keep) el.replaceWith(...el.childNodes);
+        else el.remove();
+    });
+    editor.normalize();
+}
+
+/**
+ * Select a suggestion in the editor
+ */
+function selectSuggestion(id) {
+    const elements = editor.querySelectorAll(`[data-suggestion="${CSS.escape(id)}"]`);
+    if (elements.length === 0) return;
+
+    const range = document.createRange();
+    range.setStartBefore(elements[0]);
+    range.setEndAfter(elements[elements.length - 1]);
+    selectRange(range);
+    elements[0].scrollIntoView({ block: 'center', behavior: 'smooth' });
+}
+
+// ===========================
+// REVIEW PANEL
+// ===========================
+
+/**
+ * Render suggestions and comment threads
+ */
+function renderReviewPanel() {
+    const list = document.getElementById('review-list');
+    const suggestions = getSuggestions();
+    const threads = commentThreads.filter(thread => !thread.deleted);
+
+    document.getElementById('review-bulk').hidden = !isDocumentOwner() || suggestions.length === 0;
+    list.innerHTML = '';
+
+    if (suggestions.length === 0 && threads.length === 0) {
+        list.innerHTML = '<li class="history-empty">No comments or suggestions. Select text and press Comment, or switch to Suggesting.</li>';
+        return;
+    }
+
+    suggestions.forEach(suggestion => list.appendChild(createSuggestionItem(suggestion)));
+    // Open threads first
+    threads
+        .slice()
+        .sort((a, b) => Number(a.resolved) - Number(b.resolved))
+        .forEach(thread => list.appendChild(createThreadItem(thread)));
+}
+
+/**
+ * List item for a suggestion, with accept/reject for the author
+ */
+function createSuggestionItem(suggestion) {
+    const item = document.createElement('li');
+    item.className = 'review-item';
+    item.addEventListener('click', () => selectSuggestion(suggestion.id));
+
+    const label = document.createElement('div');
+    label.className = 'review-meta';
+    const badge = document.createElement('span');
+    badge.className = `badge ${suggestion.type === 'insert' ? 'badge-insert' : 'badge-delete'}`;
+    badge.textContent = suggestion.type === 'insert' ? 'Add' : 'Delete';
+    label.append(badge, ` ${suggestion.author}`);
+    item.appendChild(label);
+
+    const text = document.createElement(suggestion.type === 'insert' ? 'ins' : 'del');
+    text.className = suggestion.type === 'insert' ? 'diff-ins' : 'diff-del';
+    text.textContent = suggestion.text;
+    item.appendChild(text);
+
+    if (isDocumentOwner()) {
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+        actions.append(
+            createReviewButton('Accept', () => resolveSuggestion(suggestion.id, true)),
+            createReviewButton('Reject', () => resolveSuggestion(suggestion.id, false))
+        );
+        item.appendChild(actions);
+    }
+
+    return item;
+}
+
+/**
+ * List item for a comment thread, with its messages, a reply box and actions
+ */
+function createThreadItem(thread) {
+    const item = document.createElement('li');
+    item.className = 'review-item';
+    item.dataset.thread = thread.id;
+    if (thread.resolved) item.classList.add('resolved');
+
+    const quote = document.createElement('blockquote');
+    quote.className = 'review-quote';
+    const anchorText = getAnchorText(thread.id);
+    quote.textContent = anchorText || thread.quote;
+    if (!anchorText) quote.title = 'The commented text was deleted';
+    quote.addEventListener('click', () => selectAnchor(thread.id));
+    item.appendChild(quote);
+
+    thread.messages.forEach((message, index) => {
+        const entry = document.createElement('div');
+        entry.className = 'review-message';
+
+        const meta = document.createElement('div');
+        meta.className = 'review-meta';
+        const author = document.createElement('strong');
+        author.textContent = message.author;
+        meta.append(author, ` · ${formatSnapshotDate(message.createdAt)}`);
+        // Replies can be deleted by whoever wrote them
+        if (index > 0 && message.author === currentUser) {
+            meta.appendChild(createReviewButton('Delete', () => deleteMessage(thread.id, message.id), 'review-link'));
+        }
+        entry.appendChild(meta);
+
+        const body = document.createElement('p');
+        body.textContent = message.body;
+        entry.appendChild(body);
+        item.appendChild(entry);
+    });
+
+    if (!thread.resolved) {
+        const form = document.createElement('form');
+        form.className = 'review-reply';
+        const input = document.createElement('input');
+        input.className = 'comment-input';
+        input.placeholder = 'Reply';
+        form.appendChild(input);
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            replyToThread(thread.id, input.value);
+        });
+        item.appendChild(form);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'review-actions';
+    actions.appendChild(createReviewButton(thread.resolved ? 'Reopen' : 'Resolve', () => toggleResolved(thread.id)));
+    if (thread.author === currentUser || isDocumentOwner()) {
+        actions.appendChild(createReviewButton('Delete', () => deleteThread(thread.id)));
+    }
+    item.appendChild(actions);
+
+    return item;
+}
+
+/**
+ * A small button for the review panel
+ */
+function createReviewButton(label, onClick, className = 'action-btn') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', e => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Scroll a thread into view in the panel and flash it
+ */
+function highlightThread(id) {
+    const item = document.querySelector(`#review-list [data-thread="${CSS.escape(id)}"]`);
+    if (!item) return;
+    item.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    item.classList.add('active');
+    setTimeout(() => item.classList.remove('active'), 1500);
+}
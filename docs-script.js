@@ -10,7 +10,6 @@ const editor = document.getElementById('editor');
 const docTitle = document.getElementById('doc-title');
 const saveStatus = document.getElementById('save-status');
 const saveBtn = document.getElementById('save-btn');
-const publishBtn = document.getElementById('publish-btn');
 const fontSizeSelect = document.getElementById('font-size');
 const formatBlockSelect = document.getElementById('format-block');
 
@@ -18,19 +17,23 @@ const formatBlockSelect = document.getElementById('format-block');
 const AUTO_SAVE_INTERVAL = 5000;
 let autoSaveTimer = null;
 let hasUnsavedChanges = false;
+// Whether the last save is waiting for the sync server (see doc-store.js)
+let savedOffline = false;
 
 // Project and User specific
 let currentUser = null;
 let currentProjectId = null;
+// Owner of the open document: the current user, unless co-editing someone else's
+let currentDocAuthor = null;
 
 // ===========================
 // INITIALIZATION
 // ===========================
-document.addEventListener('DOMContentLoaded', function() {
-    currentUser = sessionStorage.getItem('zeno-user');
+document.addEventListener('DOMContentLoaded', async function() {
+    currentUser = Auth.getCurrentUser();
     if (!currentUser) {
         // This should be caught by the script in docs.html, but as a fallback.
-        window.location.href = 'login.html';
+        Auth.redirectToLogin();
         return;
     }
 
@@ -38,12 +41,34 @@ document.addEventListener('DOMContentLoaded', function() {
     const urlProjectId = urlParams.get('id');
     // Only set currentProjectId if it's a valid-looking ID (not null/empty)
     if (urlProjectId) currentProjectId = urlProjectId;
+    // Other people's documents can only be opened for editing through a sync server
+    currentDocAuthor = (isCollaborating() && urlParams.get('author')) || currentUser;
 
-    loadDocument();
+    // Another user's document: hand off to the read-only viewer
+    if (!(await loadDocument())) return;
     initializeToolbar();
     initializeKeyboardShortcuts();
     initializeAutoSave();
     initializeEditor();
+    initializePublish();
+    initializeTags();
+    initializeFolders();
+    initializeSettingsMenu();
+    initializeCommands();
+    initializeReview();
+    initializeInsert();
+    initializeAutoformat();
+    initializeFind();
+    initializeLint();
+    initializeOutline();
+    initializeStats();
+    initializeHistoryPanel();
+    initializeTabSync();
+    initializeCollaboration();
+    initializeExportMenu();
+    initializeImport();
+    initializeTemplates();
+    initializePalette();
 });
 
 // ===========================
@@ -51,89 +76,215 @@ document.addEventListener('DOMContentLoaded', function() {
 // ===========================
 
 /**
- * Load document from localStorage
+ * Load document from the document store.
+ * Resolves to false if the document belongs to someone else and the
+ * page is being redirected to the read-only viewer.
  */
-function loadDocument() {
-    const allDocs = JSON.parse(localStorage.getItem('zenoDocs') || '{}');
-    const userDocs = allDocs[currentUser] || [];
-    
+async function loadDocument() {
     let docToLoad = null;
     if (currentProjectId) {
-        docToLoad = userDocs.find(doc => doc.id == currentProjectId);
+        docToLoad = await DocStore.getDoc(currentDocAuthor, currentProjectId);
+    }
+
+    if (!docToLoad && currentProjectId) {
+        const owner = await findDocumentOwner(currentProjectId);
+        const query = `author=${encodeURIComponent(owner)}&id=${encodeURIComponent(currentProjectId)}`;
+        if (owner && isCollaborating()) {
+            // Shared through the sync server: co-edit it
+            window.location.replace(`docs.html?${query}`);
+            return false;
+        }
+        if (owner) {
+            // Never open another user's document for editing
+            window.location.replace(`view.html?${query}`);
+            return false;
+        }
     }
 
     if (docToLoad) {
-        editor.innerHTML = docToLoad.content || '';
+        editor.innerHTML = sanitizeHTML(docToLoad.content);
         docTitle.value = docToLoad.title || 'Untitled Document';
         updatePageTitle(docToLoad.title);
+        setCommentThreads(docToLoad.comments);
+        setWordGoal(docToLoad.wordGoal);
+        setDocTags(docToLoad.tags);
+        setDocFolder(docToLoad.folderId);
+        setPublishRecord(docToLoad);
+        resetWritingBaseline(editor.innerHTML);
+        // Read content back so the sync base matches the editor's serialization
+        setSyncBase({ ...docToLoad, title: docTitle.value, content: editor.innerHTML });
+        if (docToLoad.trashedAt) {
+            showSyncNotice('This draft is in the trash. Restore it from the dashboard to keep it.', 'dashboard.html?view=trash');
+        }
+        // What was loaded may be a change saved offline that the sync server turned down
+        await resolveOfflineConflict();
     } else {
         // New document or invalid ID
         currentProjectId = null; // Ensure we treat it as a new doc
-        editor.innerHTML = '';
-        docTitle.value = 'Untitled Document';
-        updatePageTitle('Untitled Document');
+        const urlParams = new URLSearchParams(window.location.search);
+        const template = await Templates.get(urlParams.get('template'));
+        const draft = template
+            ? Templates.fill(template, urlParams.get('title'))
+            : { title: 'Untitled Document', content: '', tags: [] };
+        editor.innerHTML = sanitizeHTML(draft.content);
+        docTitle.value = draft.title;
+        updatePageTitle(draft.title);
+        setDocTags(draft.tags);
+        setDocFolder(urlParams.get('folder'));
+        // A draft from a template is saved like any edit, so it isn't lost
+        hasUnsavedChanges = !!template;
     }
     
     // Mark as saved initially
-    updateSaveStatus('saved');
+    updateSaveStatus(hasUnsavedChanges ? 'unsaved' : 'saved');
+    return true;
+}
+
+/**
+ * Find which user (other than the current one) owns a document id
+ */
+async function findDocumentOwner(id) {
+    const matches = await DocStore.findDocs(id);
+    const other = matches.find(doc => doc.author !== currentUser);
+    return other ? other.author : null;
+}
+
+// Saves run one after another so a slow write can never race a newer one
+let saveQueue = Promise.resolve();
+
+/**
+ * Save document to the document store.
+ * The reason ('auto', 'manual', 'publish', ...) decides whether a
+ * version history snapshot is taken (see docs-history.js).
+ * Resolves to true on success; failures are shown in the save status.
+ */
+function saveDocument(reason = 'auto') {
+    saveQueue = saveQueue.then(() => writeDocument(reason));
+    return saveQueue;
 }
 
 /**
- * Save document to localStorage
+ * Change fields of the stored document that the editor doesn't hold, such as
+ * its publication or folder. This runs in the save queue so an auto-save
+ * can't write back an older state. Resolves to the stored document, or null
+ * if it could not be stored (the failure is shown to the user).
  */
-function saveDocument() {
+function updateStoredDocument(failure, change) {
+    saveQueue = saveQueue.then(async () => {
+        try {
+            const doc = await DocStore.getDoc(currentDocAuthor, currentProjectId);
+            if (!doc) throw new Error('The document no longer exists.');
+            change(doc);
+            await DocStore.putDoc(doc);
+            return doc;
+        } catch (err) {
+            console.error(`${failure}:`, err);
+            alert(`${failure}: ${err.message}`);
+            return null;
+        }
+    });
+    return saveQueue;
+}
+
+/**
+ * Write the editor contents to the store
+ */
+async function writeDocument(reason) {
+    // Bring any table of contents up to date (see docs-outline.js)
+    if (refreshTableOfContentsForSave()) sendCollabChanges();
+
     const content = editor.innerHTML;
     const title = docTitle.value;
+    const now = new Date().toISOString();
 
-    const allDocs = JSON.parse(localStorage.getItem('zenoDocs') || '{}');
-    if (!allDocs[currentUser]) {
-        allDocs[currentUser] = [];
-    }
-    
-    let userDocs = allDocs[currentUser];
-    let docIndex = -1;
-    if (currentProjectId) {
-        docIndex = userDocs.findIndex(doc => doc.id == currentProjectId);
-    }
+    // Another tab's changes must be resolved first (see docs-sync.js)
+    if (isConflictPending()) return false;
 
-    if (docIndex > -1) {
-        // Update existing document
-        userDocs[docIndex].title = title;
-        userDocs[docIndex].content = content;
-        userDocs[docIndex].modifiedAt = new Date().toISOString();
-    } else {
-        // Create new document
-        const newDoc = {
-            id: String(Date.now()),
-            title: title,
-            content: content,
-            author: currentUser,
-            createdAt: new Date().toISOString(),
-            modifiedAt: new Date().toISOString(),
-            published: false
-        };
-        userDocs.push(newDoc);
-        currentProjectId = newDoc.id;
-        // Update URL without reloading page to reflect new project ID
-        window.history.replaceState({}, '', `?id=${currentProjectId}`);
+    // Edits made while the write is in flight mark the document unsaved again
+    hasUnsavedChanges = false;
+
+    let doc = null;
+    try {
+        doc = currentProjectId ? await DocStore.getDoc(currentDocAuthor, currentProjectId) : null;
+        const isNew = !doc;
+
+        // Co-editors' changes are merged live instead (see docs-collab.js)
+        if (doc && !isCollaborating() && isStale(doc)) {
+            // Written by another tab since we loaded it: merge or ask first
+            hasUnsavedChanges = true;
+            handleRemoteChange(doc);
+            return false;
+        }
+
+        if (doc) {
+            // Documents published before there were public copies keep
+            // showing readers what was published (see docs-publish.js)
+            if (doc.published && !doc.publication) doc.publication = DocStore.getPublication(doc);
+            // Update existing document
+            doc.title = title;
+            doc.content = content;
+            // Keep threads other tabs added since we loaded
+            doc.comments = mergeCommentThreads(doc.comments, commentThreads);
+            doc.wordGoal = wordGoal;
+            doc.tags = docTags;
+            doc.modifiedAt = now;
+        } else {
+            // Create new document
+            doc = {
+                id: DocStore.createId(),
+                title: title,
+                content: content,
+                author: currentUser,
+                createdAt: now,
+                modifiedAt: now,
+                published: false,
+                comments: commentThreads,
+                wordGoal: wordGoal,
+                tags: docTags,
+                folderId: docFolderId
+            };
+        }
+        recordSnapshot(doc, reason);
+        const result = await DocStore.putDoc(doc);
+        savedOffline = !!(result && result.queued);
+        setSyncBase(doc);
+        setCommentThreads(doc.comments);
+        setPublishRecord(doc);
+        recordWritingProgress(content, reason);
+
+        if (isNew) {
+            currentProjectId = doc.id;
+            currentDocAuthor = doc.author;
+            // Update URL without reloading page to reflect new project ID
+            window.history.replaceState({}, '', `?id=${currentProjectId}`);
+            if (isCollaborating()) joinCollabSession(doc.content);
+        }
+    } catch (err) {
+        console.error('Save failed:', err);
+        hasUnsavedChanges = true;
+        updateSaveStatus('error', err.message);
+        return false;
     }
-    
-    localStorage.setItem('zenoDocs', JSON.stringify(allDocs));
 
-    hasUnsavedChanges = false;
-    updateSaveStatus('saved');
+    if (!hasUnsavedChanges) {
+        updateSaveStatus(savedOffline ? 'offline' : 'saved');
+    }
+    refreshHistoryPanel();
     
     console.log('Document saved successfully');
+    return true;
 }
 
 /**
- * Update save status indicator
+ * Update save status indicator.
+ * An 'error' status keeps the message in the tooltip.
  */
-function updateSaveStatus(status) {
+function updateSaveStatus(status, message) {
     const saveText = document.getElementById('save-text');
     
     // Remove all status classes
-    saveStatus.classList.remove('saving', 'saved', 'unsaved');
+    saveStatus.classList.remove('saving', 'saved', 'offline', 'unsaved', 'error');
+    saveStatus.removeAttribute('title');
     
     if (status === 'saving') {
         saveText.textContent = 'Saving...';
@@ -141,9 +292,17 @@ function updateSaveStatus(status) {
     } else if (status === 'saved') {
         saveText.textContent = 'Saved';
         saveStatus.classList.add('saved');
+    } else if (status === 'offline') {
+        saveText.textContent = 'Saved offline';
+        saveStatus.classList.add('offline');
+        saveStatus.title = 'Your changes are saved on this device and will be sent when you\'re back online.';
     } else if (status === 'unsaved') {
         saveText.textContent = 'Unsaved';
         saveStatus.classList.add('unsaved');
+    } else if (status === 'error') {
+        saveText.textContent = 'Save failed';
+        saveStatus.classList.add('error');
+        saveStatus.title = message || 'Your changes could not be saved.';
     }
 }
 
@@ -154,27 +313,6 @@ function updatePageTitle(title) {
     document.title = `${title} - Draft Docs`;
 }
 
-/**
- * Publishes the current document.
- */
-function publishDocument() {
-    saveDocument(); // Save any pending changes first
-
-    if (!currentProjectId) {
-        // This case should be handled by saveDocument creating an ID, but as a safeguard.
-        alert('Please save the document first before publishing.');
-        return;
-    }
-
-    const allDocs = JSON.parse(localStorage.getItem('zenoDocs') || '{}');
-    const userDocs = allDocs[currentUser] || [];
-    const doc = userDocs.find(d => d.id == currentProjectId);
-
-    doc.published = true;
-    localStorage.setItem('zenoDocs', JSON.stringify(allDocs));
-    alert(`'${doc.title}' has been published! You can see it on the homepage.`);
-}
-
 // ===========================
 // AUTO-SAVE FUNCTIONALITY
 // ===========================
@@ -192,6 +330,26 @@ function initializeAutoSave() {
             }, 300); // Small delay for UX
         }
     }, AUTO_SAVE_INTERVAL);
+
+    // Changes saved offline have been sent to the sync server
+    DocStore.subscribe(function(change) {
+        if (!change.docs) return;
+        const sent = change.docs.find(d => d.author === currentDocAuthor && d.id === String(currentProjectId));
+        if (!sent) return;
+
+        if (change.type === 'synced') {
+            if (savedOffline && !hasUnsavedChanges) updateSaveStatus('saved');
+        } else if (change.type === 'conflict') {
+            // Changed on the server meanwhile (see docs-sync.js)
+            resolveOfflineConflict();
+        } else if (change.type === 'rejected') {
+            // Dropped from the store, so the editor keeps the only copy
+            hasUnsavedChanges = true;
+            updateSaveStatus('error', sent.message);
+            showSyncNotice(`The sync server refused the changes you made offline: ${sent.message}`);
+        }
+        savedOffline = false;
+    });
 }
 
 /**
@@ -200,6 +358,7 @@ function initializeAutoSave() {
 function markAsUnsaved() {
     hasUnsavedChanges = true;
     updateSaveStatus('unsaved');
+    sendCollabChanges();
 }
 
 // ===========================
@@ -212,6 +371,9 @@ function markAsUnsaved() {
 function initializeEditor() {
     // Track changes in editor
     editor.addEventListener('input', markAsUnsaved);
+
+    // Only clean HTML gets pasted
+    editor.addEventListener('paste', handlePaste);
     
     // Track changes in document title
     docTitle.addEventListener('input', function() {
@@ -223,19 +385,42 @@ function initializeEditor() {
     saveBtn.addEventListener('click', function() {
         updateSaveStatus('saving');
         setTimeout(() => {
-            saveDocument();
+            saveDocument('manual');
         }, 300);
     });
 
-    // Publish button
-    publishBtn.addEventListener('click', function() {
-        publishDocument();
-    });
+    const group = 'Document';
+    registerCommand({ id: 'save', title: 'Save', group, keys: ['Mod+S'], run: () => saveBtn.click() });
+    registerCommand({ id: 'newDraft', title: 'New draft', group, run: startNewDraft });
     
     // Focus editor on load
     editor.focus();
 }
 
+/**
+ * Paste sanitized HTML, or plain text when there is no HTML
+ */
+function handlePaste(e) {
+    const clipboard = e.clipboardData;
+    if (!clipboard) return;
+
+    const html = clipboard.getData('text/html');
+    const text = clipboard.getData('text/plain');
+    if (!html && !text) return; // e.g. files: leave to other handlers
+
+    e.preventDefault();
+    if (isSuggesting()) {
+        // Suggestions are plain text (see docs-review.js)
+        recordUndoPoint();
+        insertSuggestedText(text || htmlToText(html));
+    } else if (html) {
+        insertHTMLAtSelection(sanitizeHTML(html));
+    } else {
+        insertTextAtSelection(text);
+    }
+    markAsUnsaved();
+}
+
 // ===========================
 // TOOLBAR FUNCTIONALITY
 // ===========================
@@ -270,32 +455,106 @@ function initializeToolbar() {
     
     // Update active states on selection change
     document.addEventListener('selectionchange', updateToolbarStates);
+
+    // Every formatting action, for shortcuts and the command palette
+    const format = (id, title, keys, run) => registerCommand({
+        id: id, title: title, group: 'Format', keys: keys, scope: 'editor', run: run || (() => executeCommand(id))
+    });
+    format('bold', 'Bold', ['Mod+B']);
+    format('italic', 'Italic', ['Mod+I']);
+    format('underline', 'Underline', ['Mod+U']);
+    format('normalText', 'Normal text', ['Mod+Alt+0'], () => executeCommand('formatBlock', 'p'));
+    format('heading1', 'Heading 1', ['Mod+Alt+1'], () => executeCommand('formatBlock', 'h1'));
+    format('heading2', 'Heading 2', ['Mod+Alt+2'], () => executeCommand('formatBlock', 'h2'));
+    format('heading3', 'Heading 3', ['Mod+Alt+3'], () => executeCommand('formatBlock', 'h3'));
+    format('codeBlock', 'Code block', ['Mod+Alt+C'], () => executeCommand('formatBlock', 'pre'));
+    Object.keys(FONT_SIZES).forEach(size => {
+        format(`fontSize-${size}`, `Text size: ${size[0].toUpperCase()}${size.slice(1)}`, [],
+            () => executeCommand('fontSize', size));
+    });
+    format('justifyLeft', 'Align left', ['Mod+Shift+L']);
+    format('justifyCenter', 'Align center', ['Mod+Shift+E']);
+    format('justifyRight', 'Align right', ['Mod+Shift+R']);
+    format('insertUnorderedList', 'Bullet list', ['Mod+Shift+8']);
+    format('insertOrderedList', 'Numbered list', ['Mod+Shift+7']);
+    format('blockquote', 'Quote', ['Mod+Shift+9']);
+
+    const insert = (id, title, keys) => registerCommand({
+        id: id, title: title, group: 'Insert', keys: keys, scope: 'editor', run: () => executeCommand(id)
+    });
+    insert('insertTable', 'Table', []);
+    insert('insertHorizontalRule', 'Horizontal line', []);
+    insert('insertTableOfContents', 'Table of contents', []);
 }
 
 /**
- * Execute formatting command
+ * Execute formatting command (see docs-commands.js)
  */
 function executeCommand(command, value = null) {
-    document.execCommand(command, false, value);
-    markAsUnsaved();
+    if (runEditorCommand(command, value)) {
+        markAsUnsaved();
+    }
 }
 
 /**
  * Update toolbar button states based on current selection
  */
 function updateToolbarStates() {
-    const commands = ['bold', 'italic', 'underline'];
-    
-    commands.forEach(command => {
-        const button = document.querySelector(`[data-command="${command}"]`);
+    const formats = getActiveFormats();
+    const activeCommands = {
+        bold: formats.bold,
+        italic: formats.italic,
+        underline: formats.underline,
+        justifyLeft: formats.align === 'left',
+        justifyCenter: formats.align === 'center',
+        justifyRight: formats.align === 'right',
+        insertUnorderedList: formats.list === 'ul',
+        insertOrderedList: formats.list === 'ol',
+        blockquote: formats.quote
+    };
+
+    Object.keys(activeCommands).forEach(command => {
+        const button = document.querySelector(`.toolbar-btn[data-command="${command}"]`);
         if (button) {
-            if (document.queryCommandState(command)) {
-                button.classList.add('active');
-            } else {
-                button.classList.remove('active');
-            }
+            button.classList.toggle('active', activeCommands[command]);
         }
     });
+
+    document.getElementById('link-btn').classList.toggle('active', !!formats.link);
+    fontSizeSelect.value = formats.fontSize;
+    formatBlockSelect.value = formats.block;
+}
+
+// ===========================
+// SETTINGS MENU
+// ===========================
+
+/**
+ * Initialize the settings menu in the header (each setting wires up its own control)
+ */
+function initializeSettingsMenu() {
+    const settingsBtn = document.getElementById('settings-btn');
+    const settingsList = document.getElementById('settings-list');
+
+    settingsBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setSettingsMenuOpen(settingsList.hidden);
+    });
+    // Toggling a setting keeps the menu open
+    settingsList.addEventListener('click', e => e.stopPropagation());
+
+    document.addEventListener('click', () => setSettingsMenuOpen(false));
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') setSettingsMenuOpen(false);
+    });
+}
+
+/**
+ * Open or close the settings menu
+ */
+function setSettingsMenuOpen(open) {
+    document.getElementById('settings-list').hidden = !open;
+    document.getElementById('settings-btn').setAttribute('aria-expanded', String(open));
 }
 
 // ===========================
@@ -303,43 +562,33 @@ function updateToolbarStates() {
 // ===========================
 
 /**
- * Initialize keyboard shortcuts
+ * Initialize keyboard shortcuts. Each command's shortcuts are registered
+ * with it (see docs-palette.js), so users can change them.
  */
 function initializeKeyboardShortcuts() {
-    document.addEventListener('keydown', function(e) {
-        // Ctrl/Cmd + B = Bold
-        if ((e.ctrlKey || e.metaKey) && e.key === 'b') {
-            e.preventDefault();
-            executeCommand('bold');
-        }
-        
-        // Ctrl/Cmd + I = Italic
-        if ((e.ctrlKey || e.metaKey) && e.key === 'i') {
-            e.preventDefault();
-            executeCommand('italic');
-        }
-        
-        // Ctrl/Cmd + U = Underline
-        if ((e.ctrlKey || e.metaKey) && e.key === 'u') {
-            e.preventDefault();
-            executeCommand('underline');
-        }
-        
-        // Ctrl/Cmd + S = Save
-        if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-            e.preventDefault();
-            updateSaveStatus('saving');
-            setTimeout(() => {
-                saveDocument();
-            }, 300);
-        }
+    const edit = (id, title, keys, run, scope = 'editor') => registerCommand({
+        id: id, title: title, group: 'Edit', keys: keys, scope: scope, run: run
     });
+    edit('undo', 'Undo', ['Mod+Z'], undo);
+    edit('redo', 'Redo', ['Mod+Shift+Z', 'Mod+Y'], redo);
+    edit('find', 'Find', ['Mod+F'], () => openFindBar(false), 'any');
+    edit('replace', 'Find and replace', ['Mod+H'], () => openFindBar(true), 'any');
+
+    document.addEventListener('keydown', handleShortcutKey);
 }
 
 // ===========================
 // UTILITY FUNCTIONS
 // ===========================
 
+/**
+ * Open a new, blank draft, saving the open one first
+ */
+async function startNewDraft() {
+    if (hasUnsavedChanges && !(await saveDocument('manual'))) return;
+    window.location.href = 'docs.html';
+}
+
 /**
  * Clear all content (for testing)
  */
@@ -347,17 +596,16 @@ function clearDocument() {
     if (confirm('This will start a new, blank document. Are you sure?')) {
         // Instead of clearing, we just redirect to the editor without a project ID
         window.location.href = 'docs.html';
-        // The old logic is not compatible with the project-based system.
-        // A "delete" function would be more appropriate.
+        // Existing drafts are deleted from the dashboard (dashboard.html).
     }
 }
 
 /**
- * Export document as HTML (for future enhancement)
+ * Export document as a standalone HTML page
  */
 function exportAsHTML() {
-    const content = editor.innerHTML;
-    const title = docTitle.value;
+    const content = sanitizeHTML(stripReviewMarkup(editor.innerHTML));
+    const title = escapeHTML(docTitle.value);
     
     const fullHTML = `
 <!DOCTYPE html>
@@ -381,6 +629,15 @@ function exportAsHTML() {
         p { margin-bottom: 12px; }
         ul, ol { margin-left: 24px; margin-bottom: 12px; }
         li { margin-bottom: 6px; }
+        a { color: #1a73e8; }
+        img { max-width: 100%; height: auto; }
+        blockquote { margin: 0 0 12px; padding-left: 16px; border-left: 3px solid #dadce0; color: #5f6368; }
+        pre { background: #f1f3f4; padding: 12px 16px; border-radius: 4px; overflow-x: auto; margin-bottom: 12px; }
+        pre, code { font-family: 'Roboto Mono', Consolas, monospace; font-size: 14px; }
+        hr { border: none; border-top: 1px solid #dadce0; margin: 24px 0; }
+        table { border-collapse: collapse; margin-bottom: 12px; }
+        th, td { border: 1px solid #dadce0; padding: 6px 10px; text-align: left; vertical-align: top; }
+        th { background: #f8f9fa; }
     </style>
 </head>
 <body>
@@ -389,7 +646,7 @@ function exportAsHTML() {
 </html>
     `;
     
-    return fullHTML;
+    return fullHTML.trim();
 }
 
 // ===========================
@@ -0,0 +1,306 @@
+/**
+ * ZENO DRAFT - WRITING STATISTICS
+ * Live word, character and paragraph counts with reading time, a per-document
+ * word goal, and a daily writing log with a streak.
+ *
+ * The log counts words added per day, from the difference in word count
+ * between saves. It is kept with the user's account (Auth.getUserData), so it
+ * covers every document.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Average silent reading speed, in words per minute
+const READING_SPEED = 230;
+const WRITING_LOG_KEY = 'writingLog';
+// Days of writing log kept, and shown in the panel
+const WRITING_LOG_DAYS = 365;
+const WRITING_LOG_SHOWN = 14;
+
+// Letters and digits, allowing inner apostrophes and hyphens ("don't", "e-mail")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// The open document's word goal, or null
+let wordGoal = null;
+// Word count when the document was last loaded or saved, to measure what a save adds
+let savedWordCount = 0;
+let statsUpdateTimer = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the statistics button and panel
+ */
+function initializeStats() {
+    const statsBtn = document.getElementById('stats-btn');
+    const statsPanel = document.getElementById('stats-panel');
+
+    statsBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        setStatsPanelOpen(statsPanel.hidden);
+    });
+    // Clicks inside (e.g. on the goal field) keep the panel open
+    statsPanel.addEventListener('click', e => e.stopPropagation());
+    document.addEventListener('click', () => setStatsPanelOpen(false));
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') setStatsPanelOpen(false);
+    });
+
+    registerCommand({
+        id: 'wordCount', title: 'Word count and goal', group: 'View', keys: ['Mod+Shift+C'],
+        run: () => setStatsPanelOpen(statsPanel.hidden)
+    });
+
+    document.getElementById('word-goal').addEventListener('change', function() {
+        const goal = parseInt(this.value, 10);
+        setWordGoal(goal > 0 ? goal : null);
+        markAsUnsaved();
+    });
+
+    // Any change counts: typing, undo, replace, other tabs and collaborators
+    new MutationObserver(scheduleStatsUpdate)
+        .observe(editor, { childList: true, subtree: true, characterData: true });
+    document.addEventListener('selectionchange', scheduleStatsUpdate);
+
+    updateStats();
+}
+
+/**
+ * Open or close the statistics panel
+ */
+function setStatsPanelOpen(open) {
+    document.getElementById('stats-panel').hidden = !open;
+    document.getElementById('stats-btn').setAttribute('aria-expanded', String(open));
+    if (open) renderWritingLog();
+}
+
+/**
+ * Recount shortly after typing stops
+ */
+function scheduleStatsUpdate() {
+    clearTimeout(statsUpdateTimer);
+    statsUpdateTimer = setTimeout(updateStats, 250);
+}
+
+// ===========================
+// COUNTING
+// ===========================
+
+/**
+ * Number of words in a text
+ */
+function countWords(text) {
+    return (text.match(WORD_PATTERN) || []).length;
+}
+
+/**
+ * The text readers will see: without comments or pending suggestions
+ */
+function getReadableText(html) {
+    return htmlToText(stripReviewMarkup(html));
+}
+
+/**
+ * Counts for a text: { words, characters, paragraphs, minutes }
+ */
+function measureWriting(text) {
+    const words = countWords(text);
+    return {
+        words: words,
+        characters: text.replace(/\n/g, '').length,
+        paragraphs: text.split('\n').filter(line => line.trim()).length,
+        minutes: words / READING_SPEED
+    };
+}
+
+/**
+ * Reading time as text, e.g. "4 min read"
+ */
+function formatReadingTime(minutes) {
+    if (minutes === 0) return '0 min read';
+    return minutes < 1 ? 'Under 1 min read' : `${Math.round(minutes)} min read`;
+}
+
+/**
+ * Update the summary and panel counts
+ */
+function updateStats() {
+    const stats = measureWriting(getReadableText(editor.innerHTML));
+    const range = getEditorRange();
+    const selected = range && !range.collapsed ? measureWriting(range.toString()) : null;
+
+    document.getElementById('stats-summary').textContent = selected
+        ? `${selected.words.toLocaleString()} of ${stats.words.toLocaleString()} words`
+        : `${stats.words.toLocaleString()} ${stats.words === 1 ? 'word' : 'words'}`;
+
+    document.getElementById('stat-words').textContent = stats.words.toLocaleString();
+    document.getElementById('stat-characters').textContent = stats.characters.toLocaleString();
+    document.getElementById('stat-paragraphs').textContent = stats.paragraphs.toLocaleString();
+    document.getElementById('stat-reading').textContent = formatReadingTime(stats.minutes);
+
+    const selection = document.getElementById('stats-selection');
+    selection.hidden = !selected;
+    if (selected) {
+        selection.textContent = `Selection: ${selected.words.toLocaleString()} words, ` +
+            `${selected.characters.toLocaleString()} characters`;
+    }
+
+    updateGoalProgress(stats.words);
+}
+
+// ===========================
+// WORD GOAL
+// ===========================
+
+/**
+ * Set the open document's word goal (null for none)
+ */
+function setWordGoal(goal) {
+    wordGoal = goal || null;
+    document.getElementById('word-goal').value = wordGoal || '';
+    updateStats();
+}
+
+/**
+ * Show progress towards the word goal, celebrating when it is reached
+ */
+function updateGoalProgress(words) {
+    const goalRow = document.getElementById('goal-progress');
+    const bar = document.getElementById('goal-bar-fill');
+    const text = document.getElementById('goal-text');
+    const summary = document.getElementById('stats-btn');
+
+    goalRow.hidden = !wordGoal;
+    if (!wordGoal) {
+        summary.classList.remove('goal-met');
+        return;
+    }
+
+    const reached = words >= wordGoal;
+    bar.style.width = `${Math.min(words / wordGoal, 1) * 100}%`;
+    text.textContent = reached
+        ? `Goal of ${wordGoal.toLocaleString()} words reached`
+        : `${(wordGoal - words).toLocaleString()} words to go`;
+
+    if (reached && !summary.classList.contains('goal-met') && hasUnsavedChanges) {
+        showSyncNotice(`You reached your goal of ${wordGoal.toLocaleString()} words.`);
+    }
+    summary.classList.toggle('goal-met', reached);
+}
+
+// ===========================
+// WRITING LOG
+// ===========================
+
+/**
+ * Local calendar day of a date, as YYYY-MM-DD
+ */
+function dayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start measuring from a document's content (when it is loaded or replaced)
+ */
+function resetWritingBaseline(html) {
+    savedWordCount = countWords(getReadableText(html || ''));
+}
+
+/**
+ * Move the baseline by a change someone else made (another tab or a
+ * collaborator), so it isn't counted as this user's writing
+ */
+function shiftWritingBaseline(beforeHTML, afterHTML) {
+    savedWordCount += countWords(getReadableText(afterHTML)) - countWords(getReadableText(beforeHTML));
+}
+
+/**
+ * Log the words a save added to today's total. Restoring an old version
+ * isn't writing, so it only moves the baseline.
+ */
+function recordWritingProgress(html, reason) {
+    const words = countWords(getReadableText(html));
+    const added = words - savedWordCount;
+    savedWordCount = words;
+    if (added <= 0 || reason === 'restore') return;
+
+    const log = { ...Auth.getUserData(WRITING_LOG_KEY, {}) };
+    const today = dayKey(new Date());
+    log[today] = (log[today] || 0) + added;
+
+    // Forget days that have dropped out of the kept range
+    const oldest = new Date();
+    oldest.setDate(oldest.getDate() - WRITING_LOG_DAYS);
+    Object.keys(log).forEach(day => {
+        if (day < dayKey(oldest)) delete log[day];
+    });
+
+    try {
+        Auth.setUserData(WRITING_LOG_KEY, log);
+    } catch (err) {
+        console.warn('Writing log not saved:', err);
+    }
+    refreshWritingLog();
+}
+
+/**
+ * Consecutive days with writing, up to today. A streak isn't broken until
+ * a whole day passes without writing, so it counts from yesterday if
+ * nothing has been written yet today.
+ */
+function getWritingStreak(log) {
+    const day = new Date();
+    if (!log[dayKey(day)]) day.setDate(day.getDate() - 1);
+
+    let streak = 0;
+    while (log[dayKey(day)] > 0) {
+        streak++;
+        day.setDate(day.getDate() - 1);
+    }
+    return streak;
+}
+
+/**
+ * Re-render the writing log if the panel is open
+ */
+function refreshWritingLog() {
+    if (!document.getElementById('stats-panel').hidden) renderWritingLog();
+}
+
+/**
+ * Render the streak and a bar per recent day
+ */
+function renderWritingLog() {
+    const log = Auth.getUserData(WRITING_LOG_KEY, {});
+    const streak = getWritingStreak(log);
+    const today = log[dayKey(new Date())] || 0;
+
+    document.getElementById('streak-text').textContent = streak > 0
+        ? `${streak}-day writing streak · ${today.toLocaleString()} words today`
+        : 'Write today to start a streak';
+
+    const days = [];
+    for (let i = WRITING_LOG_SHOWN - 1; i >= 0; i--) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        days.push({ date: date, words: log[dayKey(date)] || 0 });
+    }
+    const most = Math.max(1, ...days.map(day => day.words));
+
+    const chart = document.getElementById('streak-chart');
+    chart.innerHTML = '';
+    days.forEach(day => {
+        const bar = document.createElement('span');
+        bar.className = 'streak-bar';
+        if (day.words > 0) bar.classList.add('written');
+        bar.style.height = `${Math.max(day.words / most, 0.06) * 100}%`;
+        bar.title = `${day.date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}: ` +
+            `${day.words.toLocaleString()} words`;
+        chart.appendChild(bar);
+    });
+}
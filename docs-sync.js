@@ -0,0 +1,426 @@
+/**
+ * ZENO DRAFT - MULTI-TAB SYNC
+ * Notices when another tab changes the open document. Clean tabs take the
+ * new version; tabs with unsaved edits merge non-overlapping block changes
+ * or ask the user how to resolve the conflict.
+ * Changes saved offline that the sync server turned down because the
+ * document changed there meanwhile are merged the same way.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// The stored version this tab's content is based on
+let syncBase = null;
+// A remote version waiting for the user to resolve a conflict
+let pendingRemote = null;
+// Whether the editor holds a change saved offline that conflicts with the sync server's copy
+let offlineConflict = false;
+let syncNoticeTimer = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize multi-tab sync
+ */
+function initializeTabSync() {
+    document.getElementById('conflict-mine').addEventListener('click', keepMine);
+    document.getElementById('conflict-theirs').addEventListener('click', useTheirs);
+    document.getElementById('conflict-both').addEventListener('click', keepBoth);
+
+    // Co-edited documents are kept in step by the sync server instead
+    if (isCollaborating()) return;
+
+    DocStore.subscribe(function(change) {
+        if (change.author !== currentUser || change.id !== String(currentProjectId)) return;
+
+        if (change.type === 'delete') {
+            showDeletedNotice();
+        } else {
+            DocStore.getDoc(currentUser, currentProjectId).then(remote => {
+                if (!remote) return;
+                // Publishing and moving don't touch the draft, so they never conflict
+                setPublishRecord(remote);
+                setDocFolder(remote.folderId);
+                handleRemoteChange(remote);
+            });
+        }
+    });
+}
+
+/**
+ * Remember the stored version the editor content is based on
+ */
+function setSyncBase(doc) {
+    syncBase = {
+        title: doc.title,
+        content: doc.content,
+        wordGoal: doc.wordGoal || null,
+        tags: doc.tags || [],
+        modifiedAt: doc.modifiedAt
+    };
+}
+
+/**
+ * Whether a stored document was written by someone else since this tab's base
+ */
+function isStale(doc) {
+    return !!syncBase && doc.modifiedAt !== syncBase.modifiedAt;
+}
+
+/**
+ * Whether saving is on hold until a conflict is resolved
+ */
+function isConflictPending() {
+    return pendingRemote !== null;
+}
+
+// ===========================
+// REMOTE CHANGES
+// ===========================
+
+/**
+ * React to a newer version of the open document written elsewhere
+ * (`where` finishes the messages, as in "changed in another tab")
+ */
+function handleRemoteChange(remote, where = 'in another tab') {
+    if (!isStale(remote)) return;
+
+    if (!hasUnsavedChanges && !isConflictPending()) {
+        applyRemote(remote);
+        return;
+    }
+
+    const merged = mergeDocuments(
+        syncBase,
+        { title: docTitle.value, content: editor.innerHTML },
+        remote
+    );
+
+    if (merged && !isConflictPending()) {
+        applyContent(merged.title, merged.content);
+        setCommentThreads(mergeCommentThreads(remote.comments, commentThreads));
+        // Take the other tab's goal and tags unless they were changed here too
+        if (wordGoal === syncBase.wordGoal) setWordGoal(remote.wordGoal);
+        if (docTags.join('\n') === syncBase.tags.join('\n')) setDocTags(remote.tags);
+        shiftWritingBaseline(syncBase.content, remote.content);
+        setSyncBase(remote);
+        settleOfflineConflict();
+        markAsUnsaved();
+        showSyncNotice(`Merged changes made ${where}.`);
+    } else {
+        showConflictBanner(remote, where);
+    }
+}
+
+/**
+ * Merge a change to the open document saved offline that the sync server
+ * turned down, because the document changed there meanwhile, with the
+ * server's copy (see DocStore.getConflict())
+ */
+async function resolveOfflineConflict() {
+    if (!currentProjectId) return;
+    const conflict = await DocStore.getConflict(currentDocAuthor, currentProjectId);
+    if (!conflict) return;
+
+    const where = 'on the sync server while you were offline';
+    if (!conflict.remote) {
+        // Nothing to merge with: the editor's version can be saved as a new draft
+        await DocStore.discardConflict(currentDocAuthor, currentProjectId);
+        showDeletedNotice(where);
+        return;
+    }
+
+    offlineConflict = true;
+    if (hasCollabSession()) {
+        // Co-editing has already merged the editor with the server's copy
+        settleOfflineConflict();
+        markAsUnsaved();
+    } else {
+        setPublishRecord(conflict.remote);
+        setDocFolder(conflict.remote.folderId);
+        // The editor holds the offline change, made to the copy read before
+        setSyncBase(conflict.base || { title: '', content: '', modifiedAt: null });
+        hasUnsavedChanges = true;
+        handleRemoteChange(conflict.remote, where);
+    }
+}
+
+/**
+ * Once the editor has resolved an offline conflict, let the store forget
+ * the conflicting change (the editor saves the result) and start co-editing
+ * if that waited for it
+ */
+function settleOfflineConflict() {
+    if (!offlineConflict) return;
+    offlineConflict = false;
+
+    const author = currentDocAuthor;
+    const id = currentProjectId;
+    // In the save queue, so the next save isn't held back as part of the conflict
+    saveQueue = saveQueue
+        .then(() => DocStore.discardConflict(author, id))
+        .catch(err => console.warn('Could not clear the offline conflict:', err));
+    resumeCollaboration();
+}
+
+/**
+ * Replace the editor content with a stored version
+ */
+function applyRemote(remote) {
+    applyContent(remote.title || 'Untitled Document', remote.content || '');
+    setCommentThreads(mergeCommentThreads(remote.comments, commentThreads));
+    setWordGoal(remote.wordGoal);
+    setDocTags(remote.tags);
+    resetWritingBaseline(remote.content);
+    // Read content back so the base matches the editor's serialization
+    setSyncBase({ ...remote, title: docTitle.value, content: editor.innerHTML });
+    hasUnsavedChanges = false;
+    updateSaveStatus('saved');
+}
+
+/**
+ * Set editor content and title, keeping the caret roughly in place
+ */
+function applyContent(title, content) {
+    const selection = editor.contains(document.activeElement) || document.activeElement === editor
+        ? getSelectionOffsets()
+        : null;
+
+    // The other tab's change can be undone like any local edit
+    recordUndoPoint();
+    editor.innerHTML = sanitizeHTML(content);
+    docTitle.value = title;
+    updatePageTitle(title);
+
+    if (selection) setSelectionOffsets(selection);
+}
+
+// ===========================
+// THREE-WAY MERGE
+// ===========================
+
+/**
+ * Merge local and remote edits made on top of a common base.
+ * Works block by block (top-level elements); returns null on conflict.
+ */
+function mergeDocuments(base, local, remote) {
+    let title = local.title;
+    if (local.title === base.title) {
+        title = remote.title;
+    } else if (remote.title !== base.title && remote.title !== local.title) {
+        return null;
+    }
+
+    const blocks = mergeBlocks(splitBlocks(base.content), splitBlocks(local.content), splitBlocks(remote.content || ''));
+    if (!blocks) return null;
+
+    return { title: title, content: blocks.join('') };
+}
+
+/**
+ * Split HTML into its top-level blocks
+ */
+function splitBlocks(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const wrapper = document.createElement('div');
+    return Array.from(template.content.childNodes)
+        .map(node => {
+            wrapper.innerHTML = '';
+            wrapper.appendChild(node.cloneNode(true));
+            return wrapper.innerHTML;
+        })
+        .filter(block => block.trim() !== '');
+}
+
+/**
+ * Three-way merge of block lists; null if both sides touch the same blocks
+ */
+function mergeBlocks(base, local, remote) {
+    const hunks = diffHunks(base, local)
+        .concat(diffHunks(base, remote))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    const result = [];
+    let pos = 0;
+    let prev = null;
+
+    for (const hunk of hunks) {
+        if (prev && (hunk.start < prev.end || hunk.start === prev.start)) {
+            // Both sides made the same change: take it once
+            if (hunk.start === prev.start && hunk.end === prev.end && hunk.blocks.join('') === prev.blocks.join('')) {
+                continue;
+            }
+            return null;
+        }
+
+        result.push(...base.slice(pos, hunk.start), ...hunk.blocks);
+        pos = hunk.end;
+        prev = hunk;
+    }
+    result.push(...base.slice(pos));
+
+    return result;
+}
+
+/**
+ * Describe how `other` differs from `base` as replaced ranges of base blocks
+ */
+function diffHunks(base, other) {
+    const hunks = [];
+    let index = 0;
+    let current = null;
+
+    myersDiff(base, other).forEach(op => {
+        if (op.type === 'equal') {
+            if (current) hunks.push(current);
+            current = null;
+            index++;
+            return;
+        }
+
+        if (!current) current = { start: index, end: index, blocks: [] };
+        if (op.type === 'delete') {
+            current.end++;
+            index++;
+        } else {
+            current.blocks.push(op.value);
+        }
+    });
+    if (current) hunks.push(current);
+
+    return hunks;
+}
+
+// ===========================
+// CONFLICT RESOLUTION
+// ===========================
+
+/**
+ * Show the conflict banner and hold saving until the user picks a version
+ */
+function showConflictBanner(remote, where = 'in another tab') {
+    pendingRemote = remote;
+    setBanner(`This document was changed ${where}. Which version do you want to keep?`, true);
+    updateSaveStatus('unsaved');
+}
+
+/**
+ * Keep this tab's version, overwriting the other tab's changes
+ */
+function keepMine() {
+    if (!pendingRemote) return;
+
+    setSyncBase(pendingRemote);
+    pendingRemote = null;
+    settleOfflineConflict();
+    hideBanner();
+    saveDocument('manual');
+}
+
+/**
+ * Discard this tab's changes and load the other tab's version
+ */
+function useTheirs() {
+    if (!pendingRemote) return;
+
+    const remote = pendingRemote;
+    pendingRemote = null;
+    hideBanner();
+    applyRemote(remote);
+    settleOfflineConflict();
+}
+
+/**
+ * Save this tab's version as a separate draft, then load the other tab's version
+ */
+async function keepBoth() {
+    if (!pendingRemote) return;
+
+    // This tab's version with the document's other fields, as a new draft
+    // of its own: not published or shared, and without the history
+    const now = new Date().toISOString();
+    const copy = {
+        ...pendingRemote,
+        id: DocStore.createId(),
+        title: `${docTitle.value} (conflicted copy)`,
+        content: editor.innerHTML,
+        author: currentUser,
+        createdAt: now,
+        modifiedAt: now,
+        comments: commentThreads,
+        wordGoal: wordGoal,
+        tags: docTags,
+        folderId: docFolderId,
+        published: false,
+        publication: null,
+        collaborators: [],
+        history: [],
+        historyImages: {}
+    };
+
+    try {
+        await DocStore.putDoc(copy);
+    } catch (err) {
+        updateSaveStatus('error', err.message);
+        return;
+    }
+
+    const remote = pendingRemote;
+    pendingRemote = null;
+    applyRemote(remote);
+    settleOfflineConflict();
+    showSyncNotice(`Your version was saved as '${copy.title}'.`, `docs.html?id=${encodeURIComponent(copy.id)}`);
+}
+
+/**
+ * The open document was deleted elsewhere; offer to keep it as a new draft
+ */
+function showDeletedNotice(where = 'in another tab') {
+    currentProjectId = null;
+    syncBase = null;
+    window.history.replaceState({}, '', 'docs.html');
+    markAsUnsaved();
+    showSyncNotice(`This document was deleted ${where}. Saving will create a new draft.`);
+}
+
+// ===========================
+// BANNER
+// ===========================
+
+/**
+ * Show a short-lived message in the sync banner, with an optional link
+ */
+function showSyncNotice(message, href) {
+    setBanner(message, false, href);
+    clearTimeout(syncNoticeTimer);
+    syncNoticeTimer = setTimeout(hideBanner, 8000);
+}
+
+/**
+ * Fill in the sync banner
+ */
+function setBanner(message, withActions, href) {
+    const banner = document.getElementById('conflict-banner');
+    const link = document.getElementById('conflict-link');
+
+    clearTimeout(syncNoticeTimer);
+    document.getElementById('conflict-text').textContent = message;
+    document.getElementById('conflict-actions').hidden = !withActions;
+    link.hidden = !href;
+    if (href) link.href = href;
+    banner.hidden = false;
+}
+
+/**
+ * Hide the sync banner
+ */
+function hideBanner() {
+    if (isConflictPending()) return;
+    document.getElementById('conflict-banner').hidden = true;
+}
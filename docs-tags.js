@@ -0,0 +1,125 @@
+/**
+ * ZENO DRAFT - TAGS
+ * Tags under the document title. They are saved with the draft and copied
+ * into the published version, where the homepage gallery filters by them.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// The open document's tags, normalized (see normalizeTag())
+let docTags = [];
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the tag field
+ */
+function initializeTags() {
+    const input = document.getElementById('tag-input');
+
+    input.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag(this.value);
+        } else if (e.key === 'Backspace' && !this.value && docTags.length > 0) {
+            removeTag(docTags[docTags.length - 1]);
+        }
+    });
+    // A tag typed but not confirmed is still added
+    input.addEventListener('blur', function() {
+        if (this.value.trim()) addTag(this.value);
+    });
+
+    document.getElementById('doc-tags').addEventListener('click', function(e) {
+        const remove = e.target.closest('[data-remove-tag]');
+        if (remove) removeTag(remove.getAttribute('data-remove-tag'));
+    });
+
+    registerCommand({ id: 'addTag', title: 'Add a tag', group: 'Document', run: () => input.focus() });
+    renderTags();
+}
+
+// ===========================
+// TAGS
+// ===========================
+
+/**
+ * A tag as stored: lowercase words joined by hyphens, or '' if nothing is left
+ */
+function normalizeTag(text) {
+    return text.trim().toLowerCase()
+        .replace(/^#+/, '')
+        .replace(/[^\p{L}\p{N}\s-]/gu, '')
+        .replace(/[\s-]+/g, '-')
+        .slice(0, MAX_TAG_LENGTH)
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Set the open document's tags (e.g. when it loads)
+ */
+function setDocTags(tags) {
+    docTags = Array.isArray(tags) ? tags.slice(0, MAX_TAGS) : [];
+    renderTags();
+}
+
+/**
+ * Add a tag typed into the tag field
+ */
+function addTag(text) {
+    const input = document.getElementById('tag-input');
+    const tag = normalizeTag(text);
+    input.value = '';
+    if (!tag || docTags.includes(tag)) return;
+
+    if (docTags.length >= MAX_TAGS) {
+        showSyncNotice(`A document can have up to ${MAX_TAGS} tags.`);
+        return;
+    }
+    docTags = docTags.concat(tag);
+    renderTags();
+    markAsUnsaved();
+}
+
+/**
+ * Remove one of the open document's tags
+ */
+function removeTag(tag) {
+    docTags = docTags.filter(t => t !== tag);
+    renderTags();
+    markAsUnsaved();
+    document.getElementById('tag-input').focus();
+}
+
+/**
+ * Show the tags as chips before the tag field
+ */
+function renderTags() {
+    const container = document.getElementById('doc-tags');
+    const input = document.getElementById('tag-input');
+    container.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+
+    docTags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = tag;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tag-remove';
+        remove.setAttribute('data-remove-tag', tag);
+        remove.setAttribute('aria-label', `Remove tag ${tag}`);
+        remove.innerHTML = '&times;';
+        chip.appendChild(remove);
+
+        container.insertBefore(chip, input);
+    });
+
+    input.hidden = docTags.length >= MAX_TAGS;
+}
@@ -0,0 +1,40 @@
+/**
+ * ZENO DRAFT - EDITOR TEMPLATES
+ * "New from template" and "Save as template" in the editor (see
+ * template-chooser.js). New drafts are filled from their template in
+ * loadDocument().
+ */
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the template button, chooser and commands
+ */
+function initializeTemplates() {
+    initializeTemplateChooser({
+        // Keep the open draft before leaving it
+        beforeLeave: async () => {
+            if (hasUnsavedChanges) await saveDocument('manual');
+        },
+        getDraft: () => ({
+            title: docTitle.value,
+            // Templates never carry comments or pending suggestions
+            content: sanitizeHTML(stripReviewMarkup(editor.innerHTML)),
+            tags: docTags.slice()
+        }),
+        // New drafts go next to the open one
+        getFolderId: () => docFolderId
+    });
+
+    document.getElementById('template-btn').addEventListener('click', openTemplateChooser);
+
+    const group = 'Document';
+    registerCommand({ id: 'newFromTemplate', title: 'New from template…', group, run: openTemplateChooser });
+    registerCommand({
+        id: 'saveAsTemplate', title: 'Save as template…', group,
+        // Show the new template among the others
+        run: () => openTemplateChooser().then(saveDraftAsTemplate)
+    });
+}
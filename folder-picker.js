@@ -0,0 +1,118 @@
+/**
+ * ZENO DRAFT - FOLDER PICKER
+ * The "Move to folder" dialog shared by the dashboard and the editor. It
+ * shows the folder tree (see folders.js) and can create a folder inside the
+ * chosen one.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const folderDialog = document.getElementById('folder-dialog');
+const folderPickerList = document.getElementById('folder-picker-list');
+
+// The chosen folder, and what to do with it once confirmed
+let pickedFolderId = null;
+let onFolderPicked = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the folder picker
+ */
+function initializeFolderPicker() {
+    document.getElementById('folder-close').addEventListener('click', closeFolderPicker);
+    document.getElementById('folder-cancel').addEventListener('click', closeFolderPicker);
+    document.getElementById('folder-new').addEventListener('click', createPickerFolder);
+    document.getElementById('folder-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        const pick = onFolderPicked;
+        closeFolderPicker();
+        if (pick) pick(pickedFolderId);
+    });
+
+    folderPickerList.addEventListener('click', function(e) {
+        const option = e.target.closest('[data-folder]');
+        if (option) pickFolder(option.getAttribute('data-folder'));
+    });
+
+    folderDialog.addEventListener('mousedown', function(e) {
+        if (e.target === folderDialog) closeFolderPicker();
+    });
+    folderDialog.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') closeFolderPicker();
+    });
+}
+
+// ===========================
+// DIALOG
+// ===========================
+
+/**
+ * Ask for a folder, starting from the given one. onPick(folderId) runs
+ * once the user confirms.
+ */
+function openFolderPicker(folderId, onPick, heading = 'Move to folder') {
+    onFolderPicked = onPick;
+    document.getElementById('folder-title').textContent = heading;
+    renderFolderPicker(Folders.resolve(folderId));
+
+    folderDialog.hidden = false;
+    const chosen = folderPickerList.querySelector('[aria-pressed="true"]');
+    if (chosen) chosen.focus();
+}
+
+/**
+ * Close the picker without moving anything
+ */
+function closeFolderPicker() {
+    onFolderPicked = null;
+    folderDialog.hidden = true;
+}
+
+/**
+ * List the folder tree with one folder chosen
+ */
+function renderFolderPicker(chosenId) {
+    folderPickerList.innerHTML = '';
+    Folders.getTree().forEach(folder => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'folder-option';
+        option.setAttribute('data-folder', folder.id);
+        option.style.paddingLeft = `${12 + folder.depth * 20}px`;
+        option.textContent = folder.name;
+
+        const item = document.createElement('li');
+        item.appendChild(option);
+        folderPickerList.appendChild(item);
+    });
+    pickFolder(chosenId);
+}
+
+/**
+ * Choose a folder in the list
+ */
+function pickFolder(id) {
+    pickedFolderId = id;
+    folderPickerList.querySelectorAll('[data-folder]').forEach(option => {
+        option.setAttribute('aria-pressed', String(option.getAttribute('data-folder') === id));
+    });
+}
+
+/**
+ * Create a folder inside the chosen one and choose it
+ */
+function createPickerFolder() {
+    const name = prompt('New folder name:');
+    if (name === null) return;
+
+    try {
+        const folder = Folders.create(name, pickedFolderId);
+        renderFolderPicker(folder.id);
+    } catch (err) {
+        alert(err.message);
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * ZENO DRAFT - FOLDERS
+ * The signed-in user's folder tree, kept with their account (see
+ * Auth.getUserData). Folders nest through `parentId`; the root folder
+ * ("My Drafts", DocStore.ROOT_FOLDER) is built in and can't be changed.
+ *
+ * Documents name their folder in `folderId`. A folder that no longer exists
+ * (deleted, or from a backup made elsewhere) counts as the root, see
+ * resolve(). So does a folder's parent that doesn't exist or would put the
+ * folder inside itself (see placeInTree()).
+ */
+
+const Folders = (function() {
+    const FOLDERS_KEY = 'folders';
+    const MAX_NAME_LENGTH = 60;
+    const ROOT = { id: DocStore.ROOT_FOLDER, name: 'My Drafts', parentId: null };
+
+    // ===========================
+    // READING
+    // ===========================
+
+    /**
+     * The user's own folders: [{ id, name, parentId }]
+     */
+    function readFolders() {
+        return placeInTree(Auth.getUserData(FOLDERS_KEY, []));
+    }
+
+    /**
+     * Folders with every parent that is missing, or would put the folder
+     * inside itself, replaced by the root
+     */
+    function placeInTree(folders) {
+        const byId = new Map(folders.map(folder => [folder.id, folder]));
+        const isPlaced = folder => {
+            if (folder.parentId === ROOT.id) return true;
+            if (!byId.has(folder.parentId)) return false;
+            // Inside itself if following its parents comes back to it
+            const seen = new Set();
+            let parentId = folder.parentId;
+            while (byId.has(parentId) && !seen.has(parentId)) {
+                if (parentId === folder.id) return false;
+                seen.add(parentId);
+                parentId = byId.get(parentId).parentId;
+            }
+            return true;
+        };
+        return folders.map(folder => (isPlaced(folder) ? folder : { ...folder, parentId: ROOT.id }));
+    }
+
+    /**
+     * Every folder, the root first
+     */
+    function list() {
+        return [ROOT].concat(readFolders());
+    }
+
+    /**
+     * One folder by id, or null
+     */
+    function get(id) {
+        return list().find(folder => folder.id === id) || null;
+    }
+
+    /**
+     * A folder id that exists: the one given, or the root's
+     */
+    function resolve(id) {
+        return get(id) ? id : ROOT.id;
+    }
+
+    /**
+     * A folder's direct subfolders, by name
+     */
+    function getChildren(id) {
+        return readFolders()
+            .filter(folder => resolve(folder.parentId) === id && folder.id !== id)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    }
+
+    /**
+     * The folders from the root down to this one
+     */
+    function getPath(id) {
+        const path = [];
+        const seen = new Set();
+        let folder = get(resolve(id));
+        while (folder && !seen.has(folder.id)) {
+            seen.add(folder.id);
+            path.unshift(folder);
+            folder = folder.id === ROOT.id ? null : get(resolve(folder.parentId));
+        }
+        return path;
+    }
+
+    /**
+     * Every folder in tree order, each with its `depth` (the root's is 0)
+     */
+    function getTree() {
+        const tree = [];
+        const visit = (folder, depth) => {
+            tree.push({ ...folder, depth: depth });
+            getChildren(folder.id).forEach(child => visit(child, depth + 1));
+        };
+        visit(ROOT, 0);
+        return tree;
+    }
+
+    /**
+     * A folder's id and the ids of every folder inside it
+     */
+    function getDescendantIds(id) {
+        const ids = [id];
+        getChildren(id).forEach(child => ids.push(...getDescendantIds(child.id)));
+        return ids;
+    }
+
+    // ===========================
+    // CHANGES
+    // ===========================
+
+    /**
+     * A folder name as stored; throws if there is nothing left of it
+     */
+    function cleanName(name) {
+        const clean = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+        if (!clean) throw new Error('A folder needs a name.');
+        return clean;
+    }
+
+    /**
+     * Create a folder inside another. Returns the new folder.
+     */
+    function create(name, parentId) {
+        const folder = { id: DocStore.createId(), name: cleanName(name), parentId: resolve(parentId) };
+        Auth.setUserData(FOLDERS_KEY, readFolders().concat(folder));
+        return folder;
+    }
+
+    /**
+     * Rename a folder
+     */
+    function rename(id, name) {
+        if (id === ROOT.id) throw new Error(`'${ROOT.name}' can't be renamed.`);
+        const clean = cleanName(name);
+        Auth.setUserData(FOLDERS_KEY, readFolders().map(folder =>
+            folder.id === id ? { ...folder, name: clean } : folder
+        ));
+    }
+
+    /**
+     * Delete a folder and every folder inside it. Returns their ids, so
+     * their documents can be dealt with.
+     */
+    function remove(id) {
+        if (id === ROOT.id) throw new Error(`'${ROOT.name}' can't be deleted.`);
+        const ids = getDescendantIds(id);
+        Auth.setUserData(FOLDERS_KEY, readFolders().filter(folder => !ids.includes(folder.id)));
+        return ids;
+    }
+
+    /**
+     * Add folders (e.g. from a backup) that aren't already here. One whose
+     * parent is neither here nor among them, or would make a loop, goes in
+     * the root.
+     */
+    function addMissing(folders) {
+        const current = readFolders();
+        const known = new Set(list().map(folder => folder.id));
+        const added = [];
+        (folders || []).forEach(folder => {
+            if (!folder || typeof folder.id !== 'string' || typeof folder.name !== 'string' ||
+                !folder.name.trim() || known.has(folder.id)) return;
+            known.add(folder.id);
+            added.push({ id: folder.id, name: cleanName(folder.name), parentId: folder.parentId || ROOT.id });
+        });
+
+        if (added.length > 0) Auth.setUserData(FOLDERS_KEY, placeInTree(current.concat(added)));
+        return added.length;
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+    return {
+        /** Every folder, the root first: [{ id, name, parentId }] */
+        list: list,
+        /** One folder by id, or null */
+        get: get,
+        /** The id given if that folder exists, otherwise the root's */
+        resolve: resolve,
+        /** A folder's direct subfolders */
+        getChildren: getChildren,
+        /** The folders from the root down to this one */
+        getPath: getPath,
+        /** Every folder in tree order, with its depth */
+        getTree: getTree,
+        /** A folder's id and the ids of all folders inside it */
+        getDescendantIds: getDescendantIds,
+        /** Create a folder: create(name, parentId) */
+        create: create,
+        /** Rename a folder */
+        rename: rename,
+        /** Delete a folder and its subfolders; returns their ids */
+        remove: remove,
+        /** Add folders that aren't already here (from a backup) */
+        addMissing: addMissing
+    };
+})();
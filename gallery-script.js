@@ -0,0 +1,259 @@
+/**
+ * ZENO DRAFT - PROJECT GALLERY
+ * The homepage's cards for published documents, with search over titles,
+ * text and tags, tag and author filters, two sort orders, and pages.
+ *
+ * Only the current page's cards are built, and each published version's
+ * text is extracted once (see getProjectText()), so a large store stays fast.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const projectsGrid = document.getElementById('projects-grid');
+const noProjectsMsg = document.getElementById('no-projects-msg');
+const gallerySearch = document.getElementById('gallery-search');
+const galleryTag = document.getElementById('gallery-tag');
+const galleryAuthor = document.getElementById('gallery-author');
+const gallerySort = document.getElementById('gallery-sort');
+
+const PROJECTS_PER_PAGE = 12;
+// Longest description taken from a document's opening lines
+const EXCERPT_LENGTH = 160;
+// Reading speed and what counts as a word, as in docs-stats.js
+const READING_SPEED = 230;
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+const PROJECT_SORTERS = {
+    newest: (a, b) => getPublishDate(b).localeCompare(getPublishDate(a)),
+    updated: (a, b) => (b.publication.updatedAt || '').localeCompare(a.publication.updatedAt || '')
+};
+
+// Every published document as { doc, publication }, as last loaded
+let publicProjects = [];
+// Extracted text of each published version, by author and id
+const projectTexts = new Map();
+let galleryPage = 1;
+let gallerySearchTimer = null;
+
+// ===========================
+// INITIALIZATION
+// ===========================
+document.addEventListener('DOMContentLoaded', function() {
+    gallerySearch.addEventListener('input', function() {
+        clearTimeout(gallerySearchTimer);
+        gallerySearchTimer = setTimeout(() => showGalleryPage(1), 150);
+    });
+    [galleryTag, galleryAuthor, gallerySort].forEach(select => {
+        select.addEventListener('change', () => showGalleryPage(1));
+    });
+    document.getElementById('gallery-prev').addEventListener('click', () => turnGalleryPage(-1));
+    document.getElementById('gallery-next').addEventListener('click', () => turnGalleryPage(1));
+
+    // A tag on a card shows every project with that tag
+    projectsGrid.addEventListener('click', function(e) {
+        const tag = e.target.closest('[data-tag]');
+        if (!tag) return;
+        e.preventDefault();
+        galleryTag.value = tag.getAttribute('data-tag');
+        showGalleryPage(1);
+    });
+
+    loadProjects();
+    // Pick up documents published or changed in other tabs
+    DocStore.subscribe(loadProjects);
+});
+
+// ===========================
+// LOADING
+// ===========================
+
+/**
+ * Load every published document and refresh the gallery
+ */
+async function loadProjects() {
+    const docs = await DocStore.listPublishedDocs();
+    publicProjects = docs.map(doc => ({ doc: doc, publication: DocStore.getPublication(doc) }));
+
+    const tags = new Set();
+    publicProjects.forEach(project => (project.publication.tags || []).forEach(tag => tags.add(tag)));
+    setFilterOptions(galleryTag, 'All tags', Array.from(tags));
+    setFilterOptions(galleryAuthor, 'All authors', Array.from(new Set(docs.map(doc => doc.author))));
+
+    renderGallery();
+}
+
+/**
+ * Fill a filter with sorted options, keeping its choice if it still exists
+ */
+function setFilterOptions(select, allLabel, values) {
+    const current = select.value;
+    select.innerHTML = '';
+    select.add(new Option(allLabel, ''));
+    values.sort((a, b) => a.localeCompare(b)).forEach(value => select.add(new Option(value, value)));
+    select.value = values.includes(current) ? current : '';
+}
+
+/**
+ * A published version's text, extracted once:
+ * { search (lowercase, with title and tags), paragraph (the first), words }
+ */
+function getProjectText(project) {
+    const { doc, publication } = project;
+    const key = `${doc.author}/${doc.id}`;
+    const cached = projectTexts.get(key);
+    if (cached && cached.version === publication.updatedAt) return cached;
+
+    const template = document.createElement('template');
+    template.innerHTML = publication.content || '';
+    // Keep the words of neighbouring blocks apart
+    template.content.querySelectorAll('p, li, h1, h2, h3, pre, blockquote, td, th, br').forEach(el => el.after(' '));
+
+    const text = template.content.textContent.replace(/\s+/g, ' ').trim();
+    const paragraph = Array.from(template.content.querySelectorAll('p'))
+        .map(p => p.textContent.replace(/\s+/g, ' ').trim())
+        .find(line => line) || '';
+
+    const entry = {
+        version: publication.updatedAt,
+        search: [publication.title || '', text, (publication.tags || []).join(' ')].join(' ').toLowerCase(),
+        paragraph: paragraph,
+        words: (text.match(WORD_PATTERN) || []).length
+    };
+    projectTexts.set(key, entry);
+    return entry;
+}
+
+// ===========================
+// FILTERING
+// ===========================
+
+/**
+ * The projects matching the search and filters, in the chosen order
+ */
+function getVisibleProjects() {
+    const terms = gallerySearch.value.toLowerCase().split(/\s+/).filter(term => term);
+    const tag = galleryTag.value;
+    const author = galleryAuthor.value;
+
+    return publicProjects
+        .filter(project => !tag || (project.publication.tags || []).includes(tag))
+        .filter(project => !author || project.doc.author === author)
+        .filter(project => terms.length === 0 || matchesSearch(project, terms))
+        .sort(PROJECT_SORTERS[gallerySort.value]);
+}
+
+/**
+ * Whether a project contains every search term
+ */
+function matchesSearch(project, terms) {
+    const text = getProjectText(project).search;
+    return terms.every(term => text.includes(term));
+}
+
+/**
+ * When a published version went live
+ */
+function getPublishDate(project) {
+    return project.publication.publishAt || project.publication.publishedAt || '';
+}
+
+// ===========================
+// RENDERING
+// ===========================
+
+/**
+ * Show one page of the gallery
+ */
+function showGalleryPage(page) {
+    galleryPage = page;
+    renderGallery();
+}
+
+/**
+ * Go to the previous (-1) or next (1) page, back at the top of the gallery
+ */
+function turnGalleryPage(step) {
+    showGalleryPage(galleryPage + step);
+    document.getElementById('projects').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Render the current page of matching projects and the page controls
+ */
+function renderGallery() {
+    const visible = getVisibleProjects();
+    const pageCount = Math.max(1, Math.ceil(visible.length / PROJECTS_PER_PAGE));
+    galleryPage = Math.min(Math.max(galleryPage, 1), pageCount);
+    const start = (galleryPage - 1) * PROJECTS_PER_PAGE;
+
+    projectsGrid.querySelectorAll('.project-card').forEach(card => card.remove());
+    visible.slice(start, start + PROJECTS_PER_PAGE).forEach(project => {
+        projectsGrid.appendChild(createProjectCard(project));
+    });
+
+    noProjectsMsg.hidden = visible.length > 0;
+    noProjectsMsg.textContent = publicProjects.length > 0
+        ? 'No projects match your search.'
+        : 'No public projects yet. Publish your draft to see it here!';
+
+    document.getElementById('gallery-pages').hidden = pageCount <= 1;
+    document.getElementById('gallery-page-info').textContent = `Page ${galleryPage} of ${pageCount}`;
+    document.getElementById('gallery-prev').disabled = galleryPage <= 1;
+    document.getElementById('gallery-next').disabled = galleryPage >= pageCount;
+}
+
+/**
+ * Build the card for one project
+ */
+function createProjectCard(project) {
+    const { doc, publication } = project;
+    const text = getProjectText(project);
+    const date = gallerySort.value === 'updated'
+        ? `Updated ${formatDate(publication.updatedAt)}`
+        : formatDate(getPublishDate(project));
+    const excerpt = publication.excerpt || shortenText(text.paragraph);
+    const tags = (publication.tags || []).map(tag =>
+        `<span class="project-tag" data-tag="${escapeHTML(tag)}">#${escapeHTML(tag)}</span>`
+    ).join('');
+
+    const card = document.createElement('a');
+    card.href = DocStore.getPublicPath(doc);
+    card.className = 'feature-card project-card';
+    card.innerHTML = `
+        <h3 class="feature-title">${escapeHTML(publication.title || 'Untitled Project')}</h3>
+        <p class="project-meta">By ${escapeHTML(doc.author)} · ${escapeHTML(date)} · ${formatReadingTime(text.words)}</p>
+        ${excerpt ? `<p class="feature-description">${escapeHTML(excerpt)}</p>` : ''}
+        ${tags ? `<div class="project-tags">${tags}</div>` : ''}
+    `;
+    return card;
+}
+
+/**
+ * Cut text to the excerpt length at a word boundary
+ */
+function shortenText(text) {
+    if (text.length <= EXCERPT_LENGTH) return text;
+    const cut = text.lastIndexOf(' ', EXCERPT_LENGTH);
+    return text.slice(0, cut > 0 ? cut : EXCERPT_LENGTH) + '…';
+}
+
+/**
+ * Reading time for a number of words, e.g. "4 min read"
+ */
+function formatReadingTime(words) {
+    const minutes = words / READING_SPEED;
+    return minutes < 1 ? 'Under 1 min read' : `${Math.round(minutes)} min read`;
+}
+
+/**
+ * Format an ISO timestamp for display
+ */
+function formatDate(isoString) {
+    if (!isoString) return 'unknown';
+    return new Date(isoString).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}
@@ -0,0 +1,370 @@
+/**
+ * ZENO DRAFT - WRITING CHECKS ENGINE
+ * The spelling, grammar and house style rules behind docs-lint.js. It runs
+ * in a Web Worker, so checking a long document never holds up typing, and
+ * nothing leaves the browser.
+ *
+ * The spelling rule checks every lowercase word against an English word
+ * list (words-en.txt, loaded once on start) and the user's dictionary.
+ * Capitalized words are taken for names and left alone.
+ *
+ * Rules are registered with defineRule() and check one paragraph at a time:
+ * check(text, settings) returns issues as { start, end, message, fixes },
+ * with offsets into the paragraph and fixes as replacement texts. A new rule
+ * needs nothing more than a defineRule() call here.
+ *
+ * Messages from the page:
+ *   { type: 'configure', settings }             - the user's settings (see docs-lint.js)
+ *   { type: 'lint', generation, paragraphs }    - paragraph texts to check
+ * Replies:
+ *   { type: 'rules', rules }                    - every rule, once on start
+ *   { type: 'lint', generation, paragraphs, results } - each paragraph's issues
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Every rule: { id, title, description, category, check }
+const RULES = [];
+
+// The user's settings, with the parts the rules need prepared
+let settings = { rules: {}, maxSentenceWords: 30, terms: [], dictionary: [] };
+let dictionary = new Set();
+let termPatterns = [];
+
+// Every word in words-en.txt, mapped to its place there (the most common
+// come first). Empty if it couldn't be loaded.
+const knownWords = new Map();
+const wordsLoaded = loadWords();
+
+// A word: letters and digits, with apostrophes inside ("don't")
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Frequent misspellings and their corrections
+const COMMON_MISSPELLINGS = {
+    accomodate: 'accommodate', accross: 'across', acheive: 'achieve', adress: 'address',
+    agressive: 'aggressive', alot: 'a lot', apparantly: 'apparently', arguement: 'argument',
+    basicly: 'basically', begining: 'beginning', beleive: 'believe', belive: 'believe',
+    calender: 'calendar', catagory: 'category', commited: 'committed', comming: 'coming',
+    concious: 'conscious', definately: 'definitely', definatly: 'definitely', dependant: 'dependent',
+    desparate: 'desperate', develope: 'develop', diffrent: 'different', dissapoint: 'disappoint',
+    embarass: 'embarrass', enviroment: 'environment', existance: 'existence', experiance: 'experience',
+    familar: 'familiar', finaly: 'finally', foriegn: 'foreign', freind: 'friend', goverment: 'government',
+    gaurd: 'guard', happend: 'happened', harrass: 'harass', heigth: 'height', immediatly: 'immediately',
+    independant: 'independent', interupt: 'interrupt', knowlege: 'knowledge', lenght: 'length',
+    liason: 'liaison', libary: 'library', maintainance: 'maintenance', millenium: 'millennium',
+    mispell: 'misspell', neccessary: 'necessary', necessery: 'necessary', noticable: 'noticeable',
+    occassion: 'occasion', occured: 'occurred', occurence: 'occurrence', occuring: 'occurring',
+    paralell: 'parallel', persistant: 'persistent', posession: 'possession', prefered: 'preferred',
+    propably: 'probably', publically: 'publicly', realy: 'really', recieve: 'receive',
+    recieved: 'received', recomend: 'recommend', refered: 'referred', relevent: 'relevant',
+    remeber: 'remember', repitition: 'repetition', resistence: 'resistance', responsability: 'responsibility',
+    seperate: 'separate', seperately: 'separately', sieze: 'seize', similiar: 'similar',
+    succesful: 'successful', successfull: 'successful', supercede: 'supersede', suprise: 'surprise',
+    teh: 'the', tendancy: 'tendency', threshhold: 'threshold', tommorow: 'tomorrow', tomorow: 'tomorrow',
+    truely: 'truly', untill: 'until', wich: 'which', wierd: 'weird', writting: 'writing'
+};
+
+// Contractions that aren't a known word plus "n't" or "'s"
+const CONTRACTIONS = ["ain't", "can't", "o'clock", "shan't", "won't"];
+
+// Letters tried when looking for the word a misspelling was meant to be
+const SUGGESTION_LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+
+// Past participles that don't end in -ed
+const IRREGULAR_PARTICIPLES = [
+    'beaten', 'begun', 'bitten', 'blown', 'broken', 'brought', 'built', 'bought', 'caught', 'chosen',
+    'done', 'drawn', 'driven', 'eaten', 'fallen', 'felt', 'forbidden', 'forgotten', 'forgiven', 'found',
+    'frozen', 'given', 'grown', 'heard', 'held', 'hidden', 'hit', 'hurt', 'kept', 'known', 'laid', 'led',
+    'left', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'read', 'run', 'said', 'seen', 'sent', 'set',
+    'shown', 'shut', 'sold', 'spent', 'spoken', 'stolen', 'struck', 'taken', 'taught', 'thought',
+    'thrown', 'told', 'understood', 'won', 'worn', 'written'
+];
+
+// Words ending in -ed that aren't participles
+const NOT_PARTICIPLES = ['bed', 'bled', 'embed', 'feed', 'hundred', 'indeed', 'need', 'red', 'seed', 'shed', 'speed', 'sped'];
+
+// Words that are often doubled on purpose ("had had", "that that")
+const ALLOWED_REPEATS = ['had', 'that'];
+
+// ===========================
+// ENGINE
+// ===========================
+
+/**
+ * Register a rule: { id, title, description, category, check(text, settings) }.
+ * The category ('spelling', 'grammar' or 'style') decides how its issues
+ * are underlined.
+ */
+function defineRule(rule) {
+    RULES.push(rule);
+}
+
+/**
+ * Load the word list. Until it is in, nothing is checked; without it the
+ * spelling rule falls back to common misspellings and typos.
+ */
+async function loadWords() {
+    try {
+        const response = await fetch('words-en.txt');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const text = await response.text();
+        text.split('\n').forEach(line => {
+            if (line && !line.startsWith('#')) knownWords.set(line, knownWords.size);
+        });
+    } catch (err) {
+        console.warn('Word list not loaded, so spelling only knows common misspellings:', err);
+    }
+}
+
+/**
+ * Whether the user has the rule turned on (every rule is, until turned off)
+ */
+function isRuleEnabled(rule) {
+    return settings.rules[rule.id] !== false;
+}
+
+/**
+ * Every issue in one paragraph, in text order, each with its rule and category
+ */
+function lintParagraph(text) {
+    const issues = [];
+    RULES.filter(isRuleEnabled).forEach(rule => {
+        try {
+            rule.check(text, settings).forEach(issue => {
+                issues.push({ fixes: [], ...issue, rule: rule.id, category: rule.category });
+            });
+        } catch (err) {
+            // One broken rule shouldn't stop the others
+            console.warn(`Writing check '${rule.id}' failed:`, err);
+        }
+    });
+    return issues.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Keep the settings and prepare the parts the rules use on every paragraph
+ */
+function configure(newSettings) {
+    settings = { ...settings, ...newSettings };
+    dictionary = new Set(settings.dictionary.map(normalizeWord));
+    termPatterns = settings.terms.map(entry => {
+        const source = entry.term.trim()
+            .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\s+/g, '\\s+');
+        return { ...entry, pattern: new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'giu') };
+    });
+}
+
+/**
+ * A word as the word list and dictionary keep it: lowercase, with plain
+ * apostrophes
+ */
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/’/g, "'");
+}
+
+/**
+ * Whether a normalized word is spelled right: in the word list or the
+ * user's dictionary, or a known word with "n't", "'s", "'ll" and the like
+ */
+function isKnownWord(word) {
+    if (knownWords.has(word) || dictionary.has(word) || CONTRACTIONS.includes(word)) return true;
+    const base = word.replace(/n't$|'(?:s|d|ll|m|re|ve)$/, '');
+    return base !== word && (knownWords.has(base) || dictionary.has(base));
+}
+
+/**
+ * Up to three known words one letter away from a misspelling (a letter
+ * added, dropped, changed or swapped with the next), the most common first
+ */
+function suggestWords(word) {
+    const candidates = new Set();
+    for (let i = 0; i <= word.length; i++) {
+        const before = word.slice(0, i);
+        const after = word.slice(i);
+        if (after) candidates.add(before + after.slice(1));
+        if (after.length > 1) candidates.add(before + after[1] + after[0] + after.slice(2));
+        for (const letter of SUGGESTION_LETTERS) {
+            if (after) candidates.add(before + letter + after.slice(1));
+            candidates.add(before + letter + after);
+        }
+    }
+    return [...candidates]
+        .filter(candidate => knownWords.has(candidate))
+        .sort((a, b) => knownWords.get(a) - knownWords.get(b))
+        .slice(0, 3);
+}
+
+/**
+ * A replacement with the capitalization of the text it replaces
+ */
+function matchCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase()) return replacement.toUpperCase();
+    if (original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()) {
+        return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+}
+
+/**
+ * Count the words in a text
+ */
+function countWords(text) {
+    return (text.match(WORD) || []).length;
+}
+
+// ===========================
+// RULES
+// ===========================
+
+defineRule({
+    id: 'spelling',
+    title: 'Spelling',
+    description: 'Words that aren\'t in the English word list or your dictionary. Capitalized words are taken for ' +
+        'names and only checked for common misspellings such as "Recieve" and typos.',
+    category: 'spelling',
+    check(text) {
+        const issues = [];
+        for (const match of text.matchAll(WORD)) {
+            const word = match[0];
+            const lower = normalizeWord(word);
+            if (dictionary.has(lower) || /\p{N}/u.test(word)) continue;
+
+            const end = match.index + word.length;
+            if (COMMON_MISSPELLINGS.hasOwnProperty(lower)) {
+                issues.push({
+                    start: match.index, end: end,
+                    message: `Possible misspelling of '${COMMON_MISSPELLINGS[lower]}'.`,
+                    fixes: [matchCase(word, COMMON_MISSPELLINGS[lower])]
+                });
+            } else if (word !== word.toUpperCase() && /(\p{L})\1\1/u.test(word)) {
+                issues.push({
+                    start: match.index, end: end,
+                    message: 'Possible typo: the same letter three times in a row.',
+                    fixes: [word.replace(/(\p{L})\1+/gu, '$1$1')]
+                });
+            } else if (knownWords.size > 0 && word === word.toLowerCase() && !isKnownWord(lower)) {
+                issues.push({
+                    start: match.index, end: end,
+                    message: `'${word}' isn't in the word list or your dictionary.`,
+                    fixes: suggestWords(lower)
+                });
+            }
+        }
+        return issues;
+    }
+});
+
+defineRule({
+    id: 'repeated-words',
+    title: 'Repeated words',
+    description: 'The same word twice in a row, as in "the the".',
+    category: 'grammar',
+    check(text) {
+        const issues = [];
+        const pattern = /(?<![\p{L}\p{N}'’])([\p{L}\p{N}'’]+)\s+\1(?![\p{L}\p{N}'’])/giu;
+        for (const match of text.matchAll(pattern)) {
+            if (ALLOWED_REPEATS.includes(match[1].toLowerCase())) continue;
+            issues.push({
+                start: match.index, end: match.index + match[0].length,
+                message: `'${match[1]}' is repeated.`,
+                fixes: [match[1]]
+            });
+        }
+        return issues;
+    }
+});
+
+defineRule({
+    id: 'passive-voice',
+    title: 'Passive voice',
+    description: 'Phrases such as "was written by", which read better saying who did it.',
+    category: 'style',
+    check(text) {
+        const issues = [];
+        const pattern = new RegExp(
+            '(?<![\\p{L}])(?:am|is|are|was|were|be|been|being)\\s+(?:\\p{L}+ly\\s+)?' +
+            `(\\p{L}+ed|${IRREGULAR_PARTICIPLES.join('|')})(?![\\p{L}])`, 'giu'
+        );
+        for (const match of text.matchAll(pattern)) {
+            if (NOT_PARTICIPLES.includes(match[1].toLowerCase())) continue;
+            issues.push({
+                start: match.index, end: match.index + match[0].length,
+                message: 'Passive voice. Consider saying who does it.'
+            });
+        }
+        return issues;
+    }
+});
+
+defineRule({
+    id: 'long-sentences',
+    title: 'Long sentences',
+    description: 'Sentences with more words than the limit below.',
+    category: 'style',
+    check(text, options) {
+        const issues = [];
+        for (const match of text.matchAll(/[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g)) {
+            const sentence = match[0].trimStart();
+            const words = countWords(sentence);
+            if (words <= options.maxSentenceWords) continue;
+
+            const start = match.index + match[0].length - sentence.length;
+            issues.push({
+                start: start, end: start + sentence.trimEnd().length,
+                message: `Long sentence: ${words} words, over the limit of ${options.maxSentenceWords}. Consider splitting it.`
+            });
+        }
+        return issues;
+    }
+});
+
+defineRule({
+    id: 'house-terms',
+    title: 'House style terms',
+    description: 'Words to avoid, and the words to use instead (set below).',
+    category: 'style',
+    check(text) {
+        const issues = [];
+        termPatterns.forEach(entry => {
+            for (const match of text.matchAll(entry.pattern)) {
+                issues.push({
+                    start: match.index, end: match.index + match[0].length,
+                    message: entry.replacement
+                        ? `House style prefers '${entry.replacement}' to '${match[0]}'.`
+                        : `'${match[0]}' is on the house style's list of words to avoid.`,
+                    fixes: entry.replacement ? [matchCase(match[0], entry.replacement)] : []
+                });
+            }
+        });
+        return issues;
+    }
+});
+
+// ===========================
+// MESSAGES
+// ===========================
+
+self.addEventListener('message', function(e) {
+    const message = e.data;
+    if (message.type === 'configure') {
+        configure(message.settings);
+    } else if (message.type === 'lint') {
+        // Answered in the order asked, once the word list is in
+        wordsLoaded.then(() => self.postMessage({
+            type: 'lint',
+            generation: message.generation,
+            paragraphs: message.paragraphs,
+            results: message.paragraphs.map(lintParagraph)
+        }));
+    }
+});
+
+self.postMessage({
+    type: 'rules',
+    rules: RULES.map(rule => ({
+        id: rule.id, title: rule.title, description: rule.description, category: rule.category
+    }))
+});
@@ -1,19 +1,156 @@
+/**
+ * ZENO DRAFT - LOGIN
+ * Log in, create an account, or unlock a remembered session's encrypted
+ * documents (see auth.js)
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const loginForm = document.getElementById('login-form');
+const formError = document.getElementById('form-error');
+const usernameInput = document.getElementById('username');
+const passwordInput = document.getElementById('password');
+const confirmInput = document.getElementById('confirm-password');
+const passphraseInput = document.getElementById('passphrase');
+const rememberInput = document.getElementById('remember-me');
+const submitBtn = document.getElementById('submit-btn');
+
+// 'login', 'signup' or 'unlock'
+let formMode = 'login';
+
+// ===========================
+// INITIALIZATION
+// ===========================
 document.addEventListener('DOMContentLoaded', () => {
-    const loginForm = document.getElementById('login-form');
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('logout')) {
+        Auth.logOut();
+        window.history.replaceState({}, '', 'login.html');
+    }
+
+    // Already signed in: carry on
+    if (Auth.getCurrentUser()) {
+        continueToApp();
+        return;
+    }
+
+    setFormMode(Auth.getLockedUser() ? 'unlock' : 'login');
+
+    document.getElementById('switch-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        if (formMode === 'unlock') Auth.logOut();
+        setFormMode(formMode === 'signup' ? 'login' : 'signup');
+    });
 
     loginForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        
-        const usernameInput = document.getElementById('username');
-        const username = usernameInput.value.trim();
-
-        if (username) {
-            // In a real app, you'd validate credentials against a server.
-            // For this demo, any username is accepted.
-            sessionStorage.setItem('zeno-user', username);
-            
-            // Redirect to the editor page
-            window.location.href = 'docs.html';
-        }
+        submitForm();
     });
-});
\ No newline at end of file
+});
+
+// ===========================
+// FORM
+// ===========================
+
+/**
+ * Switch between logging in, signing up and unlocking
+ */
+function setFormMode(mode) {
+    formMode = mode;
+    const signup = mode === 'signup';
+    const unlock = mode === 'unlock';
+
+    const text = {
+        login: ['Welcome Back', 'Log in to access your documents.', 'Login', 'New to Zeno Draft?', 'Create an account'],
+        signup: ['Create an Account', 'Already wrote drafts here before accounts existed? Sign up with the same username to keep them.',
+            'Sign Up', 'Already have an account?', 'Log in'],
+        unlock: ['Unlock Your Drafts', `Enter the encryption passphrase for ${Auth.getLockedUser()}.`, 'Unlock',
+            'Not you?', 'Log in as someone else']
+    }[mode];
+    document.getElementById('form-heading').textContent = text[0];
+    document.getElementById('form-intro').textContent = text[1];
+    submitBtn.textContent = text[2];
+    document.getElementById('switch-text').textContent = text[3];
+    document.getElementById('switch-link').textContent = text[4];
+
+    document.getElementById('username-group').hidden = unlock;
+    document.getElementById('password-group').hidden = unlock;
+    document.getElementById('confirm-group').hidden = !signup;
+    document.getElementById('remember-group').hidden = unlock;
+    usernameInput.required = !unlock;
+    passwordInput.required = !unlock;
+    confirmInput.required = signup;
+    passwordInput.autocomplete = signup ? 'new-password' : 'current-password';
+
+    // Logging in asks for the passphrase only once we know the account needs it
+    document.getElementById('passphrase-group').hidden = mode === 'login';
+    document.getElementById('passphrase-hint').hidden = !signup;
+    passphraseInput.required = unlock;
+
+    showFormError('');
+    (unlock ? passphraseInput : usernameInput).focus();
+}
+
+/**
+ * Handle the form for the current mode
+ */
+async function submitForm() {
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+    const options = { passphrase: passphraseInput.value, remember: rememberInput.checked };
+
+    if (formMode === 'signup' && password !== confirmInput.value) {
+        showFormError('The passwords don\'t match.');
+        return;
+    }
+
+    showFormError('');
+    submitBtn.disabled = true;
+    try {
+        if (formMode === 'signup') {
+            await Auth.signUp(username, password, options);
+            // Encrypt drafts written before the account existed
+            if (options.passphrase) await resaveUserDocs(Auth.getCurrentUser());
+        } else if (formMode === 'unlock') {
+            await Auth.unlock(options.passphrase);
+        } else {
+            await Auth.logIn(username, password, options);
+        }
+        continueToApp();
+    } catch (err) {
+        if (err.code === 'passphrase-required') {
+            document.getElementById('passphrase-group').hidden = false;
+            passphraseInput.required = true;
+            passphraseInput.focus();
+        }
+        showFormError(err.message);
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * Show an error above the form (or hide it when empty)
+ */
+function showFormError(message) {
+    formError.textContent = message;
+    formError.hidden = !message;
+}
+
+/**
+ * Store every one of a user's documents again, so they are encrypted
+ */
+async function resaveUserDocs(user) {
+    const docs = await DocStore.listUserDocs(user);
+    await Promise.all(docs.map(doc => DocStore.putDoc(doc)));
+}
+
+/**
+ * Go where the user was headed before logging in, or to the editor
+ */
+function continueToApp() {
+    const next = new URLSearchParams(window.location.search).get('next') || '';
+    // Only pages of this app, never another site
+    window.location.href = /^[\w-]+\.html(\?[^#]*)?$/.test(next) ? next : 'docs.html';
+}
@@ -0,0 +1,14 @@
+/**
+ * ZENO DRAFT - OFFLINE SUPPORT
+ * Registers the service worker (sw.js) that lets every page open without a
+ * connection. Pages opened from the file system can't use one, so they
+ * skip it.
+ */
+
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    window.addEventListener('load', function() {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.warn('Offline support unavailable:', err);
+        });
+    });
+}
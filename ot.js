@@ -0,0 +1,275 @@
+/**
+ * ZENO DRAFT - OPERATIONAL TRANSFORMATION
+ * Text operations shared by the editor (docs-collab.js) and the sync server
+ * (sync-server.js).
+ *
+ * An operation is a JSON array walking over the whole text: a positive
+ * number retains that many characters, a negative number deletes that many
+ * and a string inserts itself. E.g. [5, 'abc', -2, 10] keeps 5 characters,
+ * inserts 'abc', deletes 2 and keeps the last 10.
+ */
+
+const TextOperation = (function() {
+    // ===========================
+    // BUILDING
+    // ===========================
+
+    const isRetain = op => typeof op === 'number' && op > 0;
+    const isDelete = op => typeof op === 'number' && op < 0;
+    const isInsert = op => typeof op === 'string';
+
+    /**
+     * Collects components into a canonical operation: neighbours of the same
+     * kind are merged, and an insert always comes before a delete it touches
+     */
+    function builder() {
+        const ops = [];
+
+        return {
+            ops: ops,
+            retain(n) {
+                if (n <= 0) return;
+                if (isRetain(ops[ops.length - 1])) ops[ops.length - 1] += n;
+                else ops.push(n);
+            },
+            insert(text) {
+                if (!text) return;
+                const last = ops.length - 1;
+                if (isInsert(ops[last])) {
+                    ops[last] += text;
+                } else if (isDelete(ops[last])) {
+                    if (isInsert(ops[last - 1])) ops[last - 1] += text;
+                    else ops.splice(last, 0, text);
+                } else {
+                    ops.push(text);
+                }
+            },
+            delete(n) {
+                if (n <= 0) return;
+                if (isDelete(ops[ops.length - 1])) ops[ops.length - 1] -= n;
+                else ops.push(-n);
+            }
+        };
+    }
+
+    /**
+     * Length of the text an operation applies to
+     */
+    function baseLength(ops) {
+        return ops.reduce((length, op) => length + (isInsert(op) ? 0 : Math.abs(op)), 0);
+    }
+
+    /**
+     * Whether an operation leaves the text unchanged
+     */
+    function isNoop(ops) {
+        return ops.every(isRetain);
+    }
+
+    /**
+     * Whether a value received from elsewhere is a well-formed operation
+     */
+    function isValid(ops) {
+        return Array.isArray(ops) && ops.every(op => isInsert(op) || (Number.isInteger(op) && op !== 0));
+    }
+
+    /**
+     * The operation turning one text into another: a single replaced range
+     * between their common prefix and suffix
+     */
+    function fromDiff(oldText, newText) {
+        let prefix = 0;
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix &&
+            oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const op = builder();
+        op.retain(prefix);
+        op.insert(newText.slice(prefix, newText.length - suffix));
+        op.delete(oldText.length - prefix - suffix);
+        op.retain(suffix);
+        return op.ops;
+    }
+
+    // ===========================
+    // APPLYING
+    // ===========================
+
+    /**
+     * Apply an operation to a text
+     */
+    function apply(text, ops) {
+        if (baseLength(ops) !== text.length) {
+            throw new Error('Operation does not match the text length');
+        }
+
+        const parts = [];
+        let index = 0;
+        ops.forEach(op => {
+            if (isRetain(op)) {
+                parts.push(text.slice(index, index + op));
+                index += op;
+            } else if (isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        });
+        return parts.join('');
+    }
+
+    /**
+     * Index in the original text of the first character an operation changes,
+     * or -1 for a no-op
+     */
+    function firstChange(ops) {
+        let index = 0;
+        for (const op of ops) {
+            if (!isRetain(op)) return index;
+            index += op;
+        }
+        return -1;
+    }
+
+    // ===========================
+    // COMPOSING AND TRANSFORMING
+    // ===========================
+
+    /**
+     * Combine a, then b, into one operation
+     */
+    function compose(a, b) {
+        const result = builder();
+        let i = 0;
+        let j = 0;
+        let op1 = a[i++];
+        let op2 = b[j++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isDelete(op1)) {
+                result.delete(-op1);
+                op1 = a[i++];
+                continue;
+            }
+            if (isInsert(op2)) {
+                result.insert(op2);
+                op2 = b[j++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Cannot compose operations of different lengths');
+            }
+
+            if (isRetain(op1) && isRetain(op2)) {
+                const n = Math.min(op1, op2);
+                result.retain(n);
+                op1 -= n;
+                op2 -= n;
+            } else if (isInsert(op1) && isDelete(op2)) {
+                // Text inserted by a and deleted by b never appears
+                const n = Math.min(op1.length, -op2);
+                op1 = op1.slice(n);
+                op2 += n;
+            } else if (isInsert(op1) && isRetain(op2)) {
+                const n = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, n));
+                op1 = op1.slice(n);
+                op2 -= n;
+            } else {
+                // Retained by a, deleted by b
+                const n = Math.min(op1, -op2);
+                result.delete(n);
+                op1 -= n;
+                op2 += n;
+            }
+
+            if (op1 === 0 || op1 === '') op1 = a[i++];
+            if (op2 === 0) op2 = b[j++];
+        }
+
+        return result.ops;
+    }
+
+    /**
+     * Transform two concurrent operations on the same text into [a', b'],
+     * so that applying a then b' gives the same text as b then a'.
+     * When both insert at the same place, a's text comes first.
+     */
+    function transform(a, b) {
+        const a2 = builder();
+        const b2 = builder();
+        let i = 0;
+        let j = 0;
+        let op1 = a[i++];
+        let op2 = b[j++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (isInsert(op1)) {
+                a2.insert(op1);
+                b2.retain(op1.length);
+                op1 = a[i++];
+                continue;
+            }
+            if (isInsert(op2)) {
+                a2.retain(op2.length);
+                b2.insert(op2);
+                op2 = b[j++];
+                continue;
+            }
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('Cannot transform operations on different texts');
+            }
+
+            const n = Math.min(Math.abs(op1), Math.abs(op2));
+            if (isRetain(op1) && isRetain(op2)) {
+                a2.retain(n);
+                b2.retain(n);
+            } else if (isDelete(op1) && isRetain(op2)) {
+                a2.delete(n);
+            } else if (isRetain(op1) && isDelete(op2)) {
+                b2.delete(n);
+            }
+            // Both deleted the same characters: nothing left to do
+
+            op1 = isRetain(op1) ? op1 - n : op1 + n;
+            op2 = isRetain(op2) ? op2 - n : op2 + n;
+            if (op1 === 0) op1 = a[i++];
+            if (op2 === 0) op2 = b[j++];
+        }
+
+        return [a2.ops, b2.ops];
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+    return {
+        /** The operation turning oldText into newText */
+        fromDiff: fromDiff,
+        /** Apply an operation to a text */
+        apply: apply,
+        /** Combine two consecutive operations */
+        compose: compose,
+        /** Transform two concurrent operations against each other */
+        transform: transform,
+        /** Length of the text an operation applies to */
+        baseLength: baseLength,
+        /** Index of the first changed character, or -1 */
+        firstChange: firstChange,
+        /** Whether an operation changes nothing */
+        isNoop: isNoop,
+        /** Whether a value is a well-formed operation */
+        isValid: isValid
+    };
+})();
+
+// The sync server loads this file as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextOperation;
+}
@@ -0,0 +1,152 @@
+/**
+ * ZENO DRAFT - HTML SANITIZER
+ * Allow-list sanitizer shared by every place that renders stored, pasted or
+ * imported HTML, plus escaping for text interpolated into markup
+ */
+
+// ===========================
+// ALLOW-LIST
+// ===========================
+
+// Allowed elements and the attributes each may keep
+const ALLOWED_TAGS = {
+    P: [], DIV: [], BR: [],
+    H1: ['id'], H2: ['id'], H3: ['id'],
+    UL: [], OL: [], LI: [],
+    B: [], STRONG: [], I: [], EM: [], U: [],
+    FONT: ['size'],
+    PRE: [], CODE: [], BLOCKQUOTE: [], HR: [],
+    // Links, images and tables (see docs-insert.js)
+    A: ['href'],
+    IMG: ['src', 'alt', 'width'],
+    TABLE: [], THEAD: [], TBODY: [], TR: [], TH: [], TD: [],
+    // Comment anchors and suggested changes (see docs-review.js)
+    SPAN: ['data-comment'],
+    INS: ['data-suggestion', 'data-author'],
+    DEL: ['data-suggestion', 'data-author'],
+    // Table of contents (see docs-outline.js)
+    NAV: ['data-toc', 'contenteditable']
+};
+
+// Attributes whose values are checked as well
+const ATTRIBUTE_CHECKS = {
+    // Heading ids only, so stored content can't take over the page's own ids
+    id: value => /^section-[\p{L}\p{N}_-]+$/u.test(value),
+    // Web, mail and phone links, and links to headings in the document
+    href: value => /^(https?:|mailto:|tel:)/i.test(value) || /^#[\p{L}\p{N}_-]+$/u.test(value),
+    // Web images, or images embedded as data URLs (never SVG, which can hold script)
+    src: value => /^https?:/i.test(value) || /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/.test(value),
+    // Display width in pixels
+    width: value => /^\d{1,4}$/.test(value),
+    contenteditable: value => value === 'false'
+};
+
+// Attributes any allowed element may keep
+const GLOBAL_ATTRIBUTES = ['style', 'align'];
+
+// CSS properties kept inside style attributes
+const ALLOWED_STYLES = ['text-align', 'font-size'];
+
+// Elements removed together with everything inside them
+const DROPPED_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'NOSCRIPT',
+    'SVG', 'MATH', 'LINK', 'META', 'BASE', 'TITLE', 'HEAD', 'FORM', 'INPUT', 'BUTTON', 'TEXTAREA', 'SELECT'];
+
+// ===========================
+// SANITIZING
+// ===========================
+
+/**
+ * Return a safe copy of an HTML string.
+ * Disallowed elements are unwrapped (their text is kept) or dropped outright;
+ * disallowed attributes and style properties are removed.
+ */
+function sanitizeHTML(html) {
+    // DOMParser documents are inert: nothing runs or loads while we work
+    const parsed = new DOMParser().parseFromString(html || '', 'text/html');
+    sanitizeChildren(parsed.body);
+    return parsed.body.innerHTML;
+}
+
+/**
+ * Sanitize every child of a node in place
+ */
+function sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        // SVG and MathML tag names keep their lower case
+        const tag = node.nodeType === Node.ELEMENT_NODE ? node.tagName.toUpperCase() : null;
+        if (!tag || DROPPED_TAGS.includes(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+
+        if (!ALLOWED_TAGS.hasOwnProperty(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+        sanitizeAttributes(node);
+    });
+}
+
+/**
+ * Strip every attribute that is not allowed on this element
+ */
+function sanitizeAttributes(element) {
+    const allowed = ALLOWED_TAGS[element.tagName].concat(GLOBAL_ATTRIBUTES);
+
+    Array.from(element.attributes).forEach(attr => {
+        const check = ATTRIBUTE_CHECKS[attr.name];
+        if (!allowed.includes(attr.name) || (check && !check(attr.value))) {
+            element.removeAttribute(attr.name);
+        }
+    });
+
+    if (element.hasAttribute('style')) {
+        const style = ALLOWED_STYLES
+            .filter(property => element.style.getPropertyValue(property))
+            .map(property => `${property}: ${element.style.getPropertyValue(property)};`)
+            .join(' ');
+
+        if (style) element.setAttribute('style', style);
+        else element.removeAttribute('style');
+    }
+}
+
+/**
+ * Remove review markup from editor HTML: comment anchors are unwrapped and
+ * pending suggestions are left out, giving the text as it stands before
+ * any suggestion is accepted
+ */
+function stripReviewMarkup(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const content = template.content;
+
+    content.querySelectorAll('ins[data-suggestion]').forEach(ins => ins.remove());
+    content.querySelectorAll('del[data-suggestion], span[data-comment]').forEach(el => {
+        el.replaceWith(...el.childNodes);
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.appendChild(content);
+    return wrapper.innerHTML;
+}
+
+// ===========================
+// ESCAPING
+// ===========================
+
+/**
+ * Escape text for use inside HTML markup
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
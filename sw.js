@@ -0,0 +1,126 @@
+/**
+ * ZENO DRAFT - SERVICE WORKER
+ * Keeps a copy of the app's pages, scripts, styles and images so Zeno
+ * opens without a connection (registered by offline.js).
+ *
+ * Files are served from the cache and refreshed from the network in the
+ * background, so a new release is picked up on the next visit. Documents
+ * are not cached here: they live in the browser's own storage, or with a
+ * sync server, in doc-store.js's offline copies.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+
+// Change the version to drop every cached file (e.g. when one is renamed)
+const CACHE_NAME = 'zeno-draft-v1';
+
+// Everything the pages load, relative to this file
+const APP_FILES = [
+    './',
+    'index.html',
+    'login.html',
+    'dashboard.html',
+    'docs.html',
+    'view.html',
+    'landing-style.css',
+    'docs-style.css',
+    'logo.png',
+    'favicon.png',
+    'manifest.webmanifest',
+    'config.js',
+    'auth.js',
+    'doc-store.js',
+    'folders.js',
+    'folder-picker.js',
+    'sanitize.js',
+    'templates.js',
+    'template-chooser.js',
+    'offline.js',
+    'login.js',
+    'dashboard-script.js',
+    'dashboard-backup.js',
+    'gallery-script.js',
+    'view-script.js',
+    'docs-script.js',
+    'docs-commands.js',
+    'docs-review.js',
+    'docs-insert.js',
+    'docs-autoformat.js',
+    'docs-palette.js',
+    'docs-publish.js',
+    'docs-tags.js',
+    'docs-folders.js',
+    'docs-find.js',
+    'docs-lint.js',
+    'lint-worker.js',
+    'words-en.txt',
+    'docs-outline.js',
+    'docs-stats.js',
+    'docs-history.js',
+    'docs-sync.js',
+    'ot.js',
+    'docs-collab.js',
+    'docs-export.js',
+    'docs-import.js',
+    'docs-templates.js'
+];
+
+// Paths of the sync server's API and live editing socket, never cached
+const SERVER_PATHS = ['/api/', '/sync'];
+
+// ===========================
+// LIFECYCLE
+// ===========================
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ===========================
+// REQUESTS
+// ===========================
+
+self.addEventListener('fetch', function(event) {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (SERVER_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+    event.respondWith(serveFromCache(event));
+});
+
+/**
+ * Answer from the cache and refresh the cached copy from the network.
+ * Pages are looked up without their query (docs.html?id=... is docs.html).
+ */
+async function serveFromCache(event) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) {
+            const key = event.request.mode === 'navigate' ? new URL(event.request.url).pathname : event.request;
+            return cache.put(key, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
@@ -0,0 +1,839 @@
+/**
+ * ZENO DRAFT - SYNC SERVER
+ * Optional collaboration server for a team on one network. It serves the
+ * app, stores everyone's documents (a REST API under /api/docs) and relays
+ * edits between co-editors over a WebSocket at /sync, merging concurrent
+ * edits with operational transformation (ot.js).
+ *
+ * Needs only Node.js, no packages:
+ *
+ *     node sync-server.js [--port 8787] [--host 127.0.0.1] [--data zeno-data.json]
+ *                         [--users zeno-users.json] [--origin https://app.example]
+ *
+ * Then set `syncServer` in config.js to the server's address
+ * (e.g. 'http://localhost:8787') and open the app from the server.
+ * It only listens on this machine unless given --host (e.g. 0.0.0.0 for the
+ * whole network), and only answers pages from another origin if that
+ * origin is given with --origin.
+ *
+ * Everyone needs an access token, made with
+ *
+ *     node sync-server.js --add-user <username>
+ *
+ * for the username they sign in to the app with (running it again replaces
+ * the token). The app asks for the token the first time it talks to the
+ * server and sends it with every request: as `Authorization: Bearer <token>`
+ * to the API, and as `?token=` on the WebSocket address, since browsers
+ * can't set headers there. Only token hashes are stored.
+ *
+ * Access: people read and write their own documents, and those whose
+ * `collaborators` list them. Of everyone else's documents they only get
+ * published copies. Only the author deletes a document, changes who it is
+ * shared with and what is published, or encrypts it. Encrypted documents
+ * (`sealed`) are stored as they are, and can't be co-edited live.
+ *
+ * WebSocket messages are JSON objects with a `type`:
+ *   client -> server: join { author, id }, op { revision, op },
+ *                     title { title }, cursor { selection }
+ *   server -> client: joined { clientId, revision, content, title, peers },
+ *                     ack { revision }, op { clientId, revision, op },
+ *                     title { clientId, title }, cursor { clientId, user, color, selection },
+ *                     leave { clientId }, error { message }
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const TextOperation = require('./ot.js');
+
+// ===========================
+// CONFIGURATION
+// ===========================
+
+const APP_DIR = __dirname;
+const PORT = Number(readOption('--port', process.env.PORT || 8787));
+const HOST = readOption('--host', process.env.HOST || '127.0.0.1');
+const DATA_FILE = path.resolve(readOption('--data', path.join(APP_DIR, 'zeno-data.json')));
+const USERS_FILE = path.resolve(readOption('--users', path.join(APP_DIR, 'zeno-users.json')));
+// The one other origin whose pages may use the API, e.g. 'https://app.example'
+const ALLOWED_ORIGIN = readOption('--origin', process.env.ZENO_ORIGIN || '');
+
+// Largest request body or WebSocket message accepted (20 MB)
+const MAX_MESSAGE_SIZE = 20 * 1024 * 1024;
+// Documents are written to disk at most once a second
+const PERSIST_DELAY = 1000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CURSOR_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+// Operations a live session keeps for clients that haven't caught up;
+// a client further behind is told to rejoin
+const MAX_SESSION_OPERATIONS = 1000;
+// Fields only a document's author may change
+const AUTHOR_FIELDS = ['collaborators', 'published', 'publication'];
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.svg': 'image/svg+xml',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Value of a command-line option, or a default
+ */
+function readOption(name, fallback) {
+    const index = process.argv.indexOf(name);
+    return index > -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+// ===========================
+// ACCESS TOKENS
+// ===========================
+
+// Team members keyed by lower-case username: { username, tokenHash, createdAt }
+let users = {};
+
+/**
+ * Load team members from the users file
+ */
+function loadUsers() {
+    if (fs.existsSync(USERS_FILE)) users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+}
+
+/**
+ * Give a team member a new access token, print it and store its hash
+ */
+function addUser(username) {
+    loadUsers();
+    const token = crypto.randomBytes(24).toString('base64url');
+    users[username.toLowerCase()] = { username: username, tokenHash: hashToken(token), createdAt: new Date().toISOString() };
+    fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), { mode: 0o600 });
+    console.log(`Access token for ${username} (shown once; run --add-user again to replace it):\n\n    ${token}\n`);
+}
+
+/**
+ * SHA-256 hash of a token, as hex
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The username a token belongs to, or null
+ */
+function findTokenUser(token) {
+    if (!token) return null;
+    const hash = Buffer.from(hashToken(token));
+    const user = Object.values(users).find(entry =>
+        entry.tokenHash.length === hash.length && crypto.timingSafeEqual(Buffer.from(entry.tokenHash), hash));
+    return user ? user.username : null;
+}
+
+/**
+ * The user making a request, from its `Authorization: Bearer` header
+ */
+function authenticate(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return findTokenUser(match && match[1]);
+}
+
+/**
+ * Whether a username is the same person as another (usernames ignore case,
+ * as in auth.js)
+ */
+function isSameUser(a, b) {
+    return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Whether a user may read and save a document: its author or a collaborator
+ */
+function canEdit(user, doc) {
+    return isSameUser(doc.author, user) ||
+        (Array.isArray(doc.collaborators) && doc.collaborators.some(name => isSameUser(name, user)));
+}
+
+/**
+ * What a user may see of a document: all of it, its published copy, or
+ * nothing (null)
+ */
+function visibleTo(user, doc) {
+    if (canEdit(user, doc)) return withLiveContent(doc);
+    if (!doc.published) return null;
+
+    const copy = {
+        author: doc.author,
+        id: doc.id,
+        published: true,
+        publication: doc.publication,
+        trashedAt: doc.trashedAt || null,
+        modifiedAt: doc.modifiedAt
+    };
+    // Documents published before there were public copies are their own
+    return doc.publication ? copy : { ...copy, title: doc.title, content: doc.content, tags: doc.tags };
+}
+
+// ===========================
+// DOCUMENT STORAGE
+// ===========================
+
+// Documents keyed by JSON.stringify([author, id])
+const docs = new Map();
+let persistTimer = null;
+
+/**
+ * Load stored documents from the data file
+ */
+function loadDocs() {
+    if (!fs.existsSync(DATA_FILE)) return;
+    JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(doc => {
+        docs.set(docKey(doc.author, doc.id), doc);
+    });
+    console.log(`Loaded ${docs.size} document(s) from ${DATA_FILE}`);
+}
+
+/**
+ * Write all documents to the data file soon
+ */
+function persistSoon() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persistTimer = null;
+        // Write a temporary file first so a crash never leaves half a file
+        const temp = `${DATA_FILE}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(Array.from(docs.values())));
+        fs.renameSync(temp, DATA_FILE);
+    }, PERSIST_DELAY);
+}
+
+/**
+ * Map key for a document
+ */
+function docKey(author, id) {
+    return JSON.stringify([String(author), String(id)]);
+}
+
+// ===========================
+// HTTP
+// ===========================
+
+/**
+ * Handle a plain HTTP request: the document API or a static file
+ */
+function handleRequest(req, res) {
+    const url = parseRequestUrl(req);
+    if (!url) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    // Pages from the one configured other origin may use the API too
+    res.setHeader('Vary', 'Origin');
+    if (ALLOWED_ORIGIN && req.headers.origin === ALLOWED_ORIGIN) {
+        res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (url.pathname === '/api/docs' || url.pathname.startsWith('/api/docs/')) {
+        handleDocsApi(req, res, url).catch(err => {
+            sendJSON(res, err.status || 500, { error: err.message, ...err.details });
+        });
+        return;
+    }
+
+    serveStatic(req, res, url);
+}
+
+/**
+ * The document API (every request needs an access token):
+ *   GET /api/docs[?author=&id=]          list the documents the user may see, optionally filtered
+ *   GET /api/docs/:author/:id            one document
+ *   PUT /api/docs/:author/:id[?base=]    insert or replace a document
+ *   DELETE /api/docs/:author/:id[?base=] delete a document
+ * With `base` (the modifiedAt of the copy a change was made to, or empty for
+ * a new document), a document changed since is left alone: the answer is
+ * 409 with the stored copy as `current` (null if it was deleted).
+ */
+async function handleDocsApi(req, res, url) {
+    const user = authenticate(req);
+    if (!user) throw httpError(401, 'The sync server needs a valid access token.');
+
+    const parts = url.pathname.split('/').slice(3).map(part => {
+        const decoded = decodePathPart(part);
+        if (decoded === null) throw httpError(400, 'Malformed URL');
+        return decoded;
+    });
+
+    if (parts.length === 0) {
+        if (req.method !== 'GET') throw httpError(405, 'Method not allowed');
+        const author = url.searchParams.get('author');
+        const id = url.searchParams.get('id');
+        const list = Array.from(docs.values())
+            .filter(doc => (author === null || doc.author === author) && (id === null || doc.id === id))
+            .map(doc => visibleTo(user, doc))
+            .filter(Boolean);
+        sendJSON(res, 200, list);
+        return;
+    }
+
+    if (parts.length !== 2) throw httpError(404, 'Not found');
+    const key = docKey(parts[0], parts[1]);
+    const stored = docs.get(key);
+
+    if (req.method === 'GET') {
+        const doc = stored && visibleTo(user, stored);
+        if (!doc) throw httpError(404, 'Document not found');
+        sendJSON(res, 200, doc);
+    } else if (req.method === 'PUT') {
+        const doc = parseDoc(await readBody(req));
+        if (docKey(doc.author, doc.id) !== key) throw httpError(400, 'Document does not match the URL');
+        if (stored ? !canEdit(user, stored) : !isSameUser(doc.author, user)) {
+            throw httpError(403, 'You can only save your own documents and those shared with you.');
+        }
+        checkBase(url, user, stored);
+
+        // Only the author shares, publishes and encrypts
+        if (stored && !isSameUser(stored.author, user)) {
+            if (doc.sealed) throw httpError(403, 'Only the author can encrypt a document.');
+            AUTHOR_FIELDS.forEach(field => {
+                if (field in stored) doc[field] = stored[field];
+                else delete doc[field];
+            });
+        }
+        // While people are co-editing, the live session has the latest content
+        const session = sessions.get(key);
+        if (session && !doc.sealed) {
+            doc.title = session.title;
+            doc.content = session.content;
+        }
+        docs.set(key, doc);
+        persistSoon();
+        sendJSON(res, 200, { ok: true });
+    } else if (req.method === 'DELETE') {
+        if (stored && !isSameUser(stored.author, user)) {
+            throw httpError(403, 'Only the author can delete a document.');
+        }
+        checkBase(url, user, stored);
+        docs.delete(key);
+        persistSoon();
+        sendJSON(res, 200, { ok: true });
+    } else {
+        throw httpError(405, 'Method not allowed');
+    }
+}
+
+/**
+ * Refuse a change made to an older copy than the stored one (see `base` above)
+ */
+function checkBase(url, user, stored) {
+    if (!url.searchParams.has('base')) return;
+    const current = stored ? withLiveContent(stored) : null;
+    if (url.searchParams.get('base') !== ((current && current.modifiedAt) || '')) {
+        throw httpError(409, 'The document was changed on the server since.', { current: current && visibleTo(user, current) });
+    }
+}
+
+/**
+ * Parse a document sent in a request body
+ */
+function parseDoc(body) {
+    let doc;
+    try {
+        doc = JSON.parse(body);
+    } catch (err) {
+        throw httpError(400, 'The document is not valid JSON.');
+    }
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) throw httpError(400, 'The document is not valid JSON.');
+    return doc;
+}
+
+/**
+ * A document with the content of its live editing session, if any
+ */
+function withLiveContent(doc) {
+    const session = sessions.get(docKey(doc.author, doc.id));
+    return session ? { ...doc, title: session.title, content: session.content } : doc;
+}
+
+/**
+ * Serve one of the app's own files
+ */
+function serveStatic(req, res, url) {
+    const name = url.pathname === '/' ? 'index.html' : decodePathPart(url.pathname.slice(1));
+    if (name === null) {
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+    const file = path.resolve(APP_DIR, name);
+    const type = STATIC_TYPES[path.extname(file)];
+
+    // Only files inside the app folder, never the data or users file or dotfiles
+    if (req.method !== 'GET' || !type || path.dirname(file) !== APP_DIR ||
+        file.startsWith(DATA_FILE) || file.startsWith(USERS_FILE) || path.basename(file).startsWith('.')) {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+    }
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(data);
+    });
+}
+
+/**
+ * Read a request body as text, up to MAX_MESSAGE_SIZE
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_MESSAGE_SIZE) {
+                reject(httpError(413, 'Document too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * A request's URL, or null if it can't be parsed
+ */
+function parseRequestUrl(req) {
+    try {
+        return new URL(req.url, 'http://localhost');
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * A percent-encoded part of a URL path decoded, or null if it is malformed
+ */
+function decodePathPart(part) {
+    try {
+        return decodeURIComponent(part);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * An error carrying an HTTP status, and details to send with its message
+ */
+function httpError(status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// ===========================
+// WEBSOCKET CONNECTIONS
+// ===========================
+
+/**
+ * Complete a WebSocket handshake and return a connection with
+ * send(object), close() and onMessage / onClose callbacks
+ */
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const connection = {
+        onMessage: () => {},
+        onClose: () => {},
+        send: message => {
+            if (!socket.destroyed) socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+        },
+        close: () => {
+            if (!socket.destroyed) socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        }
+    };
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = decodeFrame())) {
+            handleFrame(frame);
+        }
+    });
+    socket.on('close', () => connection.onClose());
+    socket.on('error', () => socket.destroy());
+
+    /**
+     * Take one complete frame off the buffer, or null if more data is needed
+     */
+    function decodeFrame() {
+        if (buffer.length < 2) return null;
+
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            socket.destroy();
+            return null;
+        }
+
+        const masked = (buffer[1] & 0x80) !== 0;
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        const frame = { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0f, payload: payload };
+        buffer = buffer.subarray(offset + length);
+        return frame;
+    }
+
+    /**
+     * Act on one frame: collect message fragments, answer pings, close
+     */
+    function handleFrame(frame) {
+        if (frame.opcode === 0x8) {
+            connection.close();
+        } else if (frame.opcode === 0x9) {
+            socket.write(encodeFrame(0xa, frame.payload));
+        } else if (frame.opcode === 0x0 || frame.opcode === 0x1 || frame.opcode === 0x2) {
+            fragments.push(frame.payload);
+            if (!frame.fin) return;
+
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            try {
+                connection.onMessage(JSON.parse(text));
+            } catch (err) {
+                console.warn('Could not handle a WebSocket message:', err.message);
+                connection.send({ type: 'error', message: 'Invalid message' });
+            }
+        }
+    }
+
+    return connection;
+}
+
+/**
+ * Build an unmasked server frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(payload.length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+        header[1] = 127;
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// ===========================
+// CO-EDITING SESSIONS
+// ===========================
+
+// Live sessions keyed like documents; each holds the current content,
+// the revision number and every operation applied since the session began
+const sessions = new Map();
+let nextClientId = 1;
+
+/**
+ * Handle one client's messages for the lifetime of its connection
+ */
+function handleClient(connection, user) {
+    const number = nextClientId++;
+    const client = {
+        id: String(number),
+        user: user,
+        color: CURSOR_COLORS[number % CURSOR_COLORS.length],
+        selection: null,
+        // The oldest revision the client's operations can still be based on
+        baseRevision: 0,
+        connection: connection,
+        session: null
+    };
+
+    connection.onMessage = message => {
+        if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+            connection.send({ type: 'error', message: 'Invalid message' });
+        } else if (message.type === 'join') {
+            joinSession(client, message);
+        } else if (!client.session) {
+            connection.send({ type: 'error', message: 'Join a document first' });
+        } else if (message.type === 'op') {
+            receiveOperation(client, message);
+        } else if (message.type === 'title') {
+            receiveTitle(client, message);
+        } else if (message.type === 'cursor') {
+            client.selection = message.selection || null;
+            broadcast(client.session, cursorMessage(client), client);
+        }
+    };
+
+    connection.onClose = () => leaveSession(client);
+}
+
+/**
+ * Add a client to a document's session, starting the session if needed
+ */
+function joinSession(client, message) {
+    leaveSession(client);
+
+    const key = docKey(message.author, message.id);
+    const doc = docs.get(key);
+    if (!doc || !canEdit(client.user, doc)) {
+        client.connection.send({ type: 'error', message: 'Document not found' });
+        return;
+    }
+    // The server can't merge text it can't read
+    if (doc.sealed) {
+        client.connection.send({ type: 'error', message: 'Encrypted documents can\'t be co-edited live.' });
+        return;
+    }
+
+    let session = sessions.get(key);
+    if (!session) {
+        session = {
+            key: key,
+            content: doc.content || '',
+            title: doc.title || 'Untitled Document',
+            revision: 0,
+            operations: [],
+            clients: new Set()
+        };
+        sessions.set(key, session);
+    }
+
+    client.session = session;
+    client.baseRevision = session.revision;
+    session.clients.add(client);
+
+    client.connection.send({
+        type: 'joined',
+        clientId: client.id,
+        revision: session.revision,
+        content: session.content,
+        title: session.title,
+        peers: Array.from(session.clients).filter(peer => peer !== client).map(cursorMessage)
+    });
+    broadcast(session, cursorMessage(client), client);
+}
+
+/**
+ * Apply a client's operation, transformed past everything it hadn't seen yet.
+ * session.operations holds the operations of the latest revisions only.
+ */
+function receiveOperation(client, message) {
+    const session = client.session;
+    let operation = message.op;
+    const behind = session.revision - message.revision;
+
+    if (!TextOperation.isValid(operation) || !Number.isInteger(message.revision) ||
+        behind < 0 || behind > session.operations.length) {
+        client.connection.send({ type: 'error', message: 'Invalid operation' });
+        return;
+    }
+
+    session.operations.slice(session.operations.length - behind).forEach(concurrent => {
+        operation = TextOperation.transform(operation, concurrent)[0];
+    });
+    session.content = TextOperation.apply(session.content, operation);
+    session.operations.push(operation);
+    session.revision++;
+    // A client's operations are based on ever later revisions
+    client.baseRevision = message.revision;
+    trimOperations(session);
+    updateStoredDoc(session);
+
+    client.connection.send({ type: 'ack', revision: session.revision });
+    broadcast(session, { type: 'op', clientId: client.id, revision: session.revision, op: operation }, client);
+}
+
+/**
+ * Forget operations no client can still need, keeping at most MAX_SESSION_OPERATIONS
+ */
+function trimOperations(session) {
+    const oldest = Math.min(...Array.from(session.clients, client => client.baseRevision));
+    const keep = Math.min(session.revision - oldest, MAX_SESSION_OPERATIONS);
+    if (session.operations.length > keep) session.operations.splice(0, session.operations.length - keep);
+}
+
+/**
+ * Take a client's new title (the latest title wins)
+ */
+function receiveTitle(client, message) {
+    const session = client.session;
+    session.title = String(message.title || '');
+    updateStoredDoc(session);
+    broadcast(session, { type: 'title', clientId: client.id, title: session.title }, client);
+}
+
+/**
+ * Copy a session's content into its stored document
+ */
+function updateStoredDoc(session) {
+    const doc = docs.get(session.key);
+    if (!doc || doc.sealed) return;
+    doc.title = session.title;
+    doc.content = session.content;
+    doc.modifiedAt = new Date().toISOString();
+    persistSoon();
+}
+
+/**
+ * Remove a client from its session, ending the session when it empties
+ */
+function leaveSession(client) {
+    const session = client.session;
+    if (!session) return;
+
+    session.clients.delete(client);
+    client.session = null;
+    if (session.clients.size === 0) {
+        sessions.delete(session.key);
+    } else {
+        broadcast(session, { type: 'leave', clientId: client.id });
+    }
+}
+
+/**
+ * A client's presence and cursor, as sent to the others
+ */
+function cursorMessage(client) {
+    return { type: 'cursor', clientId: client.id, user: client.user, color: client.color, selection: client.selection };
+}
+
+/**
+ * Send a message to every client in a session except one
+ */
+function broadcast(session, message, except) {
+    session.clients.forEach(client => {
+        if (client !== except) client.connection.send(message);
+    });
+}
+
+// ===========================
+// STARTUP
+// ===========================
+
+/**
+ * Refuse a WebSocket upgrade with an HTTP status
+ */
+function rejectUpgrade(socket, status, reason) {
+    socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+}
+
+/**
+ * Whether a WebSocket request comes from a page this server may talk to:
+ * its own, or the configured other origin. Browsers always send Origin.
+ */
+function isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (ALLOWED_ORIGIN && origin === ALLOWED_ORIGIN) return true;
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+}
+
+if (process.argv.includes('--add-user')) {
+    const username = readOption('--add-user', '').trim();
+    if (!username) {
+        console.error('Usage: node sync-server.js --add-user <username>');
+        process.exit(1);
+    }
+    addUser(username);
+    process.exit(0);
+}
+
+loadUsers();
+loadDocs();
+if (Object.keys(users).length === 0) {
+    console.warn('No one has an access token yet. Add people with: node sync-server.js --add-user <username>');
+}
+
+const server = http.createServer(handleRequest);
+server.on('upgrade', (req, socket) => {
+    const url = parseRequestUrl(req);
+    const isWebSocket = (req.headers.upgrade || '').toLowerCase() === 'websocket' && req.headers['sec-websocket-key'];
+    if (!url || url.pathname !== '/sync' || !isWebSocket) {
+        socket.destroy();
+        return;
+    }
+    if (!isAllowedOrigin(req)) {
+        rejectUpgrade(socket, 403, 'Forbidden');
+        return;
+    }
+    const user = findTokenUser(url.searchParams.get('token'));
+    if (!user) {
+        rejectUpgrade(socket, 401, 'Unauthorized');
+        return;
+    }
+    handleClient(acceptWebSocket(req, socket), user);
+});
+
+server.listen(PORT, HOST, () => {
+    console.log(`Zeno Draft sync server running at http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}`);
+});
@@ -0,0 +1,211 @@
+/**
+ * ZENO DRAFT - TEMPLATE CHOOSER
+ * The "New from template" dialog shared by the dashboard and the editor.
+ * It lists the templates (see templates.js) and opens a new draft from the
+ * chosen one. In the editor it can also save the open draft as a template.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const templateDialog = document.getElementById('template-dialog');
+const templateList = document.getElementById('template-list');
+
+// Templates as last listed, and the chosen one's id
+let chooserTemplates = [];
+let chosenTemplateId = null;
+// Page hooks given to initializeTemplateChooser()
+let templateChooserOptions = {};
+
+// ===========================
+// INITIALIZATION
+// ===========================
+
+/**
+ * Initialize the template chooser. Options:
+ *   beforeLeave() - runs (and is awaited) before the new draft is opened
+ *   getDraft()    - the open draft as { title, content, tags }, to offer
+ *                   saving it as a template
+ *   getFolderId() - the folder new drafts go in
+ */
+function initializeTemplateChooser(options = {}) {
+    templateChooserOptions = options;
+    const saveBtn = document.getElementById('save-template-btn');
+    saveBtn.hidden = !options.getDraft;
+    saveBtn.addEventListener('click', saveDraftAsTemplate);
+
+    document.getElementById('template-close').addEventListener('click', closeTemplateChooser);
+    document.getElementById('template-cancel').addEventListener('click', closeTemplateChooser);
+    document.getElementById('template-form').addEventListener('submit', function(e) {
+        e.preventDefault();
+        createFromTemplate();
+    });
+
+    templateList.addEventListener('click', function(e) {
+        const remove = e.target.closest('[data-delete-template]');
+        if (remove) {
+            deleteTemplate(remove.getAttribute('data-delete-template'));
+            return;
+        }
+        const option = e.target.closest('[data-template]');
+        if (option) chooseTemplate(option.getAttribute('data-template'));
+    });
+    templateList.addEventListener('dblclick', function(e) {
+        if (e.target.closest('[data-template]')) createFromTemplate();
+    });
+
+    templateDialog.addEventListener('mousedown', function(e) {
+        if (e.target === templateDialog) closeTemplateChooser();
+    });
+    templateDialog.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') closeTemplateChooser();
+    });
+}
+
+// ===========================
+// DIALOG
+// ===========================
+
+/**
+ * Open the chooser with the first template chosen
+ */
+async function openTemplateChooser() {
+    document.getElementById('template-doc-title').value = '';
+    showTemplateNote('');
+    await refreshTemplateList();
+    chooseTemplate(chooserTemplates[0].id);
+
+    templateDialog.hidden = false;
+    templateList.querySelector('[aria-pressed="true"]').focus();
+}
+
+/**
+ * Close the chooser
+ */
+function closeTemplateChooser() {
+    templateDialog.hidden = true;
+}
+
+/**
+ * Reload and render the templates, keeping the choice if it still exists
+ */
+async function refreshTemplateList() {
+    chooserTemplates = await Templates.list();
+    templateList.innerHTML = '';
+    chooserTemplates.forEach(template => templateList.appendChild(createTemplateOption(template)));
+
+    if (!chooserTemplates.some(t => t.id === chosenTemplateId)) {
+        chosenTemplateId = null;
+    }
+}
+
+/**
+ * Build the list entry for one template
+ */
+function createTemplateOption(template) {
+    const item = document.createElement('li');
+    item.className = 'template-item';
+
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = 'template-option';
+    option.setAttribute('data-template', template.id);
+    option.setAttribute('aria-pressed', 'false');
+    option.innerHTML = `
+        <span class="template-name">${escapeHTML(template.name)}</span>
+        ${template.builtIn ? '' : '<span class="badge badge-template">Yours</span>'}
+        <span class="template-description">${escapeHTML(template.description || template.title || '')}</span>
+    `;
+    item.appendChild(option);
+
+    if (!template.builtIn) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'panel-close template-delete';
+        remove.setAttribute('data-delete-template', template.id);
+        remove.setAttribute('aria-label', `Delete template ${template.name}`);
+        remove.title = 'Delete template';
+        remove.innerHTML = '&times;';
+        item.appendChild(remove);
+    }
+    return item;
+}
+
+/**
+ * Choose a template; the title field suggests the title it would get
+ */
+function chooseTemplate(id) {
+    const template = chooserTemplates.find(t => t.id === id);
+    if (!template) return;
+
+    chosenTemplateId = id;
+    templateList.querySelectorAll('[data-template]').forEach(option => {
+        option.setAttribute('aria-pressed', String(option.getAttribute('data-template') === id));
+    });
+    document.getElementById('template-doc-title').placeholder = Templates.fill(template, '').title;
+}
+
+/**
+ * Show a message under the list, or clear it
+ */
+function showTemplateNote(message) {
+    const note = document.getElementById('template-note');
+    note.textContent = message;
+    note.hidden = !message;
+}
+
+// ===========================
+// ACTIONS
+// ===========================
+
+/**
+ * Open a new draft from the chosen template (see loadDocument())
+ */
+async function createFromTemplate() {
+    if (!chosenTemplateId) return;
+
+    const title = document.getElementById('template-doc-title').value.trim();
+    const folderId = templateChooserOptions.getFolderId && templateChooserOptions.getFolderId();
+    const query = `template=${encodeURIComponent(chosenTemplateId)}` +
+        (title ? `&title=${encodeURIComponent(title)}` : '') +
+        (folderId && folderId !== DocStore.ROOT_FOLDER ? `&folder=${encodeURIComponent(folderId)}` : '');
+
+    if (templateChooserOptions.beforeLeave) await templateChooserOptions.beforeLeave();
+    window.location.href = `docs.html?${query}`;
+}
+
+/**
+ * Save the open draft as one of the user's templates
+ */
+async function saveDraftAsTemplate() {
+    const draft = templateChooserOptions.getDraft();
+    const name = prompt('Template name:', draft.title);
+    if (name === null || !name.trim()) return;
+
+    try {
+        const template = await Templates.save({ ...draft, name: name.trim() });
+        await refreshTemplateList();
+        chooseTemplate(template.id);
+        showTemplateNote(`Saved '${template.name}'. Placeholders such as {{date}} in it are filled in for each new draft.`);
+    } catch (err) {
+        console.error('Could not save the template:', err);
+        alert(`The template could not be saved: ${err.message}`);
+    }
+}
+
+/**
+ * Delete one of the user's templates
+ */
+async function deleteTemplate(id) {
+    const template = chooserTemplates.find(t => t.id === id);
+    if (!template || !confirm(`Delete the template '${template.name}'?`)) return;
+
+    try {
+        await Templates.remove(id);
+    } catch (err) {
+        console.error('Could not delete the template:', err);
+        alert(`The template could not be deleted: ${err.message}`);
+    }
+    await refreshTemplateList();
+    chooseTemplate(chosenTemplateId || chooserTemplates[0].id);
+}
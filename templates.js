@@ -0,0 +1,179 @@
+/**
+ * ZENO DRAFT - TEMPLATES
+ * Built-in document templates, plus the user's own, saved from drafts and
+ * kept with their account (encrypted like their documents when they have a
+ * passphrase, see auth.js).
+ *
+ * A template's title and content may contain placeholders, filled in when a
+ * document is created from it (docs.html?template=<id>, see fill()):
+ *   {{date}}, {{time}}  - when the document is created
+ *   {{author}}          - the signed-in user
+ *   {{title}}           - the new document's title (content only)
+ *
+ * Every method returns a Promise, except fill().
+ */
+
+const Templates = (function() {
+    const USER_TEMPLATES_KEY = 'templates';
+    const PLACEHOLDER = /\{\{\s*(date|time|author|title)\s*\}\}/gi;
+
+    const BUILT_IN_TEMPLATES = [
+        {
+            id: 'meeting-notes',
+            name: 'Meeting notes',
+            description: 'Attendees, agenda, decisions and action items.',
+            title: 'Meeting notes – {{date}}',
+            tags: ['meetings'],
+            content:
+                '<p><b>Date:</b> {{date}}, {{time}}<br><b>Notes by:</b> {{author}}<br><b>Attendees:</b> </p>' +
+                '<h2>Agenda</h2><ol><li><br></li></ol>' +
+                '<h2>Notes</h2><p><br></p>' +
+                '<h2>Decisions</h2><ul><li><br></li></ul>' +
+                '<h2>Action items</h2><ul><li>Who – what – by when</li></ul>'
+        },
+        {
+            id: 'rfc',
+            name: 'RFC',
+            description: 'A proposal for the team to review: problem, design and alternatives.',
+            title: 'RFC: Untitled proposal',
+            tags: ['rfc'],
+            content:
+                '<p><b>Author:</b> {{author}}<br><b>Status:</b> Draft<br><b>Created:</b> {{date}}</p>' +
+                '<h2>Summary</h2><p>What {{title}} proposes, in one paragraph.</p>' +
+                '<h2>Motivation</h2><p>The problem this solves and who has it.</p>' +
+                '<h2>Proposal</h2><p><br></p>' +
+                '<h2>Alternatives considered</h2><ul><li><br></li></ul>' +
+                '<h2>Open questions</h2><ul><li><br></li></ul>'
+        },
+        {
+            id: 'blog-post',
+            name: 'Blog post',
+            description: 'An introduction, a few sections and a conclusion.',
+            title: 'Untitled post',
+            tags: ['blog'],
+            content:
+                '<p><i>{{author}} · {{date}}</i></p>' +
+                '<p>Open with the one thing readers should take away.</p>' +
+                '<h2>First point</h2><p><br></p>' +
+                '<h2>Second point</h2><p><br></p>' +
+                '<h2>Wrapping up</h2><p><br></p>'
+        }
+    ];
+
+    // ===========================
+    // USER TEMPLATES
+    // ===========================
+
+    /**
+     * The user's own templates. Encrypted ones that can't be read (the
+     * session is locked) are left out.
+     */
+    async function readUserTemplates() {
+        const stored = Auth.getUserData(USER_TEMPLATES_KEY, []);
+        if (!stored.sealed) return stored;
+        try {
+            return await Auth.unseal(stored.sealed);
+        } catch (err) {
+            console.warn('Your templates could not be decrypted:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Store the user's own templates, encrypted if they use a passphrase
+     */
+    async function writeUserTemplates(templates) {
+        const sealed = await Auth.seal(templates);
+        Auth.setUserData(USER_TEMPLATES_KEY, sealed ? { sealed: sealed } : templates);
+    }
+
+    /**
+     * Every template: built-in ones first, then the user's by name.
+     * Each is { id, name, description, title, content, tags, builtIn }.
+     */
+    async function list() {
+        const own = (await readUserTemplates())
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return BUILT_IN_TEMPLATES.map(t => ({ ...t, builtIn: true }))
+            .concat(own.map(t => ({ ...t, builtIn: false })));
+    }
+
+    /**
+     * One template by id, or null
+     */
+    async function get(id) {
+        return (await list()).find(t => t.id === id) || null;
+    }
+
+    /**
+     * Save a template of the user's: { name, title, content, tags }.
+     * Resolves to the stored template.
+     */
+    async function save(fields) {
+        const template = {
+            id: `user-${Date.now()}`,
+            name: fields.name,
+            description: fields.description || '',
+            title: fields.title || '',
+            content: fields.content || '',
+            tags: fields.tags || [],
+            createdAt: new Date().toISOString()
+        };
+        const templates = await readUserTemplates();
+        await writeUserTemplates(templates.concat(template));
+        return template;
+    }
+
+    /**
+     * Delete one of the user's templates
+     */
+    async function remove(id) {
+        const templates = await readUserTemplates();
+        await writeUserTemplates(templates.filter(t => t.id !== id));
+    }
+
+    // ===========================
+    // PLACEHOLDERS
+    // ===========================
+
+    /**
+     * A template's title and content with its placeholders filled in:
+     * { title, content, tags }. A title passed in replaces the template's.
+     */
+    function fill(template, title, now = new Date()) {
+        const values = {
+            date: now.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' }),
+            time: now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }),
+            author: Auth.getCurrentUser() || '',
+            title: ''
+        };
+        const replace = (text, escape) => text.replace(PLACEHOLDER, (match, name) => {
+            const value = values[name.toLowerCase()];
+            return escape ? escapeHTML(value) : value;
+        });
+
+        values.title = (title || '').trim() || replace(template.title || '', false).trim() || 'Untitled Document';
+        return {
+            title: values.title,
+            content: replace(template.content || '', true),
+            tags: (template.tags || []).slice()
+        };
+    }
+
+    // ===========================
+    // PUBLIC API
+    // ===========================
+    return {
+        /** Every template, built-in and the user's own */
+        list: list,
+        /** One template by id, or null */
+        get: get,
+        /** Save a template of the user's: save({ name, title, content, tags }) */
+        save: save,
+        /** Delete one of the user's templates */
+        remove: remove,
+        /** A template's { title, content, tags } with placeholders filled in */
+        fill: fill
+    };
+})();
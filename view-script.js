@@ -0,0 +1,139 @@
+/**
+ * ZENO DRAFT - PUBLIC VIEWER
+ * Read-only rendering of published documents, found by their address
+ * (view.html?author=…&slug=…) or, for older links, their id.
+ * Scheduled publish and take-down times are checked as the page loads.
+ */
+
+// ===========================
+// GLOBAL VARIABLES
+// ===========================
+const viewer = document.getElementById('viewer');
+const viewTitle = document.getElementById('view-title');
+const viewByline = document.getElementById('view-byline');
+const editBtn = document.getElementById('edit-btn');
+
+// What an author previewing their own document is told about it
+const PREVIEW_NOTES = {
+    draft: () => 'Preview · Not published',
+    scheduled: publication => `Preview · Goes live ${formatDate(publication.publishAt)}`,
+    expired: publication => `Preview · Taken down ${formatDate(publication.expiresAt)}`
+};
+
+// ===========================
+// INITIALIZATION
+// ===========================
+document.addEventListener('DOMContentLoaded', async function() {
+    const urlParams = new URLSearchParams(window.location.search);
+    const author = urlParams.get('author');
+    const id = urlParams.get('id');
+    const slug = urlParams.get('slug');
+
+    // A sync server only answers signed-in team members; others see "not found"
+    const load = () => (slug ? DocStore.findPublishedDoc(author, slug) : findDocument(author, id))
+        .catch(err => {
+            console.error('Could not load the document:', err);
+            return null;
+        });
+    renderDocument(await load());
+
+    // Re-render when the document changes in another tab
+    DocStore.subscribe(async change => {
+        if (slug ? change.author === author : change.id === id && (!author || change.author === author)) {
+            renderDocument(await load());
+        }
+    });
+});
+
+// ===========================
+// DOCUMENT LOOKUP
+// ===========================
+
+/**
+ * Find a document by author and id across the whole store.
+ * If no author is given, every user's documents are searched.
+ */
+async function findDocument(author, id) {
+    if (!id) return null;
+    if (author) return DocStore.getDoc(author, id);
+
+    const matches = await DocStore.findDocs(id);
+    return matches.find(doc => DocStore.getPublishState(doc) === 'live') || matches[0] || null;
+}
+
+// ===========================
+// RENDERING
+// ===========================
+
+/**
+ * Render a document's published copy, or a "not found" message.
+ * Authors can also preview their own documents that readers can't see.
+ */
+function renderDocument(doc) {
+    const state = doc ? DocStore.getPublishState(doc) : 'draft';
+    const isAuthor = !!doc && doc.author === Auth.getCurrentUser();
+
+    if (!doc || (state !== 'live' && !isAuthor)) {
+        viewTitle.textContent = 'Document not found';
+        viewByline.textContent = '';
+        viewer.innerHTML = '<p class="view-empty">This document does not exist or has not been published.</p>';
+        updatePageTitle('Not found');
+        return;
+    }
+
+    // Readers see what was published, not the draft
+    const publication = DocStore.getPublication(doc);
+    const shown = publication || doc;
+    const title = shown.title || 'Untitled Document';
+    viewTitle.textContent = title;
+    viewByline.textContent = state === 'live'
+        ? describePublication(doc.author, publication)
+        : PREVIEW_NOTES[state](publication);
+    // Readers see the text without comments or pending suggestions
+    viewer.innerHTML = sanitizeHTML(stripReviewMarkup(shown.content));
+    // Links to other sites open beside the document
+    viewer.querySelectorAll('a[href]:not([href^="#"])').forEach(link => {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    });
+    updatePageTitle(title);
+
+    // Old links by id move to the readable address
+    if (state === 'live' && publication.slug) {
+        window.history.replaceState(null, '', DocStore.getPublicPath(doc));
+    }
+
+    // Authors get a shortcut back into the editor
+    if (isAuthor) {
+        editBtn.href = `docs.html?id=${encodeURIComponent(doc.id)}`;
+        editBtn.hidden = false;
+    }
+}
+
+/**
+ * The byline of a published document
+ */
+function describePublication(author, publication) {
+    const published = formatDate(publication.publishAt || publication.publishedAt);
+    const updated = formatDate(publication.updatedAt);
+    return `By ${author} · Published ${published}` + (updated !== published ? ` · Updated ${updated}` : '');
+}
+
+/**
+ * Update page title
+ */
+function updatePageTitle(title) {
+    document.title = `${title} - Zeno Draft`;
+}
+
+/**
+ * Format an ISO timestamp for display
+ */
+function formatDate(isoString) {
+    if (!isoString) return 'unknown';
+    return new Date(isoString).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+}